@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Upgrading the Graph API is this one setting
+const graphApiVersion = () => process.env.META_GRAPH_API_VERSION || 'v18.0';
+
+/**
+ * Meta app and Graph API settings, shared by the OAuth flow (services/metaAuth.js)
+ * and the Graph client (services/metaApi.js). The fields are getters over
+ * process.env, so tests can point the client at a mock Graph server by
+ * setting META_GRAPH_API_BASE after the modules are loaded.
+ */
+const metaConfig = {
+  get appId() { return process.env.META_APP_ID; },
+  get appSecret() { return process.env.META_APP_SECRET; },
+  get redirectUri() { return process.env.META_REDIRECT_URI; },
+  get graphApiVersion() { return graphApiVersion(); },
+  // Graph API calls and token exchanges
+  get graphApiBase() { return process.env.META_GRAPH_API_BASE || `https://graph.facebook.com/${graphApiVersion()}`; },
+  // OAuth login dialog
+  get dialogBase() { return process.env.META_DIALOG_BASE || `https://www.facebook.com/${graphApiVersion()}`; },
+  get requestTimeoutMs() { return envInt('META_API_TIMEOUT_MS', 30000); },
+  // Sign every Graph call with appsecret_proof (turn off only for mock servers without a secret)
+  get appSecretProof() { return process.env.META_APPSECRET_PROOF !== 'false'; },
+  get maxRetries() { return envInt('META_API_MAX_RETRIES', 3); },
+  // Retry backoff starts here and doubles per attempt
+  get retryBaseMs() { return envInt('META_API_RETRY_BASE_MS', 1000); },
+  // Longest a request waits for a retry or a throttled account before failing
+  get maxWaitMs() { return envInt('META_API_MAX_WAIT_MS', 30000); },
+  // Above this usage (% of Meta's limit) requests for an account are slowed down
+  get throttlePercent() { return envInt('META_API_THROTTLE_PERCENT', 75); },
+  // Safety cap for "fetch all" mode, so one request cannot walk an unbounded edge
+  get fetchAllMaxItems() { return envInt('META_FETCH_ALL_MAX_ITEMS', 5000) || 5000; }
+};
+
+/**
+ * Compute appsecret_proof for an access token: HMAC-SHA256 of the token
+ * keyed with the app secret, which Meta requires when "Require App Secret"
+ * is enabled for the app
+ * @param {string} accessToken - Access token used for the call
+ * @returns {string|null} Hex proof, or null when disabled or no secret is set
+ */
+const appSecretProof = (accessToken) => {
+  if (!metaConfig.appSecretProof || !metaConfig.appSecret || !accessToken) {
+    return null;
+  }
+  return crypto.createHmac('sha256', metaConfig.appSecret).update(accessToken).digest('hex');
+};
+
+/**
+ * Authentication parameters for a Graph call: the access token and its proof
+ * @param {string} accessToken - Access token used for the call
+ * @returns {object} { access_token, appsecret_proof? }
+ */
+const authParams = (accessToken) => {
+  const proof = appSecretProof(accessToken);
+  return {
+    access_token: accessToken,
+    ...(proof && { appsecret_proof: proof })
+  };
+};
+
+module.exports = {
+  metaConfig,
+  appSecretProof,
+  authParams
+};
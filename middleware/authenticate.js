@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { AppError, AuthenticationError, ValidationError } = require('../services/errors');
+
+const KEY_PATTERN = /^cmk_([a-f0-9]{16})_([A-Za-z0-9_-]{20,})$/;
+
+/**
+ * Hash the secret part of an API key
+ * @param {string} secret - Key secret
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Generate a new API key
+ * @returns {{ key: string, keyId: string, secretHash: string }} Full key (show once) and stored parts
+ */
+const generateApiKey = () => {
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  return {
+    key: `cmk_${keyId}_${secret}`,
+    keyId: keyId,
+    secretHash: hashSecret(secret)
+  };
+};
+
+const readApiKey = (req) => {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('X-API-Key') || null;
+};
+
+/**
+ * Middleware factory to authenticate the caller with an API key and
+ * check the key's scopes. Sets req.auth = { keyId, name, userId, scopes, requiredScopes }.
+ * User keys act as their own user; integration keys act on behalf of the
+ * user in the X-Cliq-User-Id header.
+ * @param {...string} requiredScopes - Scopes the route needs
+ * @returns {Function} Express middleware
+ */
+const authenticate = (...requiredScopes) => async (req, res, next) => {
+  try {
+    const match = KEY_PATTERN.exec(readApiKey(req) || '');
+
+    if (!match) {
+      throw new AuthenticationError('API key required. Send it as "Authorization: Bearer <key>" or "X-API-Key".');
+    }
+
+    const [, keyId, secret] = match;
+    const apiKey = await ApiKey.findOne({ keyId });
+
+    const expected = Buffer.from(apiKey ? apiKey.secretHash : hashSecret(''), 'hex');
+    const received = Buffer.from(hashSecret(secret), 'hex');
+
+    if (!apiKey || apiKey.revokedAt || !crypto.timingSafeEqual(expected, received)) {
+      throw new AuthenticationError('Invalid or revoked API key');
+    }
+
+    if (!apiKey.hasScopes(requiredScopes)) {
+      throw new AppError('API key is missing required scopes', {
+        statusCode: 403,
+        errorCode: 'MISSING_SCOPES',
+        details: { missingScopes: requiredScopes.filter(scope => !apiKey.scopes.includes(scope)) }
+      });
+    }
+
+    const userId = apiKey.userId || req.get('X-Cliq-User-Id');
+
+    if (!userId) {
+      throw new ValidationError('X-Cliq-User-Id header is required for integration keys');
+    }
+
+    req.auth = {
+      keyId: apiKey.keyId,
+      name: apiKey.name,
+      userId: String(userId),
+      scopes: apiKey.scopes,
+      // Checked again against the user's workspace role (see validateUserAndToken)
+      requiredScopes: requiredScopes
+    };
+
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() })
+      .catch(error => console.warn('Failed to record API key usage:', error.message));
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authenticate,
+  generateApiKey,
+  hashSecret
+};
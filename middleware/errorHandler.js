@@ -1,16 +1,82 @@
+const tokenLifecycle = require('../services/tokenLifecycle');
+const { AppError, MetaApiError, MetaAuthError, MetaPermissionError } = require('../services/errors');
+
+// Machine-readable codes for errors that only carry an HTTP status
+// (e.g. body-parser errors from Express middleware)
+const STATUS_ERROR_CODES = {
+  400: 'VALIDATION_ERROR',
+  401: 'NOT_AUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  429: 'RATE_LIMITED'
+};
+
 /**
- * Global error handling middleware
+ * Build the JSON body for an error:
+ * { success: false, error, errorCode, details?, meta?, expired? }
+ * Unexpected errors (no status) are reported as a generic 500.
  */
-const errorHandler = (err, req, res, next) => {
-  console.error('Error:', err);
-
-  // Default error
+const errorBody = (err) => {
   const statusCode = err.statusCode || 500;
-  const message = err.message || 'Internal Server Error';
+  const known = err instanceof AppError || Boolean(err.statusCode);
 
-  res.status(statusCode).json({
+  return {
     success: false,
-    error: message,
+    error: known ? err.message : 'Internal Server Error',
+    errorCode: err.errorCode || STATUS_ERROR_CODES[statusCode] || (statusCode < 500 ? 'BAD_REQUEST' : 'INTERNAL_ERROR'),
+    ...(err.details && { details: err.details }),
+    // Meta's identifiers, for support requests and client-side handling
+    ...(err instanceof MetaApiError && err.code !== undefined && {
+      meta: {
+        code: err.code,
+        subcode: err.subcode || null,
+        type: err.type || null,
+        fbtraceId: err.fbtraceId || null
+      }
+    }),
+    // The client should send the user through the OAuth flow again
+    ...(err instanceof MetaAuthError && { expired: true })
+  };
+};
+
+/**
+ * Global error handling middleware. Meta token errors also invalidate
+ * the stored token (see tokenLifecycle.handleGraphError); Meta permission
+ * errors re-read the granted permissions, which may have changed on Meta.
+ */
+const errorHandler = async (err, req, res, next) => {
+  console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+
+  // Streaming responses (file exports) cannot change status anymore
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  let error = err;
+  try {
+    if (await tokenLifecycle.handleGraphError(req.userToken, err)) {
+      error = new MetaAuthError('Meta session expired or was revoked. Please re-authenticate.', err);
+    }
+  } catch (invalidateError) {
+    console.error('Failed to invalidate token:', invalidateError);
+  }
+
+  if (err instanceof MetaPermissionError && req.userToken) {
+    try {
+      await tokenLifecycle.syncPermissions(req.userToken);
+    } catch (syncError) {
+      console.error('Failed to sync permissions:', syncError);
+    }
+  }
+
+  // Rate limited by Meta: tell the client when to come back
+  if (error.rateLimited) {
+    res.set('Retry-After', String(Math.ceil((error.retryAfterMs || 60000) / 1000)));
+  }
+
+  res.status(error.statusCode || 500).json({
+    ...errorBody(error),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -21,7 +87,8 @@ const errorHandler = (err, req, res, next) => {
 const notFound = (req, res, next) => {
   res.status(404).json({
     success: false,
-    error: `Route ${req.originalUrl} not found`
+    error: `Route ${req.originalUrl} not found`,
+    errorCode: 'ROUTE_NOT_FOUND'
   });
 };
 
@@ -29,4 +96,3 @@ module.exports = {
   errorHandler,
   notFound
 };
-
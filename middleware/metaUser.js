@@ -0,0 +1,107 @@
+const tokenLifecycle = require('../services/tokenLifecycle');
+const metaAuth = require('../services/metaAuth');
+const workspaces = require('../services/workspaces');
+const { AppError, AuthenticationError, ForbiddenError, MetaAuthError } = require('../services/errors');
+
+/**
+ * Middleware to load the Meta connection for the authenticated user
+ * (runs after authenticate, which sets req.auth). Workspace members use
+ * the workspace's connection, limited by their role and ad accounts; the
+ * workspace can be chosen with the X-Workspace-Id header or workspaceId
+ * query parameter ("personal" for the user's own connection).
+ */
+const validateUserAndToken = async (req, res, next) => {
+  try {
+    const { userId, requiredScopes } = req.auth;
+
+    const access = await workspaces.resolveAccess(userId, {
+      workspaceId: req.get('X-Workspace-Id') || req.query.workspaceId || null
+    });
+
+    if (!access) {
+      throw new AuthenticationError('User not authenticated. Please complete OAuth flow first.');
+    }
+
+    workspaces.assertAllowed(access, requiredScopes);
+
+    const { userToken, workspace } = access;
+    await tokenLifecycle.ensureFreshToken(userToken);
+    req.userToken = userToken;
+
+    if (!userToken.isUsable()) {
+      const error = new MetaAuthError(workspace
+        ? `The Meta connection of workspace "${workspace.name}" expired or was revoked. A workspace admin has to re-authenticate.`
+        : 'Access token expired or revoked. Please re-authenticate.');
+      error.details = { reason: userToken.invalidReason, ...(workspace && { workspaceId: String(workspace._id) }) };
+      throw error;
+    }
+
+    // Requested accounts must be accessible to the user; otherwise use the default
+    const { adAccountId } = req.query;
+    const adAccount = await workspaces.resolveAccount(access, adAccountId);
+
+    if (adAccountId && !adAccount) {
+      throw new ForbiddenError(`You do not have access to ad account ${adAccountId}`);
+    }
+
+    // Attach token info to request
+    req.access = access;
+    req.workspace = workspace;
+    req.accessToken = userToken.accessToken;
+    req.adAccount = adAccount;
+    req.adAccountId = adAccount ? adAccount.accountId : null;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware factory for the Meta permissions a route needs (runs after
+ * validateUserAndToken). Connections without recorded permissions are
+ * checked against /me/permissions once. When some are missing the request
+ * fails with a re-consent URL that asks for only those permissions.
+ * @param {...string} permissions - Meta permissions, e.g. 'ads_read', 'leads_retrieval'
+ * @returns {Function} Express middleware
+ */
+const requirePermissions = (...permissions) => async (req, res, next) => {
+  try {
+    const { userToken, workspace } = req;
+
+    if (!userToken.permissionsCheckedAt) {
+      await tokenLifecycle.syncPermissions(userToken);
+    }
+
+    // Still unknown (Meta could not be asked): let Meta decide
+    const missing = userToken.permissionsCheckedAt ? metaAuth.missingPermissions(userToken, permissions) : [];
+    if (missing.length === 0) {
+      return next();
+    }
+
+    // The OAuth state binds the login to a user, so only the connection's owner can re-consent
+    const ownConnection = userToken.userId === req.auth.userId;
+    const reconsentUrl = ownConnection && metaAuth.isConfigured()
+      ? await metaAuth.buildAuthUrl(userToken.userId, null, { permissions: missing, rerequest: true })
+      : null;
+
+    throw new AppError(ownConnection
+      ? `Meta permission not granted: ${missing.join(', ')}. Open reconsentUrl to grant it.`
+      : `The Meta connection of workspace "${workspace.name}" lacks the permission ${missing.join(', ')}. The workspace's connection owner has to grant it.`, {
+      statusCode: 403,
+      errorCode: 'META_PERMISSIONS_MISSING',
+      details: {
+        missingPermissions: missing,
+        reconsentUrl: reconsentUrl,
+        ...(workspace && { workspaceId: String(workspace._id) })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  validateUserAndToken,
+  requirePermissions
+};
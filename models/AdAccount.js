@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const adAccountSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Ad account ID in act_123456789 format
+  accountId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    default: null
+  },
+  currency: {
+    type: String,
+    default: null
+  },
+  timezoneName: {
+    type: String,
+    default: null
+  },
+  accountStatus: {
+    type: Number,
+    default: null
+  },
+  // How the user reaches the account: their own access ('personal'), or
+  // through a Business Manager that owns it ('owned') or manages it for a client ('client')
+  access: {
+    type: String,
+    enum: ['personal', 'owned', 'client'],
+    default: 'personal'
+  },
+  // Business Manager the account was found through, used to group accounts
+  businessId: {
+    type: String,
+    default: null
+  },
+  businessName: {
+    type: String,
+    default: null
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+adAccountSchema.index({ userId: 1, accountId: 1 }, { unique: true });
+
+const AdAccount = mongoose.model('AdAccount', adAccountSchema);
+
+module.exports = AdAccount;
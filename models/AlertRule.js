@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const alertRuleSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  adAccountId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // threshold: metric compared with a fixed value
+  // change: metric compared with its daily average over baselineDays
+  // no_delivery: active campaign without impressions for `hours`
+  type: {
+    type: String,
+    enum: ['threshold', 'change', 'no_delivery'],
+    required: true
+  },
+  // Evaluate the whole account or each campaign separately
+  level: {
+    type: String,
+    enum: ['account', 'campaign'],
+    default: 'campaign'
+  },
+  // Only evaluate this campaign (level campaign)
+  campaignId: {
+    type: String,
+    default: null
+  },
+  metric: {
+    type: String,
+    default: null
+  },
+  // threshold: >, >=, <, <=, ==
+  operator: {
+    type: String,
+    default: null
+  },
+  value: {
+    type: Number,
+    default: null
+  },
+  // threshold: date preset evaluated (today, yesterday, last_7d, ...)
+  window: {
+    type: String,
+    default: 'today'
+  },
+  // change: increase or decrease, by more than percent
+  direction: {
+    type: String,
+    enum: ['increase', 'decrease', null],
+    default: null
+  },
+  percent: {
+    type: Number,
+    default: null
+  },
+  baselineDays: {
+    type: Number,
+    default: 7
+  },
+  // no_delivery: hours without impressions
+  hours: {
+    type: Number,
+    default: null
+  },
+  // Where to send notifications; Cliq without a channel messages the owner
+  notify: {
+    type: {
+      type: String,
+      default: 'cliq'
+    },
+    channel: {
+      type: String,
+      default: null
+    }
+  },
+  // Minimum time between two notifications for the same target
+  cooldownMinutes: {
+    type: Number,
+    default: 360
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Last notification per target (account or campaign ID)
+  lastFired: {
+    type: Map,
+    of: Date,
+    default: {}
+  },
+  lastEvaluatedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+alertRuleSchema.index({ enabled: 1, lastEvaluatedAt: 1 });
+
+const AlertRule = mongoose.model('AlertRule', alertRuleSchema);
+
+module.exports = AlertRule;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Scopes an API key can be granted ('*' grants all of them)
+const SCOPES = [
+  'auth:connect',
+  'auth:read',
+  'accounts:read',
+  'accounts:write',
+  'campaigns:read',
+  'spend:read',
+  'leads:read',
+  'leads:notify',
+  'ads:write',
+  'ads:approve',
+  'audit:read',
+  'digests:manage',
+  'alerts:manage',
+  'reports:read',
+  'reports:manage',
+  'workspaces:read',
+  'workspaces:manage'
+];
+
+const apiKeySchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // SHA-256 of the secret part; the secret itself is only shown once
+  secretHash: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // User the key acts as; null for integration keys that act on behalf
+  // of the user named in the X-Cliq-User-Id header
+  userId: {
+    type: String,
+    default: null
+  },
+  scopes: {
+    type: [{ type: String, enum: [...SCOPES, '*'] }],
+    default: []
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Method to check if key grants every required scope
+apiKeySchema.methods.hasScopes = function(requiredScopes) {
+  if (this.scopes.includes('*')) {
+    return true;
+  }
+  return requiredScopes.every(scope => this.scopes.includes(scope));
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.SCOPES = SCOPES;
+
+module.exports = ApiKey;
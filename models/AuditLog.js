@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Who performed the action
+  actor: {
+    userId: {
+      type: String,
+      default: null
+    },
+    // API key used for the request, if any
+    keyId: {
+      type: String,
+      default: null
+    },
+    keyName: {
+      type: String,
+      default: null
+    },
+    // api, cliq, oauth or cli
+    source: {
+      type: String,
+      required: true
+    },
+    ip: {
+      type: String,
+      default: null
+    }
+  },
+  // Dotted action name, e.g. campaign.status, adset.budget, leads.export
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  adAccountId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Object the action was performed on
+  target: {
+    type: {
+      type: String,
+      default: null
+    },
+    id: {
+      type: String,
+      default: null
+    },
+    name: {
+      type: String,
+      default: null
+    }
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure', 'pending_approval', 'rejected'],
+    required: true
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // Action-specific details (filters of an export, approval ID, ...)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditLogSchema.index({ 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
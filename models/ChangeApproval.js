@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const changeApprovalSchema = new mongoose.Schema({
+  // User who asked for the change; a different user must approve it
+  requestedBy: {
+    type: String,
+    required: true,
+    index: true
+  },
+  adAccountId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // campaign or adset
+  targetType: {
+    type: String,
+    required: true
+  },
+  targetId: {
+    type: String,
+    required: true
+  },
+  targetName: {
+    type: String,
+    default: null
+  },
+  // Budget to apply, in account currency units
+  change: {
+    dailyBudget: {
+      type: Number,
+      default: null
+    },
+    lifetimeBudget: {
+      type: Number,
+      default: null
+    }
+  },
+  // Values when the change was requested (see adManagement.snapshot)
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'applied', 'rejected', 'failed'],
+    default: 'pending'
+  },
+  decidedBy: {
+    type: String,
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Check if the request can still be approved
+ */
+changeApprovalSchema.methods.isExpired = function() {
+  return this.expiresAt < new Date();
+};
+
+const ChangeApproval = mongoose.model('ChangeApproval', changeApprovalSchema);
+
+module.exports = ChangeApproval;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A data deletion request from Meta's data deletion callback; its status
+// can be looked up with the confirmation code
+const dataDeletionRequestSchema = new mongoose.Schema({
+  confirmationCode: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // App-scoped Meta user ID from the signed_request
+  metaUserId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Users whose data was deleted
+  userIds: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  // Documents deleted per collection
+  deleted: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const DataDeletionRequest = mongoose.model('DataDeletionRequest', dataDeletionRequestSchema);
+
+module.exports = DataDeletionRequest;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// One row per ad account, level, object and day, as reported by Meta
+const insightSnapshotSchema = new mongoose.Schema({
+  adAccountId: {
+    type: String,
+    required: true
+  },
+  level: {
+    type: String,
+    enum: ['campaign', 'adset', 'ad'],
+    required: true
+  },
+  // Campaign, ad set or ad ID depending on level
+  objectId: {
+    type: String,
+    required: true
+  },
+  objectName: {
+    type: String,
+    default: null
+  },
+  campaignId: {
+    type: String,
+    default: null
+  },
+  adsetId: {
+    type: String,
+    default: null
+  },
+  // Day in the ad account's timezone (stored as UTC midnight)
+  date: {
+    type: Date,
+    required: true
+  },
+  spend: {
+    type: Number,
+    default: 0
+  },
+  impressions: {
+    type: Number,
+    default: 0
+  },
+  clicks: {
+    type: Number,
+    default: 0
+  },
+  reach: {
+    type: Number,
+    default: 0
+  },
+  leads: {
+    type: Number,
+    default: 0
+  },
+  // Raw actions array, for metrics not stored as columns
+  actions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+insightSnapshotSchema.index({ adAccountId: 1, level: 1, objectId: 1, date: 1 }, { unique: true });
+insightSnapshotSchema.index({ adAccountId: 1, level: 1, date: 1 });
+insightSnapshotSchema.index({ campaignId: 1, level: 1, date: 1 });
+
+const InsightSnapshot = mongoose.model('InsightSnapshot', insightSnapshotSchema);
+
+module.exports = InsightSnapshot;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Snapshot sync state of an ad account (see services/insightSync.js)
+const insightSyncSchema = new mongoose.Schema({
+  adAccountId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // User whose Meta connection is used for syncing
+  userId: {
+    type: String,
+    required: true
+  },
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Earliest day the backfill should reach (YYYY-MM-DD)
+  backfillFrom: {
+    type: String,
+    required: true
+  },
+  // Days stored so far (YYYY-MM-DD); null until the first sync
+  syncedFrom: {
+    type: String,
+    default: null
+  },
+  syncedUntil: {
+    type: String,
+    default: null
+  },
+  lastSyncAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const InsightSync = mongoose.model('InsightSync', insightSyncSchema);
+
+module.exports = InsightSync;
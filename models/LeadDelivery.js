@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const leadDeliverySchema = new mongoose.Schema({
+  // Unique per lead, so repeated webhook deliveries are processed once
+  leadgenId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  pageId: {
+    type: String,
+    default: null
+  },
+  formId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'delivered', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  // When the current attempt started; a processing claim older than
+  // LEAD_DELIVERY_CLAIM_MINUTES is taken over by the next webhook
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Keep delivery records for 30 days, longer than Meta retries a webhook
+leadDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const LeadDelivery = mongoose.model('LeadDelivery', leadDeliverySchema);
+
+module.exports = LeadDelivery;
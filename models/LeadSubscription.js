@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const leadSubscriptionSchema = new mongoose.Schema({
+  // Facebook Page whose leadgen webhook events are forwarded
+  pageId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  pageName: {
+    type: String,
+    default: null
+  },
+  // User whose stored token is used to fetch the lead
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Workspace the subscription was created in; null for the user's own connection
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null,
+    index: true
+  },
+  // Unique name of the Cliq channel the lead is posted to
+  channel: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+leadSubscriptionSchema.index({ pageId: 1, channel: 1 }, { unique: true });
+
+const LeadSubscription = mongoose.model('LeadSubscription', leadSubscriptionSchema);
+
+module.exports = LeadSubscription;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const scheduleSchema = new mongoose.Schema({
+  // Job type registered with the scheduler, e.g. digest
+  type: {
+    type: String,
+    required: true
+  },
+  // Owner of the schedule; the job runs with this user's Meta connection
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Cron expression (minute hour day-of-month month day-of-week)
+  cron: {
+    type: String,
+    required: true
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  // Job-specific settings (ad account, channel, period, ...)
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  // Set while a runner holds the job; an expired lock means the runner died
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failure', null],
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+scheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+module.exports = Schedule;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const encryption = require('../services/encryption');
 
 const userTokenSchema = new mongoose.Schema({
   userId: {
@@ -7,13 +8,18 @@ const userTokenSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  // Tokens are encrypted at rest; setters encrypt and getters decrypt transparently
   accessToken: {
     type: String,
-    required: true
+    required: true,
+    set: encryption.encrypt,
+    get: encryption.decrypt
   },
   refreshToken: {
     type: String,
-    default: null
+    default: null,
+    set: encryption.encrypt,
+    get: encryption.decrypt
   },
   expiresAt: {
     type: Date,
@@ -23,10 +29,58 @@ const userTokenSchema = new mongoose.Schema({
     type: String,
     default: 'Bearer'
   },
+  // App-scoped Meta user ID (from /me), matched by the deauthorize and
+  // data deletion callbacks
+  metaUserId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Permissions from /me/permissions at connect time; null until checked
+  // (connections made before permissions were recorded)
+  grantedPermissions: {
+    type: [String],
+    default: null
+  },
+  declinedPermissions: {
+    type: [String],
+    default: null
+  },
+  permissionsCheckedAt: {
+    type: Date,
+    default: null
+  },
+  // Default ad account; all linked accounts live in the AdAccount collection
   adAccountId: {
     type: String,
     default: null
   },
+  accountsSyncedAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'invalid'],
+    default: 'active',
+    index: true
+  },
+  invalidReason: {
+    type: String,
+    default: null
+  },
+  invalidatedAt: {
+    type: Date,
+    default: null
+  },
+  lastRefreshedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -51,13 +105,17 @@ userTokenSchema.methods.isExpired = function() {
   return Date.now() >= this.expiresAt;
 };
 
-// Method to check if token needs refresh (within 5 minutes of expiry)
-userTokenSchema.methods.needsRefresh = function() {
+// Method to check if token needs refresh (within windowMs of expiry, default 5 minutes)
+userTokenSchema.methods.needsRefresh = function(windowMs = 5 * 60 * 1000) {
   if (!this.expiresAt) {
     return false;
   }
-  const fiveMinutes = 5 * 60 * 1000;
-  return Date.now() >= (this.expiresAt.getTime() - fiveMinutes);
+  return Date.now() >= (this.expiresAt.getTime() - windowMs);
+};
+
+// Method to check if token can be used for Meta API calls
+userTokenSchema.methods.isUsable = function() {
+  return this.status !== 'invalid' && !this.isExpired();
 };
 
 const UserToken = mongoose.model('UserToken', userTokenSchema);
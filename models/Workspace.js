@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Member roles, from least to most access (see services/workspaces ROLE_SCOPES)
+const ROLES = ['viewer', 'analyst', 'manager', 'admin'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true
+  },
+  // Ad accounts the member may use; empty means every linked account
+  adAccountIds: {
+    type: [String],
+    default: []
+  },
+  // The member's own default ad account within the workspace
+  defaultAdAccountId: {
+    type: String,
+    default: null
+  },
+  addedBy: {
+    type: String,
+    default: null
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Cliq organization the workspace is mapped to, and optionally a channel
+  // (unique name, only unique within the organization)
+  cliqOrgId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  cliqChannel: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Role given to Cliq users of the mapped organization or channel who
+  // are not members; null means members only
+  defaultRole: {
+    type: String,
+    enum: [...ROLES.filter(role => role !== 'admin'), null],
+    default: null
+  },
+  // User whose Meta connection (UserToken) the workspace uses
+  connectionUserId: {
+    type: String,
+    required: true
+  },
+  // Ad accounts of the connection linked to the workspace
+  adAccountIds: {
+    type: [String],
+    default: []
+  },
+  defaultAdAccountId: {
+    type: String,
+    default: null
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+workspaceSchema.index({ 'members.userId': 1 });
+
+// Method to find a user's membership
+workspaceSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.userId === String(userId)) || null;
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+Workspace.ROLES = ROLES;
+
+module.exports = Workspace;
@@ -0,0 +1,56 @@
+const express = require('express');
+const auditLog = require('../services/auditLog');
+const workspaces = require('../services/workspaces');
+const { authenticate } = require('../middleware/authenticate');
+const { ValidationError } = require('../services/errors');
+const router = express.Router();
+
+/**
+ * Query the audit trail (entries by the user or on their linked ad accounts;
+ * for workspace members, on the ad accounts they can use in the workspace)
+ * GET /audit?action=campaign.status,adset.budget&adAccountId=act_123&actorId=USER_ID&targetId=ID
+ *   &outcome=failure&since=2024-01-01&until=2024-01-31&limit=50&after=CURSOR
+ */
+router.get('/', authenticate('audit:read'), async (req, res, next) => {
+  try {
+    const { action, adAccountId, actorId, targetId, outcome, since, until, limit, after } = req.query;
+
+    const sinceDate = since ? new Date(since) : null;
+    const untilDate = until ? new Date(until) : null;
+
+    if ((sinceDate && isNaN(sinceDate)) || (untilDate && isNaN(untilDate))) {
+      throw new ValidationError('Invalid since/until. Expected a date like 2024-01-31 or an ISO timestamp');
+    }
+
+    const membership = await workspaces.findMembership(req.auth.userId, {
+      workspaceId: req.get('X-Workspace-Id') || req.query.workspaceId || null
+    });
+    if (membership) {
+      workspaces.assertAllowed(membership, req.auth.requiredScopes);
+    }
+
+    const result = await auditLog.query(req.auth.userId, {
+      action,
+      adAccountId,
+      actorId,
+      targetId,
+      outcome,
+      since: sinceDate,
+      until: untilDate,
+      limit,
+      after
+    }, {
+      adAccountIds: membership ? workspaces.allowedAccountIds(membership.workspace, membership.member) : null
+    });
+
+    res.json({
+      success: true,
+      data: result.data,
+      paging: result.paging
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
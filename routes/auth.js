@@ -1,51 +1,41 @@
 const express = require('express');
-const axios = require('axios');
 const UserToken = require('../models/UserToken');
+const metaAuth = require('../services/metaAuth');
+const oauthState = require('../services/oauthState');
+const adAccounts = require('../services/adAccounts');
+const auditLog = require('../services/auditLog');
+const connections = require('../services/connections');
+const { authenticate } = require('../middleware/authenticate');
+const { AppError, AuthenticationError, ValidationError, NotFoundError } = require('../services/errors');
+const { metaConfig } = require('../config/meta');
 const router = express.Router();
 
-const META_APP_ID = process.env.META_APP_ID;
-const META_APP_SECRET = process.env.META_APP_SECRET;
-const META_REDIRECT_URI = process.env.META_REDIRECT_URI;
-
 /**
- * Generate OAuth URL and redirect user to Meta login
- * GET /auth/start?userId=USER_ID
+ * Generate OAuth URL and redirect user to Meta login. With rerequest=true
+ * the dialog asks again for only the permissions the user declined.
+ * GET /auth/start?returnUrl=RETURN_URL&rerequest=true
  */
-router.get('/start', async (req, res) => {
+router.get('/start', authenticate('auth:connect'), async (req, res, next) => {
   try {
-    const { userId } = req.query;
+    const { userId } = req.auth;
+    const { returnUrl, rerequest } = req.query;
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'userId is required'
-      });
+    if (!metaAuth.isConfigured()) {
+      throw new AppError('Meta OAuth credentials not configured', { statusCode: 500, errorCode: 'NOT_CONFIGURED' });
     }
 
-    if (!META_APP_ID || !META_APP_SECRET) {
-      return res.status(500).json({
-        success: false,
-        error: 'Meta OAuth credentials not configured'
-      });
+    if (returnUrl && !oauthState.isAllowedReturnUrl(returnUrl)) {
+      throw new ValidationError('returnUrl is not on the allowed host list');
     }
 
-    // Generate state parameter for security (store userId in state)
-    const state = Buffer.from(JSON.stringify({ userId })).toString('base64');
-
-    // Required permissions for Meta Ads API
-    const scope = [
-      'ads_read',
-      'ads_management',
-      'business_management',
-      'leads_retrieval'
-    ].join(',');
+    let options = {};
+    if (rerequest === 'true') {
+      const userToken = await UserToken.findOne({ userId });
+      const declined = metaAuth.SCOPES.filter(scope => (userToken?.declinedPermissions || []).includes(scope));
+      options = { permissions: declined.length > 0 ? declined : metaAuth.SCOPES, rerequest: true };
+    }
 
-    const authUrl = `https://www.facebook.com/v18.0/dialog/oauth?` +
-      `client_id=${META_APP_ID}` +
-      `&redirect_uri=${encodeURIComponent(META_REDIRECT_URI)}` +
-      `&scope=${scope}` +
-      `&state=${state}` +
-      `&response_type=code`;
+    const authUrl = await metaAuth.buildAuthUrl(userId, returnUrl || null, options);
 
     res.json({
       success: true,
@@ -53,11 +43,7 @@ router.get('/start', async (req, res) => {
       message: 'Redirect user to this URL to authenticate'
     });
   } catch (error) {
-    console.error('Error generating auth URL:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate authentication URL'
-    });
+    next(error);
   }
 });
 
@@ -65,55 +51,30 @@ router.get('/start', async (req, res) => {
  * Handle OAuth callback from Meta
  * GET /auth/callback?code=CODE&state=STATE
  */
-router.get('/callback', async (req, res) => {
+router.get('/callback', async (req, res, next) => {
   try {
     const { code, state, error } = req.query;
 
     if (error) {
-      return res.status(400).json({
-        success: false,
-        error: `OAuth error: ${error}`
-      });
+      throw new ValidationError(`OAuth error: ${error}`);
     }
 
     if (!code || !state) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing code or state parameter'
-      });
+      throw new ValidationError('Missing code or state parameter');
     }
 
-    // Decode state to get userId
-    let userId;
-    try {
-      const decodedState = JSON.parse(Buffer.from(state, 'base64').toString());
-      userId = decodedState.userId;
-    } catch (e) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid state parameter'
-      });
-    }
+    // Verify and consume the signed state to get the user who started the flow
+    const stateData = await oauthState.consumeState(state);
 
-    // Exchange code for access token
-    const tokenUrl = 'https://graph.facebook.com/v18.0/oauth/access_token';
-    const tokenParams = {
-      client_id: META_APP_ID,
-      client_secret: META_APP_SECRET,
-      redirect_uri: META_REDIRECT_URI,
-      code: code
-    };
-
-    const tokenResponse = await axios.get(tokenUrl, { params: tokenParams });
-
-    if (!tokenResponse.data.access_token) {
-      return res.status(400).json({
-        success: false,
-        error: 'Failed to obtain access token'
-      });
+    if (!stateData) {
+      throw new ValidationError('Invalid, expired or already used state parameter');
     }
 
-    const { access_token, expires_in, token_type } = tokenResponse.data;
+    const { userId, returnUrl } = stateData;
+
+    // Exchange code for access token (a rejected code is a 400 MetaValidationError)
+    const exchanged = await metaAuth.exchangeCodeForToken(code);
+    const { access_token, expires_in, token_type } = exchanged;
 
     // Calculate expiration date
     const expiresAt = expires_in 
@@ -125,114 +86,227 @@ router.get('/callback', async (req, res) => {
     let longLivedExpiresAt = expiresAt;
 
     try {
-      const longLivedUrl = 'https://graph.facebook.com/v18.0/oauth/access_token';
-      const longLivedParams = {
-        grant_type: 'fb_exchange_token',
-        client_id: META_APP_ID,
-        client_secret: META_APP_SECRET,
-        fb_exchange_token: access_token
-      };
-
-      const longLivedResponse = await axios.get(longLivedUrl, { params: longLivedParams });
-      
-      if (longLivedResponse.data.access_token) {
-        longLivedToken = longLivedResponse.data.access_token;
-        const longLivedExpiresIn = longLivedResponse.data.expires_in || 5184000; // 60 days default
-        longLivedExpiresAt = new Date(Date.now() + longLivedExpiresIn * 1000);
-      }
+      const longLived = await metaAuth.exchangeForLongLivedToken(access_token);
+      longLivedToken = longLived.accessToken;
+      longLivedExpiresAt = longLived.expiresAt;
     } catch (error) {
       console.warn('Failed to exchange for long-lived token:', error.message);
       // Continue with short-lived token
     }
 
-    // Get user's ad account (optional, for convenience)
-    let adAccountId = null;
+    // The app-scoped Meta user ID maps Meta's deauthorize and data deletion callbacks to this user
+    let metaUserId = null;
     try {
-      const accountsResponse = await axios.get('https://graph.facebook.com/v18.0/me/adaccounts', {
-        params: {
-          access_token: longLivedToken,
-          fields: 'id,account_id',
-          limit: 1
-        }
-      });
-      
-      if (accountsResponse.data.data && accountsResponse.data.data.length > 0) {
-        adAccountId = accountsResponse.data.data[0].id;
-      }
+      metaUserId = await metaAuth.getMetaUserId(longLivedToken);
     } catch (error) {
-      console.warn('Failed to fetch ad account:', error.message);
+      console.warn('Failed to fetch Meta user ID:', error.message);
+    }
+
+    // The user may have declined some of the requested permissions
+    let permissions = null;
+    try {
+      permissions = await metaAuth.getPermissions(longLivedToken);
+    } catch (error) {
+      console.warn('Failed to fetch granted permissions:', error.message);
     }
 
     // Save or update token in database
     const tokenData = {
       userId: userId,
+      metaUserId: metaUserId,
+      grantedPermissions: permissions ? permissions.granted : null,
+      declinedPermissions: permissions ? permissions.declined : null,
+      permissionsCheckedAt: permissions ? new Date() : null,
       accessToken: longLivedToken,
       expiresAt: longLivedExpiresAt,
       tokenType: token_type || 'Bearer',
-      adAccountId: adAccountId
+      status: 'active',
+      invalidReason: null,
+      invalidatedAt: null,
+      lastRefreshedAt: new Date()
     };
 
-    await UserToken.findOneAndUpdate(
+    const userToken = await UserToken.findOneAndUpdate(
       { userId: userId },
       tokenData,
       { upsert: true, new: true }
     );
 
+    // Link every accessible ad account (keeps an existing default if still accessible)
+    try {
+      await adAccounts.syncAccounts(userToken);
+    } catch (error) {
+      console.warn('Failed to sync ad accounts:', error.message);
+    }
+
+    await auditLog.record({
+      actor: { userId: userId, source: 'oauth', ip: req.ip || null },
+      action: 'auth.connect',
+      adAccountId: userToken.adAccountId,
+      target: { type: 'user', id: userId },
+      after: {
+        expiresAt: longLivedExpiresAt,
+        metaUserId: metaUserId,
+        declinedPermissions: permissions ? permissions.declined : null
+      },
+      outcome: 'success'
+    });
+
+    if (returnUrl) {
+      const redirectUrl = new URL(returnUrl);
+      redirectUrl.searchParams.set('status', 'success');
+      return res.redirect(redirectUrl.toString());
+    }
+
     res.json({
       success: true,
       message: 'Authentication successful',
       userId: userId,
-      expiresAt: longLivedExpiresAt
+      expiresAt: longLivedExpiresAt,
+      adAccountId: userToken.adAccountId,
+      declinedPermissions: userToken.declinedPermissions
     });
   } catch (error) {
-    console.error('Error in OAuth callback:', error);
-    res.status(500).json({
-      success: false,
-      error: error.response?.data?.error?.message || error.message || 'Authentication failed'
-    });
+    next(error);
   }
 });
 
 /**
  * Check authentication status for a user
- * GET /auth/status?userId=USER_ID
+ * GET /auth/status
  */
-router.get('/status', async (req, res) => {
+router.get('/status', authenticate('auth:read'), async (req, res, next) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'userId is required'
-      });
-    }
+    const { userId } = req.auth;
 
     const userToken = await UserToken.findOne({ userId });
 
     if (!userToken) {
-      return res.json({
-        success: false,
-        authenticated: false,
-        message: 'User not authenticated'
-      });
+      throw new AuthenticationError('User not authenticated. Please complete OAuth flow first.');
     }
 
     const isExpired = userToken.isExpired();
 
     res.json({
       success: true,
-      authenticated: !isExpired,
+      authenticated: userToken.isUsable(),
       expired: isExpired,
+      status: userToken.status,
+      invalidReason: userToken.invalidReason,
+      grantedPermissions: userToken.grantedPermissions,
+      declinedPermissions: userToken.declinedPermissions,
       expiresAt: userToken.expiresAt,
       adAccountId: userToken.adAccountId
     });
   } catch (error) {
-    console.error('Error checking auth status:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to check authentication status'
+    next(error);
+  }
+});
+
+/**
+ * Disconnect Meta: revoke the app's permissions on Meta and delete the
+ * stored token and ad accounts
+ * POST /auth/disconnect
+ */
+router.post('/disconnect', authenticate('auth:connect'), async (req, res, next) => {
+  try {
+    const userToken = await UserToken.findOne({ userId: req.auth.userId });
+
+    if (!userToken) {
+      throw new NotFoundError('No Meta connection to disconnect');
+    }
+
+    const result = await connections.disconnect(userToken, auditLog.actorFromRequest(req));
+
+    res.json({
+      success: true,
+      message: result.revoked
+        ? 'Meta disconnected and permissions revoked'
+        : 'Meta disconnected; permissions could not be revoked on Meta',
+      revoked: result.revoked,
+      workspaceIds: result.workspaceIds
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Read the Meta user ID from a signed_request posted by Meta
+ */
+const parseCallback = (req) => {
+  const payload = metaAuth.parseSignedRequest(req.body && req.body.signed_request);
+
+  if (!payload) {
+    throw new ValidationError('Missing or invalid signed_request');
+  }
+
+  return String(payload.user_id);
+};
+
+/**
+ * Base URL of this service, as registered with Meta
+ */
+const publicBaseUrl = (req) => {
+  return metaConfig.redirectUri ? new URL(metaConfig.redirectUri).origin : `${req.protocol}://${req.get('host')}`;
+};
+
+/**
+ * Deauthorize callback, called by Meta when a user removes the app
+ * POST /auth/deauthorize  (form body: signed_request=SIGNED_REQUEST)
+ */
+router.post('/deauthorize', async (req, res, next) => {
+  try {
+    const invalidated = await connections.deauthorize(parseCallback(req));
+
+    res.json({
+      success: true,
+      invalidated: invalidated
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Data deletion callback, called by Meta when a user asks for their data
+ * to be deleted. Meta shows the returned URL and code to the user.
+ * POST /auth/data-deletion  (form body: signed_request=SIGNED_REQUEST)
+ */
+router.post('/data-deletion', async (req, res, next) => {
+  try {
+    const request = await connections.requestDataDeletion(parseCallback(req));
+
+    res.json({
+      url: `${publicBaseUrl(req)}/auth/data-deletion/${request.confirmationCode}`,
+      confirmation_code: request.confirmationCode
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Status of a data deletion request
+ * GET /auth/data-deletion/:code
+ */
+router.get('/data-deletion/:code', async (req, res, next) => {
+  try {
+    const request = await connections.getDeletionRequest(req.params.code);
+
+    if (!request) {
+      throw new NotFoundError('Data deletion request not found');
+    }
+
+    res.json({
+      success: true,
+      confirmationCode: request.confirmationCode,
+      status: request.status,
+      requestedAt: request.createdAt,
+      completedAt: request.completedAt
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -0,0 +1,81 @@
+const express = require('express');
+const cliq = require('../services/cliq');
+const cliqCommands = require('../services/cliqCommands');
+const { AppError, AuthenticationError, ValidationError } = require('../services/errors');
+const router = express.Router();
+
+/**
+ * Middleware to verify the Cliq request signature and resolve the Cliq user,
+ * plus the organization and channel the request came from (they pick the
+ * user's workspace)
+ */
+const verifyCliqRequest = (req, res, next) => {
+  try {
+    if (!cliq.isConfigured()) {
+      throw new AppError('Cliq public key not configured', { statusCode: 500, errorCode: 'NOT_CONFIGURED' });
+    }
+
+    if (!cliq.verifySignature(req.rawBody, req.get('X-Cliq-Signature'))) {
+      throw new AuthenticationError('Invalid Cliq signature');
+    }
+
+    const userId = req.body.user && req.body.user.id;
+
+    if (!userId) {
+      throw new ValidationError('user.id is required');
+    }
+
+    req.cliqUserId = String(userId);
+    req.cliqContext = {
+      cliqOrgId: req.body.user.organization_id ? String(req.body.user.organization_id) : null,
+      cliqChannel: (req.body.chat && req.body.chat.channel_unique_name) || null
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run a command and reply with a Cliq message card
+ */
+const replyWithCommand = async (req, res, text) => {
+  try {
+    const message = await cliqCommands.runCommand(req.cliqUserId, text, req.cliqContext);
+    res.json(message);
+  } catch (error) {
+    console.error('Error handling Cliq request:', error);
+    res.json(cliq.buildErrorMessage('Something went wrong. Please try again.'));
+  }
+};
+
+/**
+ * Slash command handler
+ * POST /cliq/commands  { name: "metaads", arguments: "spend last_7d", user: { id } }
+ */
+router.post('/commands', verifyCliqRequest, async (req, res) => {
+  await replyWithCommand(req, res, req.body.arguments);
+});
+
+/**
+ * Bot message and mention handler
+ * POST /cliq/bot  { message: { text: "@MetaAds spend last_7d" }, user: { id } }
+ */
+router.post('/bot', verifyCliqRequest, async (req, res) => {
+  const { message } = req.body;
+  const text = typeof message === 'string' ? message : message && message.text;
+
+  await replyWithCommand(req, res, text);
+});
+
+/**
+ * Button action handler
+ * POST /cliq/actions  { arguments: { command: "spend last_30d" }, user: { id } }
+ */
+router.post('/actions', verifyCliqRequest, async (req, res) => {
+  const args = req.body.arguments || {};
+
+  await replyWithCommand(req, res, args.command);
+});
+
+module.exports = router;
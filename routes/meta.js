@@ -1,109 +1,165 @@
 const express = require('express');
-const UserToken = require('../models/UserToken');
+const LeadSubscription = require('../models/LeadSubscription');
+const Schedule = require('../models/Schedule');
+const AlertRule = require('../models/AlertRule');
 const metaApi = require('../services/metaApi');
+const metaCache = require('../services/metaCache');
+const adAccounts = require('../services/adAccounts');
+const workspaces = require('../services/workspaces');
+const adManagement = require('../services/adManagement');
+const insightsQuery = require('../services/insightsQuery');
+const reportExport = require('../services/reportExport');
+const approvals = require('../services/approvals');
+const auditLog = require('../services/auditLog');
+const scheduler = require('../services/scheduler');
+const digests = require('../services/digests');
+const alerts = require('../services/alerts');
+const { authenticate } = require('../middleware/authenticate');
+const { validateUserAndToken, requirePermissions } = require('../middleware/metaUser');
+const { ValidationError, NotFoundError, ConflictError } = require('../services/errors');
 const router = express.Router();
 
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
 /**
- * Middleware to validate userId and get access token
+ * Read cursor pagination options from the query string
+ * (after / before cursor, or all=true to walk every page server-side)
  */
-const validateUserAndToken = async (req, res, next) => {
-  try {
-    const { userId } = req.query;
+const paginationParams = (query) => ({
+  after: query.after,
+  before: query.before,
+  all: query.all === 'true'
+});
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'userId is required'
-      });
-    }
+/**
+ * Build the JSON body for a list response
+ */
+const listResponse = (result) => ({
+  success: true,
+  data: result.data || result,
+  paging: metaApi.formatPaging(result.paging),
+  ...(result.truncated !== undefined && { truncated: result.truncated })
+});
 
-    const userToken = await UserToken.findOne({ userId });
+/**
+ * Read through the Meta cache for the request's user and ad account
+ * (fresh=true skips the cached value) and set the cache headers
+ * @param {string} resource - Cached resource (sets the default TTL)
+ * @param {object} params - Parameters of the Meta call (part of the key)
+ * @param {Function} fetch - Meta call for a miss
+ * @param {number} ttlSeconds - Optional TTL override
+ */
+const cachedRead = async (req, res, resource, params, fetch, ttlSeconds) => {
+  const result = await metaCache.read({ userId: req.userToken.userId, adAccountId: req.adAccountId }, resource, params, fetch, {
+    fresh: req.query.fresh === 'true',
+    ...(ttlSeconds !== undefined && { ttlSeconds })
+  });
+  metaCache.setCacheHeaders(res, result);
+  return result.value;
+};
 
-    if (!userToken) {
-      return res.status(401).json({
-        success: false,
-        error: 'User not authenticated. Please complete OAuth flow first.'
-      });
-    }
+/**
+ * Query filter for the digests and alert rules of the request's Meta
+ * connection. Workspace members only reach records on their ad accounts.
+ * @param {string} accountField - Field holding the record's ad account ID
+ */
+const connectionRecords = (req, accountField = 'adAccountId') => ({
+  userId: req.userToken.userId,
+  ...(req.access.adAccountIds && { [accountField]: { $in: req.access.adAccountIds } })
+});
 
-    if (userToken.isExpired()) {
-      return res.status(401).json({
-        success: false,
-        error: 'Access token expired. Please re-authenticate.',
-        expired: true
-      });
-    }
+/**
+ * Query filter for the lead subscriptions of the request's workspace
+ * (or of the user's own connection outside a workspace)
+ */
+const subscriptionRecords = (req) => ({
+  userId: req.userToken.userId,
+  workspaceId: req.workspace ? req.workspace._id : null
+});
 
-    // Attach token info to request
-    req.userToken = userToken;
-    req.accessToken = userToken.accessToken;
-    req.adAccountId = userToken.adAccountId || req.query.adAccountId;
+/**
+ * Reject campaign, ad set or ad IDs from the caller that are not in the
+ * request's ad account (they are read with the connection's token)
+ * @param {object} ids - { campaign, adset, ad }
+ */
+const assertInAccount = (req, ids) =>
+  adManagement.assertInAccount(req.userToken, req.adAccountId, ids, { adAccountIds: req.access.adAccountIds });
 
-    next();
-  } catch (error) {
-    console.error('Error validating user token:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to validate authentication'
-    });
-  }
-};
+/**
+ * Stream every page of a list as a CSV, XLSX or PDF download
+ * @param {object} report - format, name (file name prefix), title, columns
+ * @param {Function} fetchList - (pageParams) => metaApi list call; pageParams walk all pages
+ * @param {Function} toRows - Optional mapping of each page before it is written
+ */
+const sendListExport = (req, res, { format, name, title, columns }, fetchList, toRows = rows => rows) =>
+  reportExport.sendReport(res, {
+    format,
+    columns,
+    currency: req.adAccount.currency,
+    title: `${title} - ${req.adAccount.name || req.adAccountId}`,
+    filename: reportExport.buildFilename(name, req.adAccountId, format)
+  }, write => fetchList({
+    all: true,
+    maxItems: reportExport.EXPORT_MAX_ROWS,
+    onPage: rows => write(toRows(rows))
+  }));
 
 /**
  * Get user's ad campaigns
- * GET /meta/campaigns?userId=USER_ID&adAccountId=ACT_123&limit=25
+ * GET /meta/campaigns?adAccountId=ACT_123&limit=25&after=CURSOR&all=true
+ * GET /meta/campaigns?adAccountId=ACT_123&format=csv (or xlsx, pdf; every page)
  */
-router.get('/campaigns', validateUserAndToken, async (req, res) => {
+router.get('/campaigns', authenticate('campaigns:read'), validateUserAndToken, requirePermissions('ads_read'), async (req, res, next) => {
   try {
     const { limit, fields } = req.query;
     const adAccountId = req.adAccountId;
 
     if (!adAccountId) {
-      return res.status(400).json({
-        success: false,
-        error: 'adAccountId is required. Provide it in query params or complete OAuth to auto-detect.'
-      });
+      throw new ValidationError('adAccountId is required. Provide it in query params or set a default with PUT /meta/accounts/default.');
+    }
+
+    const format = reportExport.resolveFormat(req);
+    if (format) {
+      return await sendListExport(req, res, {
+        format,
+        name: 'campaigns',
+        title: 'Campaigns',
+        columns: reportExport.REPORT_COLUMNS.campaigns
+      }, pageParams => metaApi.getCampaigns(req.accessToken, adAccountId, pageParams));
     }
 
-    const campaigns = await metaApi.getCampaigns(req.accessToken, adAccountId, {
+    const params = {
       limit: limit || 25,
-      fields: fields
-    });
+      fields: fields,
+      ...paginationParams(req.query)
+    };
+    const campaigns = await cachedRead(req, res, 'campaigns', params, () => metaApi.getCampaigns(req.accessToken, adAccountId, params));
 
-    res.json({
-      success: true,
-      data: campaigns.data || campaigns,
-      paging: campaigns.paging
-    });
+    res.json(listResponse(campaigns));
   } catch (error) {
-    console.error('Error fetching campaigns:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to fetch campaigns'
-    });
+    next(error);
   }
 });
 
 /**
  * Get spend/insights data
- * GET /meta/spend?userId=USER_ID&adAccountId=ACT_123&datePreset=last_30d&level=campaign
+ * GET /meta/spend?adAccountId=ACT_123&datePreset=last_30d&level=campaign&after=CURSOR&all=true
+ * GET /meta/spend?adAccountId=ACT_123&datePreset=last_30d&format=csv (or xlsx, pdf; every page)
  */
-router.get('/spend', validateUserAndToken, async (req, res) => {
+router.get('/spend', authenticate('spend:read'), validateUserAndToken, requirePermissions('ads_read'), async (req, res, next) => {
   try {
     const { datePreset, level, timeRange, limit } = req.query;
     const adAccountId = req.adAccountId;
 
     if (!adAccountId) {
-      return res.status(400).json({
-        success: false,
-        error: 'adAccountId is required'
-      });
+      throw new ValidationError('adAccountId is required');
     }
 
     const params = {
       datePreset: datePreset || 'last_30d',
       level: level || 'campaign',
-      limit: limit || 25
+      limit: limit || 25,
+      ...paginationParams(req.query)
     };
 
     // Parse timeRange if provided as JSON string
@@ -111,117 +167,957 @@ router.get('/spend', validateUserAndToken, async (req, res) => {
       try {
         params.timeRange = JSON.parse(timeRange);
       } catch (e) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid timeRange format. Expected JSON string like: {"since":"2024-01-01","until":"2024-01-31"}'
-        });
+        throw new ValidationError('Invalid timeRange format. Expected JSON string like: {"since":"2024-01-01","until":"2024-01-31"}');
       }
     }
 
-    const spend = await metaApi.getSpend(req.accessToken, adAccountId, params);
+    const format = reportExport.resolveFormat(req);
+    if (format) {
+      return await sendListExport(req, res, {
+        format,
+        name: 'spend',
+        title: `Spend (${params.timeRange ? `${params.timeRange.since} to ${params.timeRange.until}` : params.datePreset})`,
+        columns: reportExport.REPORT_COLUMNS.spend
+      }, pageParams => metaApi.getSpend(req.accessToken, adAccountId, { ...params, ...pageParams }));
+    }
+
+    const spend = await cachedRead(req, res, 'insights', { report: 'spend', ...params },
+      () => metaApi.getSpend(req.accessToken, adAccountId, params),
+      metaCache.insightsTtl(params.timeRange?.until, req.adAccount.timezoneName));
+
+    res.json(listResponse(spend));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Query insights with breakdowns, time increments, attribution windows and
+ * conversions per action type (see services/insightsQuery.js for the whitelists)
+ * GET /meta/insights?adAccountId=ACT_123&level=campaign&metrics=spend,conversions,cpa,roas
+ *   &actionTypes=lead,purchase&breakdowns=age,gender&timeIncrement=daily&attributionWindows=7d_click,1d_view
+ *   &datePreset=last_30d (or since=2024-01-01&until=2024-01-31)&campaignId=ID&adSetId=ID&limit=25&after=CURSOR&all=true
+ *   &format=csv (or xlsx, pdf; every page)
+ */
+router.get('/insights', authenticate('spend:read'), validateUserAndToken, requirePermissions('ads_read'), async (req, res, next) => {
+  try {
+    if (!req.adAccountId) {
+      throw new ValidationError('adAccountId is required');
+    }
+
+    const { params, options } = insightsQuery.buildQuery(req.query);
+    const normalize = rows => rows.map(row => insightsQuery.normalizeRow(row, options));
+
+    const format = reportExport.resolveFormat(req);
+    if (format) {
+      return await sendListExport(req, res, {
+        format,
+        name: 'insights',
+        title: 'Insights',
+        columns: reportExport.insightsColumns(options)
+      }, pageParams => metaApi.getInsights(req.accessToken, req.adAccountId, { ...params, ...pageParams }), normalize);
+    }
+
+    const pageParams = {
+      ...params,
+      limit: req.query.limit || 25,
+      ...paginationParams(req.query)
+    };
+    const insights = await cachedRead(req, res, 'insights', pageParams,
+      () => metaApi.getInsights(req.accessToken, req.adAccountId, pageParams),
+      metaCache.insightsTtl(req.query.until, req.adAccount.timezoneName));
 
     res.json({
-      success: true,
-      data: spend.data || spend,
-      paging: spend.paging
+      ...listResponse(insights),
+      data: normalize(insights.data || []),
+      currency: req.adAccount.currency
     });
   } catch (error) {
-    console.error('Error fetching spend data:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to fetch spend data'
-    });
+    next(error);
   }
 });
 
 /**
- * Get leads
- * GET /meta/leads?userId=USER_ID&adAccountId=ACT_123&limit=25
+ * Get leads across all lead forms, flattened into rows
+ * GET /meta/leads?adAccountId=ACT_123&formId=FORM_ID&campaignId=CAMPAIGN_ID&adSetId=ADSET_ID&adId=AD_ID
+ *   &since=2024-01-01&until=2024-01-31&limit=25&after=CURSOR&all=true
+ * GET /meta/leads?adAccountId=ACT_123&formId=FORM_ID&format=csv (or xlsx, pdf; every lead up to the cap)
  */
-router.get('/leads', validateUserAndToken, async (req, res) => {
+router.get('/leads', authenticate('leads:read'), validateUserAndToken, requirePermissions('leads_retrieval'), async (req, res, next) => {
   try {
-    const { limit } = req.query;
+    const { limit, formId, campaignId, adSetId, adId, since, until, after } = req.query;
     const adAccountId = req.adAccountId;
 
     if (!adAccountId) {
-      return res.status(400).json({
-        success: false,
-        error: 'adAccountId is required'
-      });
+      throw new ValidationError('adAccountId is required');
     }
 
-    const leads = await metaApi.getLeads(req.accessToken, adAccountId, {
-      limit: limit || 25
+    const sinceDate = since ? new Date(since) : null;
+    const untilDate = until ? new Date(until) : null;
+
+    if ((sinceDate && isNaN(sinceDate)) || (untilDate && isNaN(untilDate))) {
+      throw new ValidationError('Invalid since/until. Expected a date like 2024-01-31 or an ISO timestamp');
+    }
+
+    // Leads of an ad are read from the ad; the other filters apply to the account's forms
+    await assertInAccount(req, { ad: adId });
+
+    const format = reportExport.resolveFormat(req);
+    // Files hold every lead; form answers decide the columns, so they are not streamed
+    const all = Boolean(format) || req.query.all === 'true';
+
+    const params = {
+      limit: Math.min(parseInt(limit, 10) || 25, 500),
+      formId,
+      campaignId,
+      adSetId,
+      adId,
+      since: sinceDate,
+      until: untilDate,
+      after,
+      all: all
+    };
+    // Lead rows carry personal data, so they are never cached
+    const leads = await metaApi.getLeads(req.accessToken, adAccountId, params);
+
+    // Lead rows carry personal data, so every export is audited
+    await auditLog.record({
+      actor: auditLog.actorFromRequest(req),
+      action: 'leads.export',
+      adAccountId: adAccountId,
+      outcome: 'success',
+      metadata: {
+        filters: { formId, campaignId, adSetId, adId, since, until, after, all: all },
+        format: format || 'json',
+        count: leads.data.length
+      }
     });
 
+    if (format) {
+      return await reportExport.sendReport(res, {
+        format,
+        columns: reportExport.leadColumns(leads.columns),
+        currency: req.adAccount.currency,
+        title: `Leads - ${req.adAccount.name || adAccountId}`,
+        filename: reportExport.buildFilename('leads', adAccountId, format)
+      }, write => write(leads.data));
+    }
+
+    res.set('Cache-Control', 'no-store');
     res.json({
       success: true,
-      data: leads.data || leads,
-      paging: leads.paging
+      data: leads.data,
+      columns: leads.columns,
+      paging: leads.paging,
+      truncated: leads.truncated
     });
   } catch (error) {
-    console.error('Error fetching leads:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to fetch leads'
-    });
+    next(error);
   }
 });
 
 /**
  * Get ad sets
- * GET /meta/adsets?userId=USER_ID&adAccountId=ACT_123&campaignId=CAMPAIGN_ID&limit=25
+ * GET /meta/adsets?adAccountId=ACT_123&campaignId=CAMPAIGN_ID&limit=25&after=CURSOR&all=true
+ * GET /meta/adsets?adAccountId=ACT_123&format=csv (or xlsx, pdf; every page)
  */
-router.get('/adsets', validateUserAndToken, async (req, res) => {
+router.get('/adsets', authenticate('campaigns:read'), validateUserAndToken, requirePermissions('ads_read'), async (req, res, next) => {
   try {
     const { campaignId, limit, fields } = req.query;
     const adAccountId = req.adAccountId;
 
     if (!adAccountId) {
-      return res.status(400).json({
-        success: false,
-        error: 'adAccountId is required'
-      });
+      throw new ValidationError('adAccountId is required');
     }
 
-    const adSets = await metaApi.getAdSets(req.accessToken, adAccountId, campaignId, {
+    await assertInAccount(req, { campaign: campaignId });
+
+    const format = reportExport.resolveFormat(req);
+    if (format) {
+      return await sendListExport(req, res, {
+        format,
+        name: 'adsets',
+        title: 'Ad sets',
+        columns: reportExport.REPORT_COLUMNS.adsets
+      }, pageParams => metaApi.getAdSets(req.accessToken, adAccountId, campaignId, pageParams));
+    }
+
+    const params = {
       limit: limit || 25,
-      fields: fields
+      fields: fields,
+      ...paginationParams(req.query)
+    };
+    const adSets = await cachedRead(req, res, 'adsets', { campaignId, ...params },
+      () => metaApi.getAdSets(req.accessToken, adAccountId, campaignId, params));
+
+    res.json(listResponse(adSets));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get ads with status, creative (title, body, image, thumbnail, call to action)
+ * and insights for a period
+ * GET /meta/ads?adAccountId=ACT_123&campaignId=ID&adSetId=ID&effectiveStatus=ACTIVE,PAUSED
+ *   &datePreset=last_7d (or since=2024-01-01&until=2024-01-31)&limit=25&after=CURSOR&all=true
+ * GET /meta/ads?adAccountId=ACT_123&format=csv (or xlsx, pdf; every page)
+ */
+router.get('/ads', authenticate('campaigns:read'), validateUserAndToken, requirePermissions('ads_read'), async (req, res, next) => {
+  try {
+    const { campaignId, adSetId, effectiveStatus, datePreset, since, until, limit } = req.query;
+    const adAccountId = req.adAccountId;
+
+    if (!adAccountId) {
+      throw new ValidationError('adAccountId is required');
+    }
+
+    const statuses = effectiveStatus ? effectiveStatus.split(',').map(status => status.trim().toUpperCase()) : undefined;
+    const unknownStatuses = (statuses || []).filter(status => !metaApi.AD_EFFECTIVE_STATUSES.includes(status));
+    if (unknownStatuses.length > 0) {
+      throw new ValidationError(`Unknown effectiveStatus: ${unknownStatuses.join(', ')}. Expected: ${metaApi.AD_EFFECTIVE_STATUSES.join(', ')}`);
+    }
+
+    if (datePreset && !insightsQuery.DATE_PRESETS.includes(datePreset)) {
+      throw new ValidationError(`Invalid datePreset. Expected one of: ${insightsQuery.DATE_PRESETS.join(', ')}`);
+    }
+
+    if ((since || until) && (!DATE_PATTERN.test(since || '') || !DATE_PATTERN.test(until || '') || since > until)) {
+      throw new ValidationError('since and until must both be dates like 2024-01-31, with since before until');
+    }
+
+    await assertInAccount(req, { campaign: campaignId, adset: adSetId });
+
+    const params = {
+      campaignId,
+      adSetId,
+      effectiveStatus: statuses,
+      datePreset: since ? undefined : (datePreset || 'last_7d'),
+      timeRange: since ? { since, until } : undefined
+    };
+
+    const format = reportExport.resolveFormat(req);
+    if (format) {
+      return await sendListExport(req, res, {
+        format,
+        name: 'ads',
+        title: `Ads (${since ? `${since} to ${until}` : params.datePreset})`,
+        columns: reportExport.REPORT_COLUMNS.ads
+      }, pageParams => metaApi.getAds(req.accessToken, adAccountId, { ...params, ...pageParams }), rows => rows.map(metaApi.flattenAd));
+    }
+
+    const listParams = {
+      ...params,
+      limit: Math.min(parseInt(limit, 10) || 25, 100),
+      ...paginationParams(req.query)
+    };
+    const ads = await cachedRead(req, res, 'ads', listParams,
+      () => metaApi.getAds(req.accessToken, adAccountId, listParams));
+
+    res.json({
+      ...listResponse(ads),
+      data: (ads.data || []).map(metaApi.flattenAd),
+      currency: req.adAccount.currency
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Render an ad as it appears in a placement. Returns Meta's iframe HTML and
+ * its URL, or the HTML page itself with render=html.
+ * GET /meta/ads/:id/preview?adFormat=MOBILE_FEED_STANDARD&render=html
+ */
+router.get('/ads/:id/preview', authenticate('campaigns:read'), validateUserAndToken, requirePermissions('ads_read'), async (req, res, next) => {
+  try {
+    const adFormat = String(req.query.adFormat || 'MOBILE_FEED_STANDARD').toUpperCase();
+
+    if (!metaApi.AD_PREVIEW_FORMATS.includes(adFormat)) {
+      throw new ValidationError(`Invalid adFormat. Expected one of: ${metaApi.AD_PREVIEW_FORMATS.join(', ')}`);
+    }
+
+    // Only ads in the user's ad accounts
+    const { object: ad } = await adManagement.getOwnedObject(req.userToken, 'ad', req.params.id, {
+      adAccountIds: req.access.adAccountIds
+    });
+    const preview = await metaApi.getAdPreview(req.accessToken, ad.id, adFormat);
+
+    if (req.query.render === 'html') {
+      return res.type('html').send(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>Ad preview</title></head><body>${preview.html}</body></html>`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        adId: ad.id,
+        name: ad.name,
+        adFormat: adFormat,
+        html: preview.html,
+        url: preview.url
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Read the dry-run flag from the body or query string
+ */
+const isDryRun = (req) => req.body.dryRun === true || req.body.dryRun === 'true' || req.query.dryRun === 'true';
+
+/**
+ * Build a handler that pauses or activates a campaign, ad set or ad
+ */
+const updateStatusHandler = (type) => async (req, res, next) => {
+  try {
+    const result = await adManagement.updateStatus(req.userToken, type, req.params.id, req.body.status, {
+      dryRun: isDryRun(req),
+      actor: auditLog.actorFromRequest(req),
+      adAccountIds: req.access.adAccountIds
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build a handler that changes the budget of a campaign or ad set
+ */
+const updateBudgetHandler = (type) => async (req, res, next) => {
+  try {
+    const { dailyBudget, lifetimeBudget } = req.body;
+    const result = await adManagement.updateBudget(req.userToken, type, req.params.id, { dailyBudget, lifetimeBudget }, {
+      dryRun: isDryRun(req),
+      actor: auditLog.actorFromRequest(req),
+      adAccountIds: req.access.adAccountIds
+    });
+
+    // Large increases wait for a second user (see /meta/approvals)
+    res.status(result.pendingApproval ? 202 : 200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pause or activate a campaign, ad set or ad
+ * POST /meta/campaigns/:id/status  { "status": "PAUSED", "dryRun": true }
+ * POST /meta/adsets/:id/status
+ * POST /meta/ads/:id/status
+ */
+router.post('/campaigns/:id/status', authenticate('ads:write'), validateUserAndToken, requirePermissions('ads_management'), updateStatusHandler('campaign'));
+router.post('/adsets/:id/status', authenticate('ads:write'), validateUserAndToken, requirePermissions('ads_management'), updateStatusHandler('adset'));
+router.post('/ads/:id/status', authenticate('ads:write'), validateUserAndToken, requirePermissions('ads_management'), updateStatusHandler('ad'));
+
+/**
+ * Change the daily or lifetime budget of a campaign or ad set
+ * (amounts in the account currency, e.g. 50.00)
+ * PATCH /meta/campaigns/:id/budget  { "dailyBudget": 50, "dryRun": true }
+ * PATCH /meta/adsets/:id/budget  { "lifetimeBudget": 1000 }
+ */
+router.patch('/campaigns/:id/budget', authenticate('ads:write'), validateUserAndToken, requirePermissions('ads_management'), updateBudgetHandler('campaign'));
+router.patch('/adsets/:id/budget', authenticate('ads:write'), validateUserAndToken, requirePermissions('ads_management'), updateBudgetHandler('adset'));
+
+/**
+ * List budget changes waiting for approval on the user's ad accounts
+ * GET /meta/approvals?status=pending
+ */
+router.get('/approvals', authenticate('ads:approve'), validateUserAndToken, async (req, res, next) => {
+  try {
+    const data = await approvals.listApprovals(req.userToken.userId, req.query.status || 'pending', {
+      adAccountIds: req.access.adAccountIds
+    });
+
+    res.json({
+      success: true,
+      data: data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Approve a budget change requested by another user and apply it
+ * POST /meta/approvals/:id/approve
+ */
+router.post('/approvals/:id/approve', authenticate('ads:approve'), validateUserAndToken, requirePermissions('ads_management'), async (req, res, next) => {
+  try {
+    const { approval, result } = await approvals.approve(req.userToken, req.params.id, auditLog.actorFromRequest(req), {
+      adAccountIds: req.access.adAccountIds
+    });
+
+    res.json({
+      success: true,
+      data: approval,
+      result: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Reject (or withdraw) a pending budget change
+ * POST /meta/approvals/:id/reject  { "reason": "Over plan" }
+ */
+router.post('/approvals/:id/reject', authenticate('ads:approve'), validateUserAndToken, async (req, res, next) => {
+  try {
+    const approval = await approvals.reject(req.userToken, req.params.id, auditLog.actorFromRequest(req), req.body.reason || null, {
+      adAccountIds: req.access.adAccountIds
+    });
+
+    res.json({
+      success: true,
+      data: approval
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get linked ad accounts for user (in a workspace: the member's accounts),
+ * optionally grouped by the Business Manager they were found through
+ * GET /meta/accounts?refresh=true&groupBy=business
+ */
+router.get('/accounts', authenticate('accounts:read'), validateUserAndToken, requirePermissions('ads_read'), async (req, res, next) => {
+  try {
+    const { refresh, groupBy } = req.query;
+
+    if (groupBy && groupBy !== 'business') {
+      throw new ValidationError('Invalid groupBy. Allowed: business');
+    }
+
+    const accounts = await workspaces.listAccounts(req.access, { refresh: refresh === 'true' });
+    const defaultAdAccountId = workspaces.defaultAccountId(req.access);
+
+    res.json({
+      success: true,
+      data: groupBy === 'business'
+        ? adAccounts.groupByBusiness(accounts, defaultAdAccountId)
+        : accounts.map(account => adAccounts.toResponse(account, defaultAdAccountId)),
+      defaultAdAccountId: defaultAdAccountId,
+      workspaceId: req.workspace ? String(req.workspace._id) : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Change the default ad account (in a workspace: the member's own default)
+ * PUT /meta/accounts/default  { "adAccountId": "act_123" }
+ */
+router.put('/accounts/default', authenticate('accounts:write'), validateUserAndToken, requirePermissions('ads_read'), async (req, res, next) => {
+  try {
+    const { adAccountId } = req.body;
+
+    if (!adAccountId) {
+      throw new ValidationError('adAccountId is required');
+    }
+
+    const account = await workspaces.setDefaultAccount(req.access, adAccountId, auditLog.actorFromRequest(req));
+
+    if (!account) {
+      throw new NotFoundError(`Ad account ${adAccountId} is not linked to your Meta user`);
+    }
+
+    res.json({
+      success: true,
+      data: adAccounts.toResponse(account, workspaces.defaultAccountId(req.access))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Read a relation query parameter: one of owned / client, or both when omitted
+ */
+const businessRelations = (relation) => {
+  if (!relation) {
+    return adAccounts.BUSINESS_RELATIONS;
+  }
+  if (!adAccounts.BUSINESS_RELATIONS.includes(relation)) {
+    throw new ValidationError(`Invalid relation. Allowed: ${adAccounts.BUSINESS_RELATIONS.join(', ')}`);
+  }
+  return [relation];
+};
+
+/**
+ * List the Business Managers of the user (in a workspace: of the connection)
+ * GET /meta/businesses
+ */
+router.get('/businesses', authenticate('accounts:read'), validateUserAndToken, requirePermissions('business_management'), async (req, res, next) => {
+  try {
+    const businesses = await cachedRead(req, res, 'businesses', {}, () => metaApi.getBusinesses(req.accessToken, { all: true }));
+
+    res.json(listResponse(businesses));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List a business's owned and client ad accounts (in a workspace: only the
+ * member's accounts). Each account says whether it is owned or a client's.
+ * GET /meta/businesses/:id/ad-accounts?relation=client
+ */
+router.get('/businesses/:id/ad-accounts', authenticate('accounts:read'), validateUserAndToken, requirePermissions('business_management'), async (req, res, next) => {
+  try {
+    const relations = businessRelations(req.query.relation);
+
+    const accounts = await cachedRead(req, res, 'businesses', { businessId: req.params.id, relations, resource: 'ad_accounts' }, async () => {
+      const lists = await Promise.all(relations.map(relation =>
+        metaApi.getBusinessAdAccounts(req.accessToken, req.params.id, relation, { all: true })));
+      return lists.flatMap((list, i) => list.data.map(account => ({ ...account, relation: relations[i] })));
+    });
+
+    res.json({
+      success: true,
+      data: req.access.adAccountIds
+        ? accounts.filter(account => req.access.adAccountIds.includes(account.id))
+        : accounts
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Pages are not tied to ad accounts, so a workspace member's accounts cannot
+ * limit them: only roles that may subscribe Pages (manager, admin) see them
+ */
+const assertCanReadPages = (req) => workspaces.assertAllowed(req.access, ['leads:notify']);
+
+/**
+ * List a business's owned and client Pages (in a workspace: managers and admins)
+ * GET /meta/businesses/:id/pages?relation=owned
+ */
+router.get('/businesses/:id/pages', authenticate('accounts:read'), validateUserAndToken, requirePermissions('business_management'), async (req, res, next) => {
+  try {
+    assertCanReadPages(req);
+    const relations = businessRelations(req.query.relation);
+
+    const pages = await cachedRead(req, res, 'businesses', { businessId: req.params.id, relations, resource: 'pages' }, async () => {
+      const lists = await Promise.all(relations.map(relation =>
+        metaApi.getBusinessPages(req.accessToken, req.params.id, relation, { all: true })));
+      return lists.flatMap((list, i) => list.data.map(page => ({ ...page, relation: relations[i] })));
+    });
+
+    res.json({
+      success: true,
+      data: pages
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List the lead forms of a Page (in a workspace: managers and admins)
+ * GET /meta/pages/:id/lead-forms
+ */
+router.get('/pages/:id/lead-forms', authenticate('leads:read'), validateUserAndToken, requirePermissions('leads_retrieval'), async (req, res, next) => {
+  try {
+    assertCanReadPages(req);
+    const forms = await cachedRead(req, res, 'businesses', { pageId: req.params.id, resource: 'lead_forms' }, () =>
+      metaApi.getPageLeadForms(req.accessToken, req.params.id));
+
+    res.json({
+      success: true,
+      data: forms
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List the user's real-time lead subscriptions
+ * GET /meta/lead-subscriptions
+ */
+router.get('/lead-subscriptions', authenticate('leads:read'), validateUserAndToken, requirePermissions('leads_retrieval'), async (req, res, next) => {
+  try {
+    const subscriptions = await LeadSubscription.find(subscriptionRecords(req)).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: subscriptions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Post new leads of a Facebook Page to a Cliq channel in real time
+ * POST /meta/lead-subscriptions  { "pageId": "PAGE_ID", "channel": "CHANNEL_UNIQUE_NAME" }
+ */
+router.post('/lead-subscriptions', authenticate('leads:notify'), validateUserAndToken, requirePermissions('leads_retrieval'), async (req, res, next) => {
+  try {
+    const { pageId, channel } = req.body;
+
+    if (!pageId || !channel) {
+      throw new ValidationError('pageId and channel are required');
+    }
+
+    // Reading the page with the user's token proves the user can access it
+    const page = await metaApi.makeGraphApiRequest(req.accessToken, `/${pageId}`, {
+      fields: 'id,name,access_token'
+    });
+
+    const owner = subscriptionRecords(req);
+    const taken = () => new ConflictError(`Page ${page.id} already posts leads to channel ${channel} for another user or workspace`);
+    if (await LeadSubscription.exists({ pageId: page.id, channel: channel, $nor: [owner] })) {
+      throw taken();
+    }
+
+    // Subscribe the app to the page's leadgen events (needs a page token)
+    let pageSubscribed = false;
+    if (page.access_token) {
+      try {
+        await metaApi.makeGraphApiPost(page.access_token, `/${page.id}/subscribed_apps`, {
+          subscribed_fields: 'leadgen'
+        });
+        pageSubscribed = true;
+      } catch (error) {
+        console.warn(`Failed to subscribe app to page ${page.id}:`, error.message);
+      }
+    }
+
+    // Owner fields in the filter: another owner's pair fails the unique index
+    const subscription = await LeadSubscription.findOneAndUpdate(
+      { pageId: page.id, channel: channel, ...owner },
+      { pageName: page.name || null },
+      { upsert: true, new: true }
+    ).catch(error => {
+      throw error.code === 11000 ? taken() : error;
+    });
+
+    await auditLog.record({
+      actor: auditLog.actorFromRequest(req),
+      action: 'lead_subscription.create',
+      target: { type: 'page', id: page.id, name: page.name || null },
+      after: { channel: channel, pageSubscribed: pageSubscribed },
+      outcome: 'success'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: subscription,
+      pageSubscribed: pageSubscribed,
+      ...(!pageSubscribed && {
+        warning: 'Could not subscribe the app to this page\'s leadgen events. Subscribe it in the Meta app dashboard.'
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Stop posting a page's leads to a channel
+ * DELETE /meta/lead-subscriptions/:id
+ */
+router.delete('/lead-subscriptions/:id', authenticate('leads:notify'), validateUserAndToken, async (req, res, next) => {
+  try {
+    const subscription = await LeadSubscription.findOneAndDelete({
+      _id: req.params.id,
+      ...subscriptionRecords(req)
+    });
+
+    if (!subscription) {
+      throw new NotFoundError('Lead subscription not found');
+    }
+
+    await auditLog.record({
+      actor: auditLog.actorFromRequest(req),
+      action: 'lead_subscription.delete',
+      target: { type: 'page', id: subscription.pageId, name: subscription.pageName },
+      before: { channel: subscription.channel },
+      outcome: 'success'
+    });
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List the user's scheduled digests
+ * GET /meta/digests
+ */
+router.get('/digests', authenticate('digests:manage'), validateUserAndToken, async (req, res, next) => {
+  try {
+    const schedules = await Schedule.find({ ...connectionRecords(req, 'params.adAccountId'), type: 'digest' }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: schedules
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Post a daily or weekly performance digest of an ad account to a Cliq channel
+ * POST /meta/digests?adAccountId=ACT_123
+ *   { "channel": "CHANNEL_UNIQUE_NAME", "frequency": "weekly", "time": "09:00", "dayOfWeek": "monday", "timezone": "Asia/Kolkata" }
+ */
+router.post('/digests', authenticate('digests:manage'), validateUserAndToken, requirePermissions('ads_read'), async (req, res, next) => {
+  try {
+    const { channel, frequency = 'daily', time, dayOfWeek, timezone } = req.body;
+
+    if (!channel) {
+      throw new ValidationError('channel is required');
+    }
+
+    if (!req.adAccount) {
+      throw new ValidationError('adAccountId is required');
+    }
+
+    const schedule = await scheduler.createSchedule({
+      type: 'digest',
+      userId: req.userToken.userId,
+      cron: digests.buildCron({ frequency, time, dayOfWeek }),
+      // Periods follow the ad account's reporting day unless overridden
+      timezone: timezone || req.adAccount.timezoneName || 'UTC',
+      params: { adAccountId: req.adAccountId, channel, frequency }
+    });
+
+    await auditLog.record({
+      actor: auditLog.actorFromRequest(req),
+      action: 'digest.create',
+      adAccountId: req.adAccountId,
+      target: { type: 'schedule', id: String(schedule._id) },
+      after: { channel, frequency, cron: schedule.cron, timezone: schedule.timezone },
+      outcome: 'success'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: schedule
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Send a digest now, without changing its schedule
+ * POST /meta/digests/:id/send
+ */
+router.post('/digests/:id/send', authenticate('digests:manage'), validateUserAndToken, requirePermissions('ads_read'), async (req, res, next) => {
+  try {
+    const schedule = await Schedule.findOne({ _id: req.params.id, ...connectionRecords(req, 'params.adAccountId'), type: 'digest' });
+
+    if (!schedule) {
+      throw new NotFoundError('Digest not found');
+    }
+
+    await digests.runDigestSchedule(schedule);
 
     res.json({
       success: true,
-      data: adSets.data || adSets,
-      paging: adSets.paging
+      message: `Digest posted to ${schedule.params.channel}`
     });
   } catch (error) {
-    console.error('Error fetching ad sets:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to fetch ad sets'
+    next(error);
+  }
+});
+
+/**
+ * Stop a scheduled digest
+ * DELETE /meta/digests/:id
+ */
+router.delete('/digests/:id', authenticate('digests:manage'), validateUserAndToken, async (req, res, next) => {
+  try {
+    const schedule = await Schedule.findOneAndDelete({ _id: req.params.id, ...connectionRecords(req, 'params.adAccountId'), type: 'digest' });
+
+    if (!schedule) {
+      throw new NotFoundError('Digest not found');
+    }
+
+    await auditLog.record({
+      actor: auditLog.actorFromRequest(req),
+      action: 'digest.delete',
+      adAccountId: schedule.params.adAccountId,
+      target: { type: 'schedule', id: String(schedule._id) },
+      before: { channel: schedule.params.channel, frequency: schedule.params.frequency, cron: schedule.cron },
+      outcome: 'success'
     });
+
+    res.json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
 /**
- * Get ad accounts for user
- * GET /meta/accounts?userId=USER_ID
+ * List the user's alert rules
+ * GET /meta/alerts?adAccountId=ACT_123
  */
-router.get('/accounts', validateUserAndToken, async (req, res) => {
+router.get('/alerts', authenticate('alerts:manage'), validateUserAndToken, async (req, res, next) => {
   try {
-    const accounts = await metaApi.getAdAccounts(req.accessToken);
+    const rules = await AlertRule.find({
+      ...connectionRecords(req),
+      ...(req.query.adAccountId && { adAccountId: req.adAccountId })
+    }).sort({ createdAt: 1 });
 
     res.json({
       success: true,
-      data: accounts.data || accounts,
-      paging: accounts.paging
+      data: rules
     });
   } catch (error) {
-    console.error('Error fetching ad accounts:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to fetch ad accounts'
+    next(error);
+  }
+});
+
+/**
+ * Create an alert rule on an ad account
+ * POST /meta/alerts?adAccountId=ACT_123
+ *   { "name": "Spend over 5000", "type": "threshold", "metric": "spend", "operator": ">", "value": 5000, "window": "today" }
+ */
+router.post('/alerts', authenticate('alerts:manage'), validateUserAndToken, requirePermissions('ads_read'), async (req, res, next) => {
+  try {
+    if (!req.adAccount) {
+      throw new ValidationError('adAccountId is required');
+    }
+
+    const settings = alerts.validateRule(req.body);
+    const rule = await AlertRule.create({
+      ...settings,
+      userId: req.userToken.userId,
+      adAccountId: req.adAccountId
+    });
+
+    await auditLog.record({
+      actor: auditLog.actorFromRequest(req),
+      action: 'alert_rule.create',
+      adAccountId: req.adAccountId,
+      target: { type: 'alert_rule', id: String(rule._id), name: rule.name },
+      after: settings,
+      outcome: 'success'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Change an alert rule (settings are validated like on create)
+ * PATCH /meta/alerts/:id  { "enabled": false } or { "value": 8000, "cooldownMinutes": 120 }
+ */
+router.patch('/alerts/:id', authenticate('alerts:manage'), validateUserAndToken, requirePermissions('ads_read'), async (req, res, next) => {
+  try {
+    const rule = await AlertRule.findOne({ _id: req.params.id, ...connectionRecords(req) });
+
+    if (!rule) {
+      throw new NotFoundError('Alert rule not found');
+    }
+
+    const before = alerts.validateRule(rule.toObject());
+    const settings = alerts.validateRule({ ...rule.toObject(), ...req.body });
+    rule.set({
+      ...settings,
+      ...(req.body.enabled !== undefined && { enabled: Boolean(req.body.enabled) })
+    });
+    await rule.save();
+
+    await auditLog.record({
+      actor: auditLog.actorFromRequest(req),
+      action: 'alert_rule.update',
+      adAccountId: rule.adAccountId,
+      target: { type: 'alert_rule', id: String(rule._id), name: rule.name },
+      before: before,
+      after: { ...settings, enabled: rule.enabled },
+      outcome: 'success'
+    });
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Evaluate an alert rule now. Nothing is sent unless notify=true
+ * (which respects the cooldown like a scheduled check).
+ * POST /meta/alerts/:id/test?notify=true
+ */
+router.post('/alerts/:id/test', authenticate('alerts:manage'), validateUserAndToken, requirePermissions('ads_read'), async (req, res, next) => {
+  try {
+    const rule = await AlertRule.findOne({ _id: req.params.id, ...connectionRecords(req) });
+
+    if (!rule) {
+      throw new NotFoundError('Alert rule not found');
+    }
+
+    const result = await alerts.evaluateRule(rule, { notify: req.query.notify === 'true' });
+
+    res.json({
+      success: true,
+      data: result
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete an alert rule
+ * DELETE /meta/alerts/:id
+ */
+router.delete('/alerts/:id', authenticate('alerts:manage'), validateUserAndToken, async (req, res, next) => {
+  try {
+    const rule = await AlertRule.findOneAndDelete({ _id: req.params.id, ...connectionRecords(req) });
+
+    if (!rule) {
+      throw new NotFoundError('Alert rule not found');
+    }
+
+    await auditLog.record({
+      actor: auditLog.actorFromRequest(req),
+      action: 'alert_rule.delete',
+      adAccountId: rule.adAccountId,
+      target: { type: 'alert_rule', id: String(rule._id), name: rule.name },
+      outcome: 'success'
+    });
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
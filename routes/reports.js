@@ -0,0 +1,194 @@
+const express = require('express');
+const insightSync = require('../services/insightSync');
+const auditLog = require('../services/auditLog');
+const reportExport = require('../services/reportExport');
+const { METRICS } = require('../services/insightMetrics');
+const { authenticate } = require('../middleware/authenticate');
+const { validateUserAndToken, requirePermissions } = require('../middleware/metaUser');
+const { ValidationError, NotFoundError } = require('../services/errors');
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TREND_LEVELS = ['account', ...insightSync.LEVELS];
+
+/**
+ * Daily (or weekly/monthly) metrics of an ad account, campaign, ad set or ad,
+ * answered from the local snapshot store
+ * GET /reports/trend?adAccountId=ACT_123&level=campaign&objectId=ID&days=90&interval=week&metrics=spend,leads,cpl
+ * GET /reports/trend?adAccountId=ACT_123&level=adset&campaignId=ID&since=2024-01-01&until=2024-03-31
+ * GET /reports/trend?adAccountId=ACT_123&days=90&format=csv (or xlsx, pdf)
+ */
+router.get('/trend', authenticate('reports:read'), validateUserAndToken, async (req, res, next) => {
+  try {
+    const { level = 'account', objectId, campaignId, since, until, interval = 'day', metrics, days = '30' } = req.query;
+
+    if (!req.adAccount) {
+      throw new ValidationError('adAccountId is required');
+    }
+
+    if (!TREND_LEVELS.includes(level)) {
+      throw new ValidationError(`Invalid level. Expected one of: ${TREND_LEVELS.join(', ')}`);
+    }
+
+    if (level !== 'account' && !objectId && !campaignId) {
+      throw new ValidationError(`objectId or campaignId is required for level ${level}`);
+    }
+
+    if (!insightSync.INTERVALS.includes(interval)) {
+      throw new ValidationError(`Invalid interval. Expected one of: ${insightSync.INTERVALS.join(', ')}`);
+    }
+
+    const selected = metrics ? metrics.split(',').map(metric => metric.trim()) : METRICS;
+    const unknown = selected.filter(metric => !METRICS.includes(metric));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown metrics: ${unknown.join(', ')}. Expected: ${METRICS.join(', ')}`);
+    }
+
+    // Default range: the last N days up to today in the ad account's timezone
+    const today = insightSync.localToday(req.adAccount.timezoneName || 'UTC');
+    let range;
+    if (since || until) {
+      range = { since, until: until || today };
+    } else {
+      const count = Number(days);
+      if (!Number.isInteger(count) || count < 1 || count > insightSync.MAX_BACKFILL_DAYS) {
+        throw new ValidationError(`days must be a whole number from 1 to ${insightSync.MAX_BACKFILL_DAYS}`);
+      }
+      range = { since: insightSync.addDays(today, -(count - 1)), until: today };
+    }
+
+    if (!DATE_PATTERN.test(range.since || '') || !DATE_PATTERN.test(range.until) || range.since > range.until) {
+      throw new ValidationError('since and until must be dates like 2024-01-31, with since before until');
+    }
+
+    if (insightSync.addDays(range.since, insightSync.MAX_BACKFILL_DAYS) <= range.until) {
+      throw new ValidationError(`Date range cannot exceed ${insightSync.MAX_BACKFILL_DAYS} days`);
+    }
+
+    const format = reportExport.resolveFormat(req);
+
+    const result = await insightSync.getTrend(req.adAccountId, {
+      level,
+      objectId,
+      campaignId,
+      since: range.since,
+      until: range.until,
+      interval,
+      metrics: selected
+    });
+
+    if (format) {
+      return await reportExport.sendReport(res, {
+        format,
+        columns: reportExport.trendColumns(selected),
+        currency: req.adAccount.currency,
+        title: `Trend ${range.since} to ${range.until} - ${req.adAccount.name || req.adAccountId}`,
+        filename: reportExport.buildFilename('trend', req.adAccountId, format)
+      }, write => write(result.data));
+    }
+
+    res.json({
+      success: true,
+      adAccountId: req.adAccountId,
+      currency: req.adAccount.currency,
+      level,
+      interval,
+      since: range.since,
+      until: range.until,
+      data: result.data,
+      coverage: result.coverage
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Snapshot sync state of the user's linked ad accounts (in a workspace:
+ * the member's accounts)
+ * GET /reports/sync
+ */
+router.get('/sync', authenticate('reports:read'), validateUserAndToken, async (req, res, next) => {
+  try {
+    const syncs = await insightSync.listSyncs(req.userToken.userId, { adAccountIds: req.access.adAccountIds });
+
+    res.json({
+      success: true,
+      data: syncs
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Start storing daily insights of an ad account. The first runs backfill
+ * history one chunk at a time; later runs keep the recent days up to date.
+ * POST /reports/sync?adAccountId=ACT_123 { "backfillDays": 365 }
+ */
+router.post('/sync', authenticate('reports:manage'), validateUserAndToken, requirePermissions('ads_read'), async (req, res, next) => {
+  try {
+    if (!req.adAccount) {
+      throw new ValidationError('adAccountId is required');
+    }
+
+    const { sync, created } = await insightSync.enableSync(req.userToken, req.adAccount, {
+      ...(req.body.backfillDays !== undefined && { backfillDays: req.body.backfillDays })
+    });
+
+    if (created) {
+      await auditLog.record({
+        actor: auditLog.actorFromRequest(req),
+        action: 'insights_sync.enable',
+        adAccountId: req.adAccountId,
+        target: { type: 'insight_sync', id: String(sync._id) },
+        after: { backfillFrom: sync.backfillFrom },
+        outcome: 'success'
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created,
+      data: sync
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Stop syncing an ad account (stored snapshots are kept)
+ * DELETE /reports/sync?adAccountId=ACT_123
+ */
+router.delete('/sync', authenticate('reports:manage'), validateUserAndToken, async (req, res, next) => {
+  try {
+    if (!req.adAccount) {
+      throw new ValidationError('adAccountId is required');
+    }
+
+    const sync = await insightSync.disableSync(req.adAccountId);
+
+    if (!sync) {
+      throw new NotFoundError(`Insight sync is not enabled for ${req.adAccountId}`);
+    }
+
+    await auditLog.record({
+      actor: auditLog.actorFromRequest(req),
+      action: 'insights_sync.disable',
+      adAccountId: req.adAccountId,
+      target: { type: 'insight_sync', id: String(sync._id) },
+      before: { syncedFrom: sync.syncedFrom, syncedUntil: sync.syncedUntil },
+      outcome: 'success'
+    });
+
+    res.json({
+      success: true,
+      message: `Insight sync disabled for ${req.adAccountId}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
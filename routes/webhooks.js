@@ -0,0 +1,56 @@
+const express = require('express');
+const leadNotifications = require('../services/leadNotifications');
+const router = express.Router();
+
+/**
+ * Meta webhook verification (subscription handshake)
+ * GET /webhooks/meta?hub.mode=subscribe&hub.verify_token=TOKEN&hub.challenge=CHALLENGE
+ */
+router.get('/meta', (req, res) => {
+  const mode = req.query['hub.mode'];
+  const verifyToken = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  if (!process.env.META_WEBHOOK_VERIFY_TOKEN) {
+    return res.status(500).json({
+      success: false,
+      error: 'Meta webhook verify token not configured'
+    });
+  }
+
+  if (mode !== 'subscribe' || verifyToken !== process.env.META_WEBHOOK_VERIFY_TOKEN) {
+    return res.status(403).json({
+      success: false,
+      error: 'Webhook verification failed'
+    });
+  }
+
+  res.status(200).send(challenge);
+});
+
+/**
+ * Meta webhook events (leadgen)
+ * POST /webhooks/meta  (signed with X-Hub-Signature-256)
+ */
+router.post('/meta', (req, res) => {
+  if (!leadNotifications.verifySignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook signature'
+    });
+  }
+
+  // Acknowledge right away; Meta retries deliveries that take too long
+  res.status(200).json({ success: true });
+
+  leadNotifications.processWebhook(req.body)
+    .then(outcomes => {
+      const failed = outcomes.filter(outcome => outcome === 'failed').length;
+      if (failed > 0) {
+        console.warn(`${failed} of ${outcomes.length} leadgen event(s) failed`);
+      }
+    })
+    .catch(error => console.error('Error processing Meta webhook:', error));
+});
+
+module.exports = router;
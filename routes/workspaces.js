@@ -0,0 +1,150 @@
+const express = require('express');
+const workspaces = require('../services/workspaces');
+const auditLog = require('../services/auditLog');
+const { authenticate } = require('../middleware/authenticate');
+const { ValidationError } = require('../services/errors');
+const router = express.Router();
+
+/**
+ * Send a workspace as seen by the caller
+ */
+const sendWorkspace = (req, res, workspace, statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    data: workspaces.toResponse(workspace, req.auth.userId)
+  });
+};
+
+/**
+ * List the caller's workspaces
+ * GET /workspaces
+ */
+router.get('/', authenticate('workspaces:read'), async (req, res, next) => {
+  try {
+    const data = await workspaces.listWorkspaces(req.auth.userId);
+
+    res.json({
+      success: true,
+      data: data.map(workspace => workspaces.toResponse(workspace, req.auth.userId))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a workspace that shares the caller's Meta connection (the caller
+ * becomes its admin). adAccountIds defaults to every account of the connection.
+ * Map it to Cliq with /metaads workspace map from the channel or organization.
+ * POST /workspaces  { "name": "Growth team", "defaultRole": "viewer", "adAccountIds": ["act_123"] }
+ */
+router.post('/', authenticate('workspaces:manage'), async (req, res, next) => {
+  try {
+    const workspace = await workspaces.createWorkspace(req.auth.userId, req.body, auditLog.actorFromRequest(req));
+    sendWorkspace(req, res, workspace, 201);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a workspace with its members
+ * GET /workspaces/:id
+ */
+router.get('/:id', authenticate('workspaces:read'), async (req, res, next) => {
+  try {
+    sendWorkspace(req, res, await workspaces.getWorkspace(req.auth.userId, req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Change a workspace's name, default role or default ad account, or clear its Cliq mapping (admins)
+ * PATCH /workspaces/:id  { "cliqOrgId": null, "defaultRole": null, "defaultAdAccountId": "act_123" }
+ */
+router.patch('/:id', authenticate('workspaces:manage'), async (req, res, next) => {
+  try {
+    const workspace = await workspaces.updateWorkspace(req.auth.userId, req.params.id, req.body, auditLog.actorFromRequest(req));
+    sendWorkspace(req, res, workspace);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a workspace (admins)
+ * DELETE /workspaces/:id
+ */
+router.delete('/:id', authenticate('workspaces:manage'), async (req, res, next) => {
+  try {
+    const workspace = await workspaces.deleteWorkspace(req.auth.userId, req.params.id, auditLog.actorFromRequest(req));
+    sendWorkspace(req, res, workspace);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Replace the ad accounts shared with the workspace (admins)
+ * PUT /workspaces/:id/accounts  { "adAccountIds": ["act_123", "act_456"] }
+ */
+router.put('/:id/accounts', authenticate('workspaces:manage'), async (req, res, next) => {
+  try {
+    const workspace = await workspaces.linkAccounts(req.auth.userId, req.params.id, req.body.adAccountIds, auditLog.actorFromRequest(req));
+    sendWorkspace(req, res, workspace);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Share the caller's own Meta connection with the workspace instead (admins),
+ * e.g. when the previous admin leaves
+ * PUT /workspaces/:id/connection
+ */
+router.put('/:id/connection', authenticate('workspaces:manage'), async (req, res, next) => {
+  try {
+    const workspace = await workspaces.setConnection(req.auth.userId, req.params.id, auditLog.actorFromRequest(req));
+    sendWorkspace(req, res, workspace);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Add a member or change their role and ad accounts (admins).
+ * Empty adAccountIds gives access to every linked account.
+ * PUT /workspaces/:id/members/:userId  { "role": "analyst", "adAccountIds": ["act_123"] }
+ */
+router.put('/:id/members/:userId', authenticate('workspaces:manage'), async (req, res, next) => {
+  try {
+    if (!req.body.role) {
+      throw new ValidationError('role is required');
+    }
+
+    const workspace = await workspaces.setMember(req.auth.userId, req.params.id, req.params.userId, {
+      role: req.body.role,
+      adAccountIds: req.body.adAccountIds || []
+    }, auditLog.actorFromRequest(req));
+
+    sendWorkspace(req, res, workspace);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Remove a member (admins), or leave the workspace (any member, own user ID)
+ * DELETE /workspaces/:id/members/:userId
+ */
+router.delete('/:id/members/:userId', authenticate('workspaces:manage'), async (req, res, next) => {
+  try {
+    const workspace = await workspaces.removeMember(req.auth.userId, req.params.id, req.params.userId, auditLog.actorFromRequest(req));
+    sendWorkspace(req, res, workspace);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
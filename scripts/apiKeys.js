@@ -0,0 +1,116 @@
+/**
+ * Manage API keys for the /meta and /auth routes.
+ *
+ * Usage:
+ *   npm run api-keys -- create --name "Cliq extension" --scopes spend:read,campaigns:read
+ *   npm run api-keys -- create --name "Reporting" --user USER_ID --scopes '*'
+ *   npm run api-keys -- list
+ *   npm run api-keys -- revoke KEY_ID
+ *
+ * Keys created without --user are integration keys: they act on behalf of
+ * the user named in the X-Cliq-User-Id header.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const ApiKey = require('../models/ApiKey');
+const auditLog = require('../services/auditLog');
+const { generateApiKey } = require('../middleware/authenticate');
+
+const parseOptions = (args) => {
+  const options = { _: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      options._.push(args[i]);
+    }
+  }
+  return options;
+};
+
+const create = async (options) => {
+  if (!options.name || !options.scopes) {
+    throw new Error('--name and --scopes are required');
+  }
+
+  const scopes = options.scopes.split(',').map(scope => scope.trim()).filter(Boolean);
+  const unknown = scopes.filter(scope => scope !== '*' && !ApiKey.SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scope(s): ${unknown.join(', ')}. Available: ${ApiKey.SCOPES.join(', ')}`);
+  }
+
+  const { key, keyId, secretHash } = generateApiKey();
+  await ApiKey.create({
+    keyId,
+    secretHash,
+    name: options.name,
+    userId: options.user || null,
+    scopes
+  });
+
+  await auditLog.record({
+    actor: { source: 'cli' },
+    action: 'api_key.create',
+    target: { type: 'api_key', id: keyId, name: options.name },
+    after: { userId: options.user || null, scopes },
+    outcome: 'success'
+  });
+
+  console.log(`Created API key ${keyId} (${options.user ? `user ${options.user}` : 'integration key'})`);
+  console.log(`Scopes: ${scopes.join(', ')}`);
+  console.log(`Key (shown only once): ${key}`);
+};
+
+const list = async () => {
+  const keys = await ApiKey.find().sort({ createdAt: 1 });
+  keys.forEach(apiKey => {
+    console.log([
+      apiKey.keyId,
+      apiKey.name,
+      apiKey.userId || '(integration)',
+      apiKey.scopes.join(','),
+      apiKey.revokedAt ? `revoked ${apiKey.revokedAt.toISOString()}` : 'active'
+    ].join('\t'));
+  });
+};
+
+const revoke = async (keyId) => {
+  const apiKey = await ApiKey.findOneAndUpdate({ keyId }, { revokedAt: new Date() }, { new: true });
+  if (!apiKey) {
+    throw new Error(`API key ${keyId} not found`);
+  }
+
+  await auditLog.record({
+    actor: { source: 'cli' },
+    action: 'api_key.revoke',
+    target: { type: 'api_key', id: keyId, name: apiKey.name },
+    outcome: 'success'
+  });
+  console.log(`Revoked API key ${keyId}`);
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  const options = parseOptions(args);
+
+  await connectDB();
+
+  if (command === 'create') {
+    await create(options);
+  } else if (command === 'list') {
+    await list();
+  } else if (command === 'revoke') {
+    await revoke(options._[0]);
+  } else {
+    throw new Error('Usage: api-keys <create|list|revoke> [options]');
+  }
+
+  await mongoose.disconnect();
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+/**
+ * Re-encrypt every stored token with the active encryption key.
+ * Also encrypts legacy plaintext tokens.
+ *
+ * Usage:
+ *   1. Add the new key to TOKEN_ENCRYPTION_KEYS (keep the old ones)
+ *   2. Point TOKEN_ENCRYPTION_KEY_ID at the new key
+ *   3. npm run rotate-keys
+ *   4. Remove the old key once this reports no remaining documents
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const UserToken = require('../models/UserToken');
+const encryption = require('../services/encryption');
+
+const ENCRYPTED_FIELDS = ['accessToken', 'refreshToken'];
+
+const rotate = async () => {
+  await connectDB();
+
+  const activeKeyId = encryption.getActiveKeyId();
+  console.log(`Re-encrypting tokens with key "${activeKeyId}"`);
+
+  // Work on raw documents so the model getters/setters do not interfere
+  const cursor = UserToken.collection.find({});
+  let updated = 0;
+  let failed = 0;
+
+  for await (const doc of cursor) {
+    const changes = {};
+
+    for (const field of ENCRYPTED_FIELDS) {
+      if (encryption.needsReencryption(doc[field])) {
+        try {
+          changes[field] = encryption.encrypt(encryption.decrypt(doc[field]));
+        } catch (error) {
+          console.error(`Failed to re-encrypt ${field} for user ${doc.userId}:`, error.message);
+          failed++;
+        }
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await UserToken.collection.updateOne({ _id: doc._id }, { $set: changes });
+      updated++;
+    }
+  }
+
+  console.log(`Re-encrypted ${updated} document(s), ${failed} failure(s)`);
+  await mongoose.disconnect();
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+rotate().catch(error => {
+  console.error('Key rotation failed:', error);
+  process.exit(1);
+});
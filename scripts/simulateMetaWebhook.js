@@ -0,0 +1,133 @@
+/**
+ * Local stand-in for Meta's leadgen webhook sender.
+ *
+ * Sends a leadgen event, signed with META_APP_SECRET like Meta does, to the
+ * local /webhooks/meta endpoint. With --serve-graph it also runs a stub
+ * Graph API that answers the lead and form lookups, so the whole flow works
+ * offline when the server runs with META_GRAPH_API_BASE pointing at it.
+ *
+ * Usage:
+ *   node scripts/simulateMetaWebhook.js --page PAGE_ID [--form FORM_ID] [--leadgen LEAD_ID]
+ *     [--url http://localhost:3000/webhooks/meta] [--repeat 2]
+ *     [--serve-graph 4000 --wait 10]
+ *
+ * Offline example:
+ *   META_GRAPH_API_BASE=http://localhost:4000 npm start
+ *   node scripts/simulateMetaWebhook.js --page 123 --serve-graph 4000 --repeat 2
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const http = require('http');
+const axios = require('axios');
+
+const parseOptions = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    options[args[i].replace(/^--/, '')] = args[i + 1];
+  }
+  return options;
+};
+
+const startGraphStub = (port, { leadgenId, formId, pageId }) => {
+  const server = http.createServer((req, res) => {
+    const id = new URL(req.url, 'http://localhost').pathname.replace(/^\//, '');
+    let body;
+
+    if (id === leadgenId) {
+      body = {
+        id: leadgenId,
+        created_time: new Date().toISOString(),
+        form_id: formId,
+        ad_id: 'ad_simulated',
+        ad_name: 'Simulated Ad',
+        adset_id: 'adset_simulated',
+        adset_name: 'Simulated Ad Set',
+        campaign_id: 'campaign_simulated',
+        campaign_name: 'Simulated Campaign',
+        platform: 'fb',
+        is_organic: false,
+        field_data: [
+          { name: 'full_name', values: ['Test Lead'] },
+          { name: 'email', values: ['test.lead@example.com'] },
+          { name: 'phone_number', values: ['+910000000000'] }
+        ]
+      };
+    } else if (id === formId) {
+      body = { id: formId, name: 'Simulated Lead Form' };
+    } else if (id === pageId) {
+      body = { id: pageId, name: 'Simulated Page' };
+    }
+
+    console.log(`[graph stub] ${req.method} ${req.url} -> ${body ? 200 : 404}`);
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || { error: { message: `Unknown object ${id}`, code: 100 } }));
+  });
+
+  return new Promise(resolve => server.listen(port, () => resolve(server)));
+};
+
+const main = async () => {
+  const options = parseOptions(process.argv.slice(2));
+  const secret = process.env.META_APP_SECRET;
+
+  if (!options.page) {
+    throw new Error('--page PAGE_ID is required');
+  }
+  if (!secret) {
+    throw new Error('META_APP_SECRET must be set to sign the webhook');
+  }
+
+  const leadgenId = options.leadgen || `${Date.now()}`;
+  const formId = options.form || 'form_simulated';
+  const url = options.url || `http://localhost:${process.env.PORT || 3000}/webhooks/meta`;
+  const repeat = parseInt(options.repeat, 10) || 1;
+
+  let stub = null;
+  if (options['serve-graph']) {
+    stub = await startGraphStub(parseInt(options['serve-graph'], 10), { leadgenId, formId, pageId: options.page });
+    console.log(`Graph stub listening on http://localhost:${options['serve-graph']}`);
+  }
+
+  const payload = JSON.stringify({
+    object: 'page',
+    entry: [{
+      id: options.page,
+      time: Math.floor(Date.now() / 1000),
+      changes: [{
+        field: 'leadgen',
+        value: {
+          leadgen_id: leadgenId,
+          page_id: options.page,
+          form_id: formId,
+          ad_id: 'ad_simulated',
+          adgroup_id: 'ad_simulated',
+          created_time: Math.floor(Date.now() / 1000)
+        }
+      }]
+    }]
+  });
+  const signature = `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`;
+
+  // Repeats exercise deduplication by leadgen_id
+  for (let i = 0; i < repeat; i++) {
+    const response = await axios.post(url, payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Hub-Signature-256': signature
+      },
+      validateStatus: () => true
+    });
+    console.log(`Delivery ${i + 1}: leadgen ${leadgenId} -> HTTP ${response.status}`);
+  }
+
+  if (stub) {
+    const wait = parseInt(options.wait, 10) || 10;
+    console.log(`Keeping Graph stub up for ${wait}s...`);
+    setTimeout(() => stub.close(), wait * 1000);
+  }
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -4,7 +4,17 @@ const cors = require('cors');
 const connectDB = require('./config/database');
 const authRoutes = require('./routes/auth');
 const metaRoutes = require('./routes/meta');
+const cliqRoutes = require('./routes/cliq');
+const webhookRoutes = require('./routes/webhooks');
+const auditRoutes = require('./routes/audit');
+const reportRoutes = require('./routes/reports');
+const workspaceRoutes = require('./routes/workspaces');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const tokenLifecycle = require('./services/tokenLifecycle');
+const scheduler = require('./services/scheduler');
+const digests = require('./services/digests');
+const alerts = require('./services/alerts');
+const insightSync = require('./services/insightSync');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,13 +22,28 @@ const PORT = process.env.PORT || 3000;
 // Connect to MongoDB
 connectDB();
 
+// Refresh tokens close to expiry in the background
+tokenLifecycle.startSweep();
+
+// Run scheduled jobs (digests, insight syncs) stored in MongoDB
+scheduler.registerJob('digest', digests.runDigestSchedule);
+scheduler.registerJob('insights_sync', insightSync.runSyncSchedule);
+scheduler.startScheduler();
+
+// Evaluate alert rules periodically
+alerts.startAlertChecks();
+
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   credentials: true
 }));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body around for signature verification (Cliq, webhooks)
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -38,6 +63,11 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/auth', authRoutes);
 app.use('/meta', metaRoutes);
+app.use('/cliq', cliqRoutes);
+app.use('/webhooks', webhookRoutes);
+app.use('/audit', auditRoutes);
+app.use('/reports', reportRoutes);
+app.use('/workspaces', workspaceRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -45,18 +75,55 @@ app.get('/', (req, res) => {
     success: true,
     message: 'Zoho Cliq + Meta Ads Integration API',
     version: '1.0.0',
+    authentication: 'Authorization: Bearer API_KEY (integration keys also send X-Cliq-User-Id; X-Workspace-Id picks the workspace)',
     endpoints: {
       auth: {
-        start: 'GET /auth/start?userId=USER_ID',
+        start: 'GET /auth/start',
         callback: 'GET /auth/callback?code=CODE&state=STATE',
-        status: 'GET /auth/status?userId=USER_ID'
+        status: 'GET /auth/status',
+        disconnect: 'POST /auth/disconnect',
+        deauthorize: 'POST /auth/deauthorize (Meta signed_request)',
+        dataDeletion: 'POST /auth/data-deletion (Meta signed_request)',
+        dataDeletionStatus: 'GET /auth/data-deletion/:code'
       },
       meta: {
-        campaigns: 'GET /meta/campaigns?userId=USER_ID&adAccountId=ACT_123',
-        spend: 'GET /meta/spend?userId=USER_ID&adAccountId=ACT_123',
-        leads: 'GET /meta/leads?userId=USER_ID&adAccountId=ACT_123',
-        adsets: 'GET /meta/adsets?userId=USER_ID&adAccountId=ACT_123',
-        accounts: 'GET /meta/accounts?userId=USER_ID'
+        campaigns: 'GET /meta/campaigns?adAccountId=ACT_123',
+        spend: 'GET /meta/spend?adAccountId=ACT_123',
+        insights: 'GET /meta/insights?adAccountId=ACT_123&metrics=spend,conversions,cpa,roas&breakdowns=age,gender',
+        leads: 'GET /meta/leads?adAccountId=ACT_123',
+        adsets: 'GET /meta/adsets?adAccountId=ACT_123',
+        ads: 'GET /meta/ads?adAccountId=ACT_123&datePreset=last_7d',
+        adPreview: 'GET /meta/ads/:id/preview?adFormat=MOBILE_FEED_STANDARD',
+        accounts: 'GET /meta/accounts?groupBy=business',
+        defaultAccount: 'PUT /meta/accounts/default',
+        businesses: 'GET /meta/businesses, GET /meta/businesses/:id/ad-accounts, GET /meta/businesses/:id/pages',
+        leadForms: 'GET /meta/pages/:id/lead-forms',
+        status: 'POST /meta/{campaigns|adsets|ads}/:id/status',
+        budget: 'PATCH /meta/{campaigns|adsets}/:id/budget',
+        approvals: 'GET /meta/approvals, POST /meta/approvals/:id/approve|reject',
+        digests: 'GET|POST /meta/digests, POST /meta/digests/:id/send, DELETE /meta/digests/:id',
+        alerts: 'GET|POST /meta/alerts, PATCH|DELETE /meta/alerts/:id, POST /meta/alerts/:id/test',
+        leadSubscriptions: 'GET|POST /meta/lead-subscriptions, DELETE /meta/lead-subscriptions/:id'
+      },
+      cliq: {
+        commands: 'POST /cliq/commands',
+        bot: 'POST /cliq/bot',
+        actions: 'POST /cliq/actions'
+      },
+      webhooks: {
+        meta: 'GET|POST /webhooks/meta'
+      },
+      audit: 'GET /audit?action=adset.budget&since=2024-01-01',
+      reports: {
+        trend: 'GET /reports/trend?adAccountId=ACT_123&days=90&interval=day&metrics=spend,leads',
+        sync: 'GET|POST|DELETE /reports/sync?adAccountId=ACT_123'
+      },
+      workspaces: {
+        list: 'GET|POST /workspaces',
+        workspace: 'GET|PATCH|DELETE /workspaces/:id',
+        accounts: 'PUT /workspaces/:id/accounts',
+        connection: 'PUT /workspaces/:id/connection',
+        members: 'PUT|DELETE /workspaces/:id/members/:userId'
       }
     }
   });
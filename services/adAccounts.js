@@ -0,0 +1,247 @@
+const AdAccount = require('../models/AdAccount');
+const UserToken = require('../models/UserToken');
+const metaApi = require('./metaApi');
+const metaAuth = require('./metaAuth');
+const auditLog = require('./auditLog');
+const { MetaPermissionError } = require('./errors');
+
+// Minimum time between re-syncs triggered by an unknown account ID
+const RESYNC_COOLDOWN_MS = 60 * 1000;
+
+// Business Manager relations to an ad account or Page
+const BUSINESS_RELATIONS = ['owned', 'client'];
+
+/**
+ * Normalize an ad account ID to the act_123456789 format
+ * @param {string} adAccountId - Ad account ID with or without act_ prefix
+ * @returns {string} Ad account ID with act_ prefix
+ */
+const normalizeAccountId = (adAccountId) => {
+  const id = String(adAccountId).trim();
+  return id.startsWith('act_') ? id : `act_${id}`;
+};
+
+/**
+ * Run a Business Manager read, or return null when the user lacks the
+ * permission for it (business_management declined, or no role in the business)
+ */
+const businessRead = async (description, read) => {
+  try {
+    return (await read()).data;
+  } catch (error) {
+    if (!(error instanceof MetaPermissionError)) {
+      throw error;
+    }
+    console.warn(`Skipping ${description}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Find every ad account the user can reach: their own (/me/adaccounts)
+ * plus the owned and client ad accounts of their Business Managers, each
+ * with the business it was found through
+ * @param {object} userToken - UserToken document
+ * @returns {Promise<Array>} Graph ad accounts with access and business
+ */
+const discoverAccounts = async (userToken) => {
+  const { accessToken } = userToken;
+  const { data: personal } = await metaApi.getAdAccounts(accessToken, { all: true });
+  const accounts = new Map(personal.map(account => [account.id, { ...account, access: 'personal', business: null }]));
+
+  const canReadBusinesses = !userToken.permissionsCheckedAt ||
+    metaAuth.missingPermissions(userToken, ['business_management']).length === 0;
+  const businesses = canReadBusinesses
+    ? await businessRead('Business Manager discovery', () => metaApi.getBusinesses(accessToken, { all: true }))
+    : null;
+
+  for (const business of businesses || []) {
+    for (const relation of BUSINESS_RELATIONS) {
+      const found = await businessRead(`${relation} ad accounts of business ${business.id}`,
+        () => metaApi.getBusinessAdAccounts(accessToken, business.id, relation, { all: true }));
+
+      for (const account of found || []) {
+        // The first business an account is found through groups it
+        const known = accounts.get(account.id);
+        if (!known || !known.business) {
+          accounts.set(account.id, { ...account, access: known ? known.access : relation, business });
+        }
+      }
+    }
+  }
+
+  return [...accounts.values()];
+};
+
+/**
+ * Fetch every ad account the user can access from Meta, including
+ * accounts reached through a Business Manager, and store them.
+ * Accounts the user lost access to are removed, and the default account
+ * is reset to the first account if it is no longer accessible.
+ * @param {object} userToken - UserToken document
+ * @returns {Promise<Array>} Linked AdAccount documents
+ */
+const syncAccounts = async (userToken) => {
+  const accounts = await discoverAccounts(userToken);
+
+  const now = new Date();
+  const accountIds = accounts.map(account => account.id);
+
+  await Promise.all(accounts.map(account => AdAccount.findOneAndUpdate(
+    { userId: userToken.userId, accountId: account.id },
+    {
+      name: account.name || null,
+      currency: account.currency || null,
+      timezoneName: account.timezone_name || null,
+      accountStatus: account.account_status ?? null,
+      access: account.access,
+      businessId: account.business ? account.business.id : null,
+      businessName: account.business ? account.business.name || null : null,
+      syncedAt: now
+    },
+    { upsert: true }
+  )));
+
+  await AdAccount.deleteMany({ userId: userToken.userId, accountId: { $nin: accountIds } });
+
+  if (!accountIds.includes(userToken.adAccountId)) {
+    userToken.adAccountId = accountIds[0] || null;
+  }
+  userToken.accountsSyncedAt = now;
+  await UserToken.updateOne(
+    { _id: userToken._id },
+    { adAccountId: userToken.adAccountId, accountsSyncedAt: now }
+  );
+
+  return listAccounts(userToken.userId);
+};
+
+/**
+ * List the ad accounts linked to a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} AdAccount documents sorted by name
+ */
+const listAccounts = async (userId) => {
+  return AdAccount.find({ userId }).sort({ name: 1, accountId: 1 });
+};
+
+/**
+ * Resolve the ad account for a request: the requested account if the user
+ * has access to it, otherwise the user's default account. Accounts are
+ * synced on first use and re-synced once when a requested account is
+ * unknown (at most once a minute), so newly granted accounts work without
+ * a manual refresh.
+ * @param {object} userToken - UserToken document
+ * @param {string} requestedId - Optional ad account ID from the caller
+ * @param {object} options - adAccountIds (only these accounts are accessible,
+ *   e.g. a workspace member's; default: every linked account)
+ * @returns {Promise<object|null>} AdAccount document, or null if not accessible
+ */
+const resolveAccount = async (userToken, requestedId = null, { adAccountIds = null } = {}) => {
+  if (!userToken.accountsSyncedAt) {
+    await syncAccounts(userToken);
+  }
+
+  const accountId = requestedId ? normalizeAccountId(requestedId) : userToken.adAccountId;
+  if (!accountId || (adAccountIds && !adAccountIds.includes(accountId))) {
+    return null;
+  }
+
+  let account = await AdAccount.findOne({ userId: userToken.userId, accountId });
+
+  const canResync = Date.now() - userToken.accountsSyncedAt.getTime() > RESYNC_COOLDOWN_MS;
+  if (!account && requestedId && canResync) {
+    await syncAccounts(userToken);
+    account = await AdAccount.findOne({ userId: userToken.userId, accountId });
+  }
+
+  return account;
+};
+
+/**
+ * Change the user's default ad account
+ * @param {object} userToken - UserToken document
+ * @param {string} adAccountId - Ad account ID to use by default
+ * @param {object} actor - Audit actor
+ * @returns {Promise<object|null>} AdAccount document, or null if not accessible
+ */
+const setDefaultAccount = async (userToken, adAccountId, actor = null) => {
+  const account = await resolveAccount(userToken, adAccountId);
+  if (!account) {
+    return null;
+  }
+
+  const previous = userToken.adAccountId;
+  userToken.adAccountId = account.accountId;
+  await UserToken.updateOne({ _id: userToken._id }, { adAccountId: account.accountId });
+
+  await auditLog.record({
+    actor: actor,
+    action: 'account.default',
+    adAccountId: account.accountId,
+    target: { type: 'user', id: userToken.userId },
+    before: { adAccountId: previous },
+    after: { adAccountId: account.accountId },
+    outcome: 'success'
+  });
+
+  return account;
+};
+
+/**
+ * Format an AdAccount document for API responses
+ * @param {object} account - AdAccount document
+ * @param {string} defaultAccountId - The user's default ad account ID
+ * @returns {object} Account summary
+ */
+const toResponse = (account, defaultAccountId) => ({
+  id: account.accountId,
+  name: account.name,
+  currency: account.currency,
+  timezoneName: account.timezoneName,
+  accountStatus: account.accountStatus,
+  access: account.access,
+  business: account.businessId ? { id: account.businessId, name: account.businessName } : null,
+  isDefault: account.accountId === defaultAccountId,
+  syncedAt: account.syncedAt
+});
+
+/**
+ * Group accounts by the Business Manager they were found through; accounts
+ * of no business come last, under business null
+ * @param {Array} accounts - AdAccount documents
+ * @param {string} defaultAccountId - The user's default ad account ID
+ * @returns {Array<{ business: object|null, accounts: Array }>} Groups sorted by business name
+ */
+const groupByBusiness = (accounts, defaultAccountId) => {
+  const groups = new Map();
+
+  for (const account of accounts) {
+    const key = account.businessId || null;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        business: key ? { id: key, name: account.businessName } : null,
+        accounts: []
+      });
+    }
+    groups.get(key).accounts.push(toResponse(account, defaultAccountId));
+  }
+
+  return [...groups.values()].sort((a, b) => {
+    if (!a.business || !b.business) {
+      return a.business ? -1 : 1;
+    }
+    return String(a.business.name || a.business.id).localeCompare(String(b.business.name || b.business.id));
+  });
+};
+
+module.exports = {
+  BUSINESS_RELATIONS,
+  normalizeAccountId,
+  syncAccounts,
+  listAccounts,
+  resolveAccount,
+  setDefaultAccount,
+  toResponse,
+  groupByBusiness
+};
@@ -0,0 +1,316 @@
+const ChangeApproval = require('../models/ChangeApproval');
+const metaApi = require('./metaApi');
+const metaCache = require('./metaCache');
+const adAccounts = require('./adAccounts');
+const auditLog = require('./auditLog');
+const { ValidationError, ForbiddenError } = require('./errors');
+
+const STATUSES = ['ACTIVE', 'PAUSED'];
+
+const OBJECT_FIELDS = {
+  campaign: 'id,name,status,effective_status,daily_budget,lifetime_budget,account_id',
+  adset: 'id,name,status,effective_status,daily_budget,lifetime_budget,campaign_id,account_id',
+  ad: 'id,name,status,effective_status,adset_id,campaign_id,account_id'
+};
+
+// Currencies Meta bills without a minor unit (budget offset 1 instead of 100)
+// https://developers.facebook.com/docs/marketing-api/currencies
+const ZERO_DECIMAL_CURRENCIES = ['CLP', 'COP', 'CRC', 'HUF', 'ISK', 'IDR', 'JPY', 'KRW', 'PYG', 'TWD', 'VND'];
+
+// Budget increases above either threshold need a second user's approval
+const APPROVAL_THRESHOLD_PERCENT = parseFloat(process.env.BUDGET_APPROVAL_THRESHOLD_PERCENT) || null;
+const APPROVAL_THRESHOLD_AMOUNT = parseFloat(process.env.BUDGET_APPROVAL_THRESHOLD_AMOUNT) || null;
+const APPROVAL_TTL_MS = (parseFloat(process.env.BUDGET_APPROVAL_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const currencyOffset = (currency) => ZERO_DECIMAL_CURRENCIES.includes(currency) ? 1 : 100;
+
+/**
+ * Convert a budget in the account currency (e.g. 50.25) to Meta's minor units
+ * @param {number} amount - Amount in currency units
+ * @param {string} currency - ISO currency code
+ * @returns {number} Amount in minor units (e.g. 5025)
+ */
+const toMinorUnits = (amount, currency) => Math.round(Number(amount) * currencyOffset(currency));
+
+/**
+ * Convert a budget in Meta's minor units to currency units
+ * @param {string|number} minor - Amount in minor units
+ * @param {string} currency - ISO currency code
+ * @returns {number|null} Amount in currency units
+ */
+const toMajorUnits = (minor, currency) => {
+  if (minor === undefined || minor === null || minor === '') {
+    return null;
+  }
+  return Number(minor) / currencyOffset(currency);
+};
+
+/**
+ * Load a campaign, ad set or ad and check it belongs to one of the
+ * user's linked ad accounts
+ * @param {object} userToken - UserToken document
+ * @param {string} type - campaign, adset or ad
+ * @param {string} objectId - Object ID
+ * @param {object} options - adAccountIds (accessible accounts, see adAccounts.resolveAccount)
+ * @returns {Promise<{ object: object, account: object }>} Graph object and its AdAccount
+ */
+const getOwnedObject = async (userToken, type, objectId, { adAccountIds = null } = {}) => {
+  if (!/^\d+$/.test(String(objectId))) {
+    throw new ValidationError(`Invalid ${type} ID "${objectId}"`);
+  }
+
+  const object = await metaApi.makeGraphApiRequest(userToken.accessToken, `/${objectId}`, {
+    fields: OBJECT_FIELDS[type]
+  });
+
+  const account = object.account_id
+    ? await adAccounts.resolveAccount(userToken, object.account_id, { adAccountIds })
+    : null;
+
+  if (!account) {
+    throw new ForbiddenError(`You do not have access to the ad account of ${type} ${objectId}`);
+  }
+
+  return { object, account };
+};
+
+/**
+ * Check that campaign, ad set and ad IDs from the caller belong to the ad
+ * account a request runs on, before they are sent to Meta as filters.
+ * A shared connection can see other accounts, so the ID alone is not enough.
+ * @param {object} userToken - UserToken document
+ * @param {string} adAccountId - Resolved ad account ID (act_...)
+ * @param {object} ids - { campaign, adset, ad } (missing IDs are skipped)
+ * @param {object} options - adAccountIds (accessible accounts, see adAccounts.resolveAccount)
+ * @throws {ForbiddenError} When an object is in another ad account
+ */
+const assertInAccount = async (userToken, adAccountId, ids, { adAccountIds = null } = {}) => {
+  for (const [type, objectId] of Object.entries(ids)) {
+    if (!objectId) {
+      continue;
+    }
+    const { account } = await getOwnedObject(userToken, type, objectId, { adAccountIds });
+    if (account.accountId !== adAccountId) {
+      throw new ForbiddenError(`${type} ${objectId} is not in ad account ${adAccountId}`);
+    }
+  }
+};
+
+/**
+ * Summarize the editable state of an object in currency units
+ * @param {object} object - Graph object
+ * @param {string} currency - Account currency
+ * @returns {object} Status and budgets
+ */
+const snapshot = (object, currency) => ({
+  status: object.status,
+  effectiveStatus: object.effective_status,
+  dailyBudget: toMajorUnits(object.daily_budget, currency),
+  lifetimeBudget: toMajorUnits(object.lifetime_budget, currency),
+  currency: currency
+});
+
+/**
+ * Check whether a budget change needs a second user's approval
+ * @param {number} currentMinor - Current budget in minor units
+ * @param {number} newMinor - New budget in minor units
+ * @param {string} currency - Account currency
+ * @returns {boolean} True for increases above BUDGET_APPROVAL_THRESHOLD_PERCENT or _AMOUNT
+ */
+const requiresApproval = (currentMinor, newMinor, currency) => {
+  const increase = newMinor - currentMinor;
+  if (increase <= 0) {
+    return false;
+  }
+
+  const overPercent = APPROVAL_THRESHOLD_PERCENT !== null &&
+    increase / currentMinor * 100 > APPROVAL_THRESHOLD_PERCENT;
+  const overAmount = APPROVAL_THRESHOLD_AMOUNT !== null &&
+    increase > toMinorUnits(APPROVAL_THRESHOLD_AMOUNT, currency);
+
+  return overPercent || overAmount;
+};
+
+/**
+ * Apply a change on Meta and record the outcome in the audit trail
+ */
+const applyChange = async (userToken, result, data, { actor, metadata = null }) => {
+  const entry = {
+    actor: actor,
+    action: `${result.type}.${data.status ? 'status' : 'budget'}`,
+    adAccountId: result.adAccountId,
+    target: { type: result.type, id: result.id, name: result.name },
+    before: result.before,
+    after: result.after,
+    metadata: metadata
+  };
+
+  try {
+    await metaApi.makeGraphApiPost(userToken.accessToken, `/${result.id}`, data);
+  } catch (error) {
+    await auditLog.record({ ...entry, outcome: 'failure', error });
+    throw error;
+  }
+
+  // Cached reads of the account no longer match Meta
+  await metaCache.invalidateAccount(result.adAccountId);
+
+  await auditLog.record({ ...entry, outcome: 'success' });
+};
+
+/**
+ * Pause or activate a campaign, ad set or ad
+ * @param {object} userToken - UserToken document
+ * @param {string} type - campaign, adset or ad
+ * @param {string} objectId - Object ID
+ * @param {string} status - ACTIVE or PAUSED
+ * @param {object} options - { dryRun, actor, adAccountIds } (actor is recorded in the audit
+ *   trail; adAccountIds limits the accessible accounts)
+ * @returns {Promise<object>} Before and after values
+ */
+const updateStatus = async (userToken, type, objectId, status, { dryRun = false, actor = null, adAccountIds = null } = {}) => {
+  const newStatus = String(status || '').toUpperCase();
+  if (!STATUSES.includes(newStatus)) {
+    throw new ValidationError(`status must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  const { object, account } = await getOwnedObject(userToken, type, objectId, { adAccountIds });
+  const before = snapshot(object, account.currency);
+  const after = { ...before, status: newStatus };
+
+  const result = {
+    id: object.id,
+    name: object.name,
+    type: type,
+    adAccountId: account.accountId,
+    dryRun: dryRun,
+    changed: object.status !== newStatus,
+    before: before,
+    after: after
+  };
+
+  if (!dryRun && result.changed) {
+    await applyChange(userToken, result, { status: newStatus }, { actor });
+  }
+
+  return result;
+};
+
+/**
+ * Change the daily or lifetime budget of a campaign or ad set.
+ * Amounts are in account currency units; daily budgets must be at least
+ * the account's minimum daily budget (Meta checks lifetime budgets against
+ * the schedule itself). Increases above the approval threshold
+ * are not applied; a ChangeApproval is created instead (pendingApproval).
+ * @param {object} userToken - UserToken document
+ * @param {string} type - campaign or adset
+ * @param {string} objectId - Object ID
+ * @param {object} budget - { dailyBudget } or { lifetimeBudget }
+ * @param {object} options - { dryRun, actor, approval, adAccountIds } (approval: approved
+ *   ChangeApproval being applied; adAccountIds limits the accessible accounts)
+ * @returns {Promise<object>} Before and after values
+ */
+const updateBudget = async (userToken, type, objectId, budget, { dryRun = false, actor = null, approval = null, adAccountIds = null } = {}) => {
+  const { dailyBudget, lifetimeBudget } = budget;
+  const hasDaily = dailyBudget !== undefined && dailyBudget !== null;
+  const hasLifetime = lifetimeBudget !== undefined && lifetimeBudget !== null;
+
+  if (hasDaily === hasLifetime) {
+    throw new ValidationError('Provide exactly one of dailyBudget or lifetimeBudget');
+  }
+
+  const amount = Number(hasDaily ? dailyBudget : lifetimeBudget);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new ValidationError('Budget must be a positive number in the account currency');
+  }
+
+  const { object, account } = await getOwnedObject(userToken, type, objectId, { adAccountIds });
+  const budgetField = hasDaily ? 'daily_budget' : 'lifetime_budget';
+  const otherField = hasDaily ? 'lifetime_budget' : 'daily_budget';
+
+  if (!object[budgetField] && !object[otherField]) {
+    throw new ValidationError(type === 'campaign'
+      ? `Campaign ${objectId} has no campaign budget; change the budgets of its ad sets instead`
+      : `Ad set ${objectId} has no budget; it uses the campaign budget`);
+  }
+
+  if (!object[budgetField]) {
+    throw new ValidationError(`${type} ${objectId} uses a ${otherField.replace('_', ' ')}; it cannot be switched to a ${budgetField.replace('_', ' ')}`);
+  }
+
+  const accountInfo = await metaApi.makeGraphApiRequest(userToken.accessToken, `/${account.accountId}`, {
+    fields: 'currency,min_daily_budget'
+  });
+  const currency = accountInfo.currency || account.currency;
+  const minorAmount = toMinorUnits(amount, currency);
+
+  if (toMajorUnits(minorAmount, currency) !== amount) {
+    throw new ValidationError(`Budget has more decimals than ${currency} allows`);
+  }
+
+  if (hasDaily && accountInfo.min_daily_budget && minorAmount < Number(accountInfo.min_daily_budget)) {
+    throw new ValidationError(`Daily budget is below the minimum of ${toMajorUnits(accountInfo.min_daily_budget, currency)} ${currency}`);
+  }
+
+  const result = {
+    id: object.id,
+    name: object.name,
+    type: type,
+    adAccountId: account.accountId,
+    dryRun: dryRun,
+    changed: Number(object[budgetField]) !== minorAmount,
+    before: snapshot(object, currency),
+    after: snapshot({ ...object, [budgetField]: String(minorAmount) }, currency),
+    requiresApproval: !approval && requiresApproval(Number(object[budgetField]), minorAmount, currency)
+  };
+
+  if (dryRun || !result.changed) {
+    return result;
+  }
+
+  if (result.requiresApproval) {
+    const request = await ChangeApproval.create({
+      // The acting user, who may be a workspace member using a shared connection
+      requestedBy: (actor && actor.userId) || userToken.userId,
+      adAccountId: account.accountId,
+      targetType: type,
+      targetId: object.id,
+      targetName: object.name || null,
+      change: hasDaily ? { dailyBudget: amount } : { lifetimeBudget: amount },
+      before: result.before,
+      after: result.after,
+      expiresAt: new Date(Date.now() + APPROVAL_TTL_MS)
+    });
+
+    await auditLog.record({
+      actor: actor,
+      action: `${type}.budget`,
+      adAccountId: account.accountId,
+      target: { type: type, id: object.id, name: object.name },
+      before: result.before,
+      after: result.after,
+      outcome: 'pending_approval',
+      metadata: { approvalId: String(request._id) }
+    });
+
+    return { ...result, pendingApproval: true, approvalId: String(request._id) };
+  }
+
+  await applyChange(userToken, result, { [budgetField]: minorAmount }, {
+    actor,
+    metadata: approval ? { approvalId: String(approval._id), requestedBy: approval.requestedBy } : null
+  });
+
+  return result;
+};
+
+module.exports = {
+  STATUSES,
+  toMinorUnits,
+  toMajorUnits,
+  requiresApproval,
+  getOwnedObject,
+  assertInAccount,
+  updateStatus,
+  updateBudget
+};
@@ -0,0 +1,468 @@
+const AlertRule = require('../models/AlertRule');
+const UserToken = require('../models/UserToken');
+const metaApi = require('./metaApi');
+const tokenLifecycle = require('./tokenLifecycle');
+const adAccounts = require('./adAccounts');
+const notifiers = require('./notifiers');
+const cliq = require('./cliq');
+const { METRICS, ADDITIVE_METRICS, summarize } = require('./insightMetrics');
+const { ValidationError } = require('./errors');
+
+const CHECK_INTERVAL_MS = (parseFloat(process.env.ALERT_CHECK_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b
+};
+
+const WINDOWS = ['today', 'yesterday', 'last_3d', 'last_7d', 'last_14d', 'last_30d', 'this_month'];
+
+// Baselines available as Meta date presets (last_Nd excludes today)
+const BASELINE_DAYS = [3, 7, 14, 28, 30];
+
+// Metrics shown in the account currency
+const MONEY_METRICS = ['spend', 'cpc', 'cpm', 'cpl'];
+
+const HOURLY_BREAKDOWN = 'hourly_stats_aggregated_by_advertiser_time_zone';
+
+let checkTimer = null;
+let checking = false;
+
+/**
+ * Validate alert rule settings from an API request
+ * @param {object} input - Rule settings
+ * @returns {object} Settings to store
+ */
+const validateRule = (input) => {
+  const rule = {
+    name: input.name,
+    type: input.type,
+    level: input.level || 'campaign',
+    campaignId: input.campaignId || null,
+    cooldownMinutes: input.cooldownMinutes !== undefined ? Number(input.cooldownMinutes) : 360,
+    notify: { type: 'cliq', channel: null, ...input.notify }
+  };
+
+  if (!rule.name) {
+    throw new ValidationError('name is required');
+  }
+  if (!['account', 'campaign'].includes(rule.level)) {
+    throw new ValidationError('level must be account or campaign');
+  }
+  if (!Number.isFinite(rule.cooldownMinutes) || rule.cooldownMinutes < 0) {
+    throw new ValidationError('cooldownMinutes must be a number of minutes');
+  }
+  if (!notifiers.hasNotifier(rule.notify.type)) {
+    throw new ValidationError(`Unknown notify.type "${rule.notify.type}"`);
+  }
+
+  if (rule.type === 'no_delivery') {
+    const hours = Number(input.hours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > 24) {
+      throw new ValidationError('hours must be a whole number from 1 to 24');
+    }
+    return { ...rule, hours };
+  }
+
+  if (!['threshold', 'change'].includes(rule.type)) {
+    throw new ValidationError('type must be threshold, change or no_delivery');
+  }
+  if (!METRICS.includes(input.metric)) {
+    throw new ValidationError(`metric must be one of: ${METRICS.join(', ')}`);
+  }
+
+  if (rule.type === 'threshold') {
+    const window = input.window || 'today';
+    if (!OPERATORS[input.operator]) {
+      throw new ValidationError(`operator must be one of: ${Object.keys(OPERATORS).join(' ')}`);
+    }
+    if (input.value === undefined || input.value === null || !Number.isFinite(Number(input.value))) {
+      throw new ValidationError('value must be a number');
+    }
+    if (!WINDOWS.includes(window)) {
+      throw new ValidationError(`window must be one of: ${WINDOWS.join(', ')}`);
+    }
+    return { ...rule, metric: input.metric, operator: input.operator, value: Number(input.value), window };
+  }
+
+  const percent = Number(input.percent);
+  const baselineDays = input.baselineDays !== undefined ? Number(input.baselineDays) : 7;
+  if (!['increase', 'decrease'].includes(input.direction)) {
+    throw new ValidationError('direction must be increase or decrease');
+  }
+  if (!Number.isFinite(percent) || percent <= 0) {
+    throw new ValidationError('percent must be a positive number');
+  }
+  if (!BASELINE_DAYS.includes(baselineDays)) {
+    throw new ValidationError(`baselineDays must be one of: ${BASELINE_DAYS.join(', ')}`);
+  }
+  return { ...rule, metric: input.metric, direction: input.direction, percent, baselineDays };
+};
+
+/**
+ * Fetch insights once per evaluation run; rules on the same account share results
+ */
+const fetchInsights = (context, params) => {
+  const key = JSON.stringify([context.account.accountId, params]);
+  if (!context.cache.has(key)) {
+    context.cache.set(key, metaApi.getSpend(context.accessToken, context.account.accountId, { ...params, all: true })
+      .then(result => result.data || []));
+  }
+  return context.cache.get(key);
+};
+
+/**
+ * Fetch the account's campaigns once per evaluation run
+ */
+const fetchCampaigns = (context) => {
+  const key = JSON.stringify([context.account.accountId, 'campaigns']);
+  if (!context.cache.has(key)) {
+    context.cache.set(key, metaApi.getCampaigns(context.accessToken, context.account.accountId, { all: true, fields: 'id,name,effective_status' })
+      .then(result => result.data || []));
+  }
+  return context.cache.get(key);
+};
+
+/**
+ * Group insight rows by the rule's level. Insights have no rows for
+ * campaigns without delivery, so `campaigns` seeds targets that have none.
+ * @param {Array} campaigns - Campaigns to include without rows ({ id, name })
+ * @returns {Map<string, { name: string, rows: Array }>} Rows per target ID
+ */
+const groupByTarget = (rule, account, rows, campaigns = []) => {
+  const targets = new Map();
+
+  if (rule.level === 'account') {
+    targets.set(account.accountId, { name: account.name || account.accountId, rows: rows });
+    return targets;
+  }
+
+  campaigns
+    .filter(campaign => !rule.campaignId || campaign.id === rule.campaignId)
+    .forEach(campaign => targets.set(campaign.id, { name: campaign.name || campaign.id, rows: [] }));
+
+  rows
+    .filter(row => !rule.campaignId || row.campaign_id === rule.campaignId)
+    .forEach(row => {
+      const target = targets.get(row.campaign_id) || { name: row.campaign_name || row.campaign_id, rows: [] };
+      target.rows.push(row);
+      targets.set(row.campaign_id, target);
+    });
+
+  return targets;
+};
+
+const formatMetric = (metric, value, currency) => {
+  if (metric === 'ctr') {
+    return `${cliq.formatNumber(value, 2)}%`;
+  }
+  if (MONEY_METRICS.includes(metric)) {
+    return `${cliq.formatNumber(value, 2)}${currency ? ` ${currency}` : ''}`;
+  }
+  return cliq.formatNumber(value, ADDITIVE_METRICS.includes(metric) ? 0 : 2);
+};
+
+/**
+ * Threshold rule: metric over the window compared with a fixed value.
+ * Active campaigns without delivery in the window count as zero.
+ */
+const evaluateThreshold = async (rule, context) => {
+  const [rows, campaigns] = await Promise.all([
+    fetchInsights(context, { level: 'campaign', datePreset: rule.window }),
+    rule.level === 'campaign' ? fetchCampaigns(context) : []
+  ]);
+  const active = campaigns.filter(campaign => campaign.effective_status === 'ACTIVE');
+  const items = [];
+
+  groupByTarget(rule, context.account, rows, active).forEach((target, targetId) => {
+    const value = summarize(target.rows)[rule.metric];
+    if (value !== null && OPERATORS[rule.operator](value, rule.value)) {
+      items.push({
+        targetId,
+        target: target.name,
+        value,
+        message: `${rule.metric.toUpperCase()} ${formatMetric(rule.metric, value, context.account.currency)} ` +
+          `${rule.operator} ${formatMetric(rule.metric, rule.value, context.account.currency)} (${rule.window})`
+      });
+    }
+  });
+
+  return items;
+};
+
+/**
+ * Share of today that has passed in the account's timezone
+ */
+const dayElapsed = (timezone, now) => {
+  const [hours, minutes] = now
+    .toLocaleTimeString('en-GB', { timeZone: timezone, hour12: false, hour: '2-digit', minute: '2-digit' })
+    .split(':')
+    .map(Number);
+  return Math.max((hours % 24) * 60 + minutes, 1) / (24 * 60);
+};
+
+/**
+ * Change rule: today's metric compared with its daily average over the
+ * baseline. Totals (spend, leads, ...) are compared with the baseline
+ * prorated to the part of today that has passed. Campaigns with a
+ * baseline but no delivery today count as zero.
+ */
+const evaluateChange = async (rule, context) => {
+  const [currentRows, baselineRows] = await Promise.all([
+    fetchInsights(context, { level: 'campaign', datePreset: 'today' }),
+    fetchInsights(context, { level: 'campaign', datePreset: `last_${rule.baselineDays}d` })
+  ]);
+
+  const currentTargets = groupByTarget(rule, context.account, currentRows);
+  const additive = ADDITIVE_METRICS.includes(rule.metric);
+  const scale = additive ? dayElapsed(context.timezone, context.now) / rule.baselineDays : 1;
+  const items = [];
+
+  groupByTarget(rule, context.account, baselineRows).forEach((baselineTarget, targetId) => {
+    const target = currentTargets.get(targetId) || { name: baselineTarget.name, rows: [] };
+    const value = summarize(target.rows)[rule.metric];
+    const baselineTotal = summarize(baselineTarget.rows)[rule.metric];
+    const baseline = baselineTotal === null ? null : baselineTotal * scale;
+
+    if (value === null || !baseline) {
+      return;
+    }
+
+    const change = (value - baseline) / baseline * 100;
+    const triggered = rule.direction === 'increase' ? change >= rule.percent : -change >= rule.percent;
+
+    if (triggered) {
+      items.push({
+        targetId,
+        target: target.name,
+        value,
+        message: `${rule.metric.toUpperCase()} ${formatMetric(rule.metric, value, context.account.currency)} is ` +
+          `${cliq.formatNumber(Math.abs(change), 0)}% ${change >= 0 ? 'above' : 'below'} the ` +
+          `${rule.baselineDays}-day average ${formatMetric(rule.metric, baseline, context.account.currency)}` +
+          (additive ? ' (so far today)' : '')
+      });
+    }
+  });
+
+  return items;
+};
+
+/**
+ * Local "YYYY-MM-DD HH" keys for the last `hours` hours, including the current one
+ */
+const recentHourKeys = (hours, timezone, now) => {
+  const keys = new Set();
+  for (let i = 0; i < hours; i++) {
+    const time = new Date(now.getTime() - i * HOUR);
+    const date = time.toLocaleDateString('en-CA', { timeZone: timezone });
+    const hour = time.toLocaleTimeString('en-GB', { timeZone: timezone, hour12: false, hour: '2-digit' });
+    keys.add(`${date} ${String(Number(hour) % 24).padStart(2, '0')}`);
+  }
+  return keys;
+};
+
+/**
+ * No-delivery rule: active campaigns without impressions in the last `hours` hours
+ */
+const evaluateNoDelivery = async (rule, context) => {
+  const { timezone, now } = context;
+  const today = now.toLocaleDateString('en-CA', { timeZone: timezone });
+  const yesterday = new Date(now.getTime() - DAY).toLocaleDateString('en-CA', { timeZone: timezone });
+
+  const [campaigns, rows] = await Promise.all([
+    fetchCampaigns(context),
+    fetchInsights(context, {
+      level: 'campaign',
+      timeRange: { since: yesterday, until: today },
+      breakdowns: HOURLY_BREAKDOWN
+    })
+  ]);
+
+  const hourKeys = recentHourKeys(rule.hours, timezone, now);
+  const impressions = new Map();
+  rows
+    .filter(row => hourKeys.has(`${row.date_start} ${String(row[HOURLY_BREAKDOWN] || '').slice(0, 2)}`))
+    .forEach(row => {
+      impressions.set(row.campaign_id, (impressions.get(row.campaign_id) || 0) + (Number(row.impressions) || 0));
+    });
+
+  const active = campaigns
+    .filter(campaign => campaign.effective_status === 'ACTIVE')
+    .filter(campaign => !rule.campaignId || campaign.id === rule.campaignId);
+  const message = `No impressions in the last ${rule.hours} hour(s)`;
+
+  if (rule.level === 'account') {
+    const total = active.reduce((sum, campaign) => sum + (impressions.get(campaign.id) || 0), 0);
+    return active.length > 0 && total === 0
+      ? [{ targetId: context.account.accountId, target: context.account.name || context.account.accountId, value: 0, message }]
+      : [];
+  }
+
+  return active
+    .filter(campaign => !impressions.get(campaign.id))
+    .map(campaign => ({ targetId: campaign.id, target: campaign.name, value: 0, message }));
+};
+
+const EVALUATORS = {
+  threshold: evaluateThreshold,
+  change: evaluateChange,
+  no_delivery: evaluateNoDelivery
+};
+
+/**
+ * Evaluate a rule and notify about targets that are out of their cooldown
+ * @param {object} rule - AlertRule document
+ * @param {object} options - { notify (default true), cache (shared insights cache), now }
+ * @returns {Promise<{ triggered: Array, notified: Array }>} Triggered targets and those notified
+ */
+const evaluateRule = async (rule, { notify = true, cache = new Map(), now = new Date() } = {}) => {
+  const userToken = await UserToken.findOne({ userId: rule.userId });
+  if (!userToken) {
+    throw new Error(`No Meta connection for user ${rule.userId}`);
+  }
+
+  await tokenLifecycle.ensureFreshToken(userToken);
+  if (!userToken.isUsable()) {
+    throw new Error(`Meta connection for user ${rule.userId} is expired or revoked`);
+  }
+
+  const account = await adAccounts.resolveAccount(userToken, rule.adAccountId);
+  if (!account) {
+    throw new Error(`User ${rule.userId} no longer has access to ad account ${rule.adAccountId}`);
+  }
+
+  let triggered;
+  try {
+    triggered = await EVALUATORS[rule.type](rule, {
+      accessToken: userToken.accessToken,
+      account,
+      timezone: account.timezoneName || 'UTC',
+      now,
+      cache
+    });
+  } catch (error) {
+    await tokenLifecycle.handleGraphError(userToken, error);
+    throw error;
+  }
+
+  // Notify each target at most once per cooldown
+  const cooldownMs = rule.cooldownMinutes * 60 * 1000;
+  const due = triggered.filter(item => {
+    const lastFired = rule.lastFired && rule.lastFired.get(item.targetId);
+    return !lastFired || now - lastFired >= cooldownMs;
+  });
+
+  if (!notify || due.length === 0) {
+    return { triggered, notified: [] };
+  }
+
+  await notifiers.send(rule.notify, {
+    rule,
+    title: `Alert: ${rule.name}`,
+    text: `${account.name || account.accountId} (${account.accountId})`,
+    items: due
+  });
+
+  await AlertRule.updateOne(
+    { _id: rule._id },
+    { $set: Object.fromEntries(due.map(item => [`lastFired.${item.targetId}`, now])) }
+  );
+
+  return { triggered, notified: due };
+};
+
+/**
+ * Claim the next rule that has not been evaluated this interval. The
+ * atomic update keeps several server instances from evaluating it twice.
+ */
+const claimDueRule = async () => {
+  const now = new Date();
+  return AlertRule.findOneAndUpdate(
+    {
+      enabled: true,
+      $or: [{ lastEvaluatedAt: null }, { lastEvaluatedAt: { $lte: new Date(now.getTime() - CHECK_INTERVAL_MS) } }]
+    },
+    { lastEvaluatedAt: now },
+    { sort: { lastEvaluatedAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Evaluate every enabled rule that is due
+ * @returns {Promise<{ evaluated: number, notified: number, failed: number }>} Run result
+ */
+const runAlertChecks = async () => {
+  const result = { evaluated: 0, notified: 0, failed: 0 };
+  const cache = new Map();
+  let rule;
+
+  while ((rule = await claimDueRule())) {
+    result.evaluated++;
+    try {
+      const { notified } = await evaluateRule(rule, { cache });
+      result.notified += notified.length;
+      await AlertRule.updateOne({ _id: rule._id }, { lastError: null });
+    } catch (error) {
+      console.error(`Alert rule ${rule._id} failed:`, error.message);
+      result.failed++;
+      await AlertRule.updateOne({ _id: rule._id }, { lastError: error.message });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Start evaluating alert rules periodically
+ */
+const startAlertChecks = () => {
+  if (checkTimer) {
+    return;
+  }
+
+  const run = () => {
+    if (checking) {
+      return;
+    }
+    checking = true;
+    runAlertChecks()
+      .then(({ evaluated, failed }) => {
+        if (failed) {
+          console.warn(`Alert checks: ${failed} of ${evaluated} rule(s) failed`);
+        }
+      })
+      .catch(error => console.error('Alert checks failed:', error.message))
+      .finally(() => {
+        checking = false;
+      });
+  };
+
+  // Poll more often than the interval so rules are picked up soon after they are due
+  checkTimer = setInterval(run, Math.min(CHECK_INTERVAL_MS, 60 * 1000));
+  checkTimer.unref();
+  run();
+};
+
+/**
+ * Stop evaluating alert rules
+ */
+const stopAlertChecks = () => {
+  clearInterval(checkTimer);
+  checkTimer = null;
+};
+
+module.exports = {
+  OPERATORS,
+  WINDOWS,
+  validateRule,
+  evaluateRule,
+  runAlertChecks,
+  startAlertChecks,
+  stopAlertChecks
+};
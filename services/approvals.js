@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const AdAccount = require('../models/AdAccount');
+const ChangeApproval = require('../models/ChangeApproval');
+const adAccounts = require('./adAccounts');
+const adManagement = require('./adManagement');
+const auditLog = require('./auditLog');
+const { ForbiddenError, NotFoundError, ConflictError } = require('./errors');
+
+/**
+ * List approval requests for the ad accounts linked to a user
+ * @param {string} userId - User ID
+ * @param {string} status - Optional status filter (default pending)
+ * @param {object} options - adAccountIds (only these of the user's accounts)
+ * @returns {Promise<Array>} ChangeApproval documents, newest first
+ */
+const listApprovals = async (userId, status = 'pending', { adAccountIds = null } = {}) => {
+  const linked = await AdAccount.find({ userId }).distinct('accountId');
+  return ChangeApproval.find({
+    adAccountId: { $in: adAccountIds ? linked.filter(id => adAccountIds.includes(id)) : linked },
+    status: status,
+    ...(status === 'pending' && { expiresAt: { $gt: new Date() } })
+  }).sort({ createdAt: -1 });
+};
+
+/**
+ * Load a pending approval request the user may decide on
+ * @param {object} userToken - UserToken document of the deciding user
+ * @param {string} approvalId - ChangeApproval ID
+ * @param {Array<string>} adAccountIds - Accessible accounts (default: every linked account)
+ * @returns {Promise<object>} ChangeApproval document
+ */
+const getDecidable = async (userToken, approvalId, adAccountIds = null) => {
+  const request = mongoose.isValidObjectId(approvalId)
+    ? await ChangeApproval.findById(approvalId)
+    : null;
+
+  if (!request || !(await adAccounts.resolveAccount(userToken, request.adAccountId, { adAccountIds }))) {
+    throw new NotFoundError('Approval request not found');
+  }
+  if (request.status !== 'pending') {
+    throw new ConflictError(`Approval request is already ${request.status}`);
+  }
+  if (request.isExpired()) {
+    throw new ConflictError('Approval request has expired; request the change again');
+  }
+
+  return request;
+};
+
+/**
+ * Approve a budget change and apply it with the approver's Meta token.
+ * The approver must be a different user with access to the ad account.
+ * @param {object} userToken - UserToken document of the approver (or of their workspace)
+ * @param {string} approvalId - ChangeApproval ID
+ * @param {object} actor - Audit actor; actor.userId is the deciding user
+ * @param {object} options - adAccountIds (accessible accounts)
+ * @returns {Promise<object>} Updated ChangeApproval document and the applied result
+ */
+const approve = async (userToken, approvalId, actor, { adAccountIds = null } = {}) => {
+  const pending = await getDecidable(userToken, approvalId, adAccountIds);
+  const deciderId = (actor && actor.userId) || userToken.userId;
+
+  if (pending.requestedBy === deciderId) {
+    throw new ForbiddenError('A budget change must be approved by a different user');
+  }
+
+  // Claim the request so concurrent approvals apply it once
+  const request = await ChangeApproval.findOneAndUpdate(
+    { _id: pending._id, status: 'pending' },
+    { status: 'approved', decidedBy: deciderId, decidedAt: new Date() },
+    { new: true }
+  );
+  if (!request) {
+    throw new ConflictError('Approval request was decided by someone else');
+  }
+
+  await auditLog.record({
+    actor: actor,
+    action: 'approval.approve',
+    adAccountId: request.adAccountId,
+    target: { type: request.targetType, id: request.targetId, name: request.targetName },
+    before: request.before,
+    after: request.after,
+    outcome: 'success',
+    metadata: { approvalId: String(request._id), requestedBy: request.requestedBy }
+  });
+
+  try {
+    const result = await adManagement.updateBudget(userToken, request.targetType, request.targetId, {
+      dailyBudget: request.change.dailyBudget,
+      lifetimeBudget: request.change.lifetimeBudget
+    }, { actor, approval: request, adAccountIds });
+
+    request.status = 'applied';
+    request.after = result.after;
+    await request.save();
+
+    return { approval: request, result };
+  } catch (error) {
+    request.status = 'failed';
+    request.error = error.message;
+    await request.save();
+    throw error;
+  }
+};
+
+/**
+ * Reject a budget change. The requester can reject (withdraw) their own request.
+ * @param {object} userToken - UserToken document of the deciding user (or of their workspace)
+ * @param {string} approvalId - ChangeApproval ID
+ * @param {object} actor - Audit actor; actor.userId is the deciding user
+ * @param {string} reason - Optional reason
+ * @param {object} options - adAccountIds (accessible accounts)
+ * @returns {Promise<object>} Updated ChangeApproval document
+ */
+const reject = async (userToken, approvalId, actor, reason = null, { adAccountIds = null } = {}) => {
+  const pending = await getDecidable(userToken, approvalId, adAccountIds);
+
+  const request = await ChangeApproval.findOneAndUpdate(
+    { _id: pending._id, status: 'pending' },
+    { status: 'rejected', decidedBy: (actor && actor.userId) || userToken.userId, decidedAt: new Date(), reason: reason },
+    { new: true }
+  );
+  if (!request) {
+    throw new ConflictError('Approval request was decided by someone else');
+  }
+
+  await auditLog.record({
+    actor: actor,
+    action: 'approval.reject',
+    adAccountId: request.adAccountId,
+    target: { type: request.targetType, id: request.targetId, name: request.targetName },
+    before: request.before,
+    after: request.after,
+    outcome: 'rejected',
+    metadata: { approvalId: String(request._id), requestedBy: request.requestedBy, reason: reason }
+  });
+
+  return request;
+};
+
+module.exports = {
+  listApprovals,
+  approve,
+  reject
+};
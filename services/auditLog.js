@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const AdAccount = require('../models/AdAccount');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_QUERY_LIMIT = 50;
+const MAX_QUERY_LIMIT = 200;
+
+/**
+ * Build the audit actor for an API request (runs after authenticate)
+ * @param {object} req - Express request
+ * @returns {object} Actor
+ */
+const actorFromRequest = (req) => ({
+  userId: req.auth ? req.auth.userId : null,
+  keyId: req.auth ? req.auth.keyId : null,
+  keyName: req.auth ? req.auth.name : null,
+  source: 'api',
+  ip: req.ip || null
+});
+
+/**
+ * Build the audit actor for a Cliq user
+ * @param {string} userId - Cliq user ID
+ * @returns {object} Actor
+ */
+const cliqActor = (userId) => ({
+  userId: userId,
+  source: 'cliq'
+});
+
+/**
+ * Append an entry to the audit trail. Failures are logged, never thrown,
+ * so auditing can't break the action being audited.
+ * @param {object} entry - { actor, action, adAccountId, target, before, after, outcome, error, metadata }
+ * @returns {Promise<object|null>} AuditLog document
+ */
+const record = async (entry) => {
+  try {
+    return await AuditLog.create({
+      ...entry,
+      actor: entry.actor || { source: 'system' },
+      error: entry.error instanceof Error ? entry.error.message : entry.error
+    });
+  } catch (error) {
+    console.error(`Failed to write audit log for ${entry.action}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Query the audit trail. Users see entries they performed and entries
+ * for ad accounts linked to them.
+ * @param {string} userId - User running the query
+ * @param {object} filters - action, adAccountId, actorId, targetId, outcome, since, until, limit, after
+ * @param {object} options - adAccountIds (visible accounts instead of the user's linked
+ *   ones, e.g. a workspace member's)
+ * @returns {Promise<{ data: Array, paging: object }>} Entries, newest first
+ */
+const query = async (userId, filters = {}, { adAccountIds = null } = {}) => {
+  const linked = adAccountIds || await AdAccount.find({ userId }).distinct('accountId');
+  const conditions = [
+    { $or: [{ 'actor.userId': userId }, { adAccountId: { $in: linked } }] }
+  ];
+
+  if (filters.action) {
+    conditions.push({ action: { $in: String(filters.action).split(',') } });
+  }
+  if (filters.adAccountId) {
+    conditions.push({ adAccountId: filters.adAccountId });
+  }
+  if (filters.actorId) {
+    conditions.push({ 'actor.userId': filters.actorId });
+  }
+  if (filters.targetId) {
+    conditions.push({ 'target.id': filters.targetId });
+  }
+  if (filters.outcome) {
+    conditions.push({ outcome: filters.outcome });
+  }
+  if (filters.since || filters.until) {
+    conditions.push({
+      createdAt: {
+        ...(filters.since && { $gte: filters.since }),
+        ...(filters.until && { $lte: filters.until })
+      }
+    });
+  }
+  if (filters.after) {
+    if (!mongoose.isValidObjectId(filters.after)) {
+      throw new ValidationError('Invalid after cursor');
+    }
+    conditions.push({ _id: { $lt: filters.after } });
+  }
+
+  const limit = Math.min(parseInt(filters.limit, 10) || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+  const entries = await AuditLog.find({ $and: conditions }).sort({ _id: -1 }).limit(limit + 1);
+  const data = entries.slice(0, limit);
+  const hasNext = entries.length > limit;
+
+  return {
+    data: data,
+    paging: {
+      cursors: { after: hasNext ? String(data[data.length - 1]._id) : null },
+      hasNext: hasNext
+    }
+  };
+};
+
+module.exports = {
+  actorFromRequest,
+  cliqActor,
+  record,
+  query
+};
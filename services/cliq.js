@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const CLIQ_API_BASE = process.env.CLIQ_API_BASE || 'https://cliq.zoho.com/api/v2';
+// Outgoing bot messages give up after this long instead of holding the caller
+const CLIQ_TIMEOUT_MS = parseInt(process.env.CLIQ_API_TIMEOUT_MS, 10) || 30000;
+
+/**
+ * Normalize the Cliq public key from the environment into PEM format.
+ * Cliq shows the key as a bare base64 string; .env files often carry
+ * escaped newlines, so both forms are accepted.
+ * @returns {string|null} PEM encoded public key
+ */
+const getPublicKey = () => {
+  const key = process.env.CLIQ_PUBLIC_KEY;
+  if (!key) {
+    return null;
+  }
+
+  const normalized = key.replace(/\\n/g, '\n').trim();
+  if (normalized.includes('BEGIN PUBLIC KEY')) {
+    return normalized;
+  }
+
+  const body = normalized.replace(/\s+/g, '').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN PUBLIC KEY-----\n${body}\n-----END PUBLIC KEY-----`;
+};
+
+/**
+ * Check whether Cliq request verification is configured
+ * @returns {boolean} True when a Cliq public key is set
+ */
+const isConfigured = () => Boolean(process.env.CLIQ_PUBLIC_KEY);
+
+/**
+ * Verify the X-Cliq-Signature header of an incoming request
+ * @param {Buffer|string} rawBody - Raw request body as received
+ * @param {string} signature - Base64 RSA-SHA256 signature from Cliq
+ * @returns {boolean} True when the signature matches the body
+ */
+const verifySignature = (rawBody, signature) => {
+  const publicKey = getPublicKey();
+  if (!publicKey || !signature || rawBody === undefined) {
+    return false;
+  }
+
+  try {
+    return crypto.verify(
+      'RSA-SHA256',
+      Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody),
+      publicKey,
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    console.warn('Failed to verify Cliq signature:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Build a Cliq message card
+ * @param {object} options - Card options
+ * @param {string} options.title - Card title
+ * @param {string} options.text - Message text shown above the card
+ * @param {Array} options.slides - Optional Cliq slides (tables, lists, labels)
+ * @param {Array} options.buttons - Optional Cliq buttons
+ * @param {string} options.theme - Card theme (default: modern-inline)
+ * @returns {object} Cliq message payload
+ */
+const buildCard = ({ title, text, slides = [], buttons = [], theme = 'modern-inline' }) => {
+  const message = {
+    text: text || title,
+    card: {
+      title: title,
+      theme: theme
+    }
+  };
+
+  if (slides.length > 0) {
+    message.slides = slides;
+  }
+
+  if (buttons.length > 0) {
+    message.buttons = buttons;
+  }
+
+  return message;
+};
+
+/**
+ * Build a Cliq table slide
+ * @param {string} title - Table title
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<object>} rows - Rows keyed by header
+ * @returns {object} Cliq table slide
+ */
+const buildTableSlide = (title, headers, rows) => ({
+  type: 'table',
+  title: title,
+  data: {
+    headers: headers,
+    rows: rows
+  }
+});
+
+/**
+ * Build a Cliq label slide (key/value pairs)
+ * @param {string} title - Slide title
+ * @param {Array<object>} pairs - Objects with a single key/value each
+ * @returns {object} Cliq label slide
+ */
+const buildLabelSlide = (title, pairs) => ({
+  type: 'label',
+  title: title,
+  data: pairs
+});
+
+/**
+ * Build a Cliq images slide
+ * @param {string} title - Slide title
+ * @param {Array<string>} urls - Image URLs
+ * @returns {object} Cliq images slide
+ */
+const buildImagesSlide = (title, urls) => ({
+  type: 'images',
+  title: title,
+  data: urls
+});
+
+/**
+ * Build a Cliq button that re-invokes a /metaads command
+ * @param {string} label - Button label
+ * @param {string} command - Command text, e.g. "spend last_7d"
+ * @returns {object} Cliq button definition
+ */
+const buildCommandButton = (label, command) => ({
+  label: label,
+  type: '+',
+  action: {
+    type: 'invoke.function',
+    data: {
+      name: process.env.CLIQ_ACTION_FUNCTION || 'metaadsAction'
+    }
+  },
+  arguments: {
+    command: command
+  }
+});
+
+/**
+ * Build a Cliq button that opens a URL
+ * @param {string} label - Button label
+ * @param {string} url - URL to open
+ * @returns {object} Cliq button definition
+ */
+const buildLinkButton = (label, url) => ({
+  label: label,
+  type: '+',
+  action: {
+    type: 'open.url',
+    data: {
+      web: url
+    }
+  }
+});
+
+/**
+ * Build a plain error message for Cliq
+ * @param {string} text - Error text
+ * @returns {object} Cliq message payload
+ */
+const buildErrorMessage = (text) => buildCard({
+  title: 'Meta Ads',
+  text: `:warning: ${text}`,
+  theme: 'modern-inline'
+});
+
+/**
+ * Format a number for message text ("-" when it is not a number)
+ * @param {*} value - Number or numeric string
+ * @param {number} digits - Decimal places
+ * @returns {string} Formatted number, e.g. 12,345.60
+ */
+const formatNumber = (value, digits = 0) => {
+  const number = Number(value);
+  if (value === null || value === undefined || !Number.isFinite(number)) {
+    return '-';
+  }
+  return number.toLocaleString('en-US', {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  });
+};
+
+/**
+ * Check whether outgoing Cliq messages are configured
+ * @returns {boolean} True when a bot name and webhook token are set
+ */
+const canPostMessages = () => Boolean(process.env.CLIQ_BOT_NAME && process.env.CLIQ_WEBHOOK_TOKEN);
+
+/**
+ * Post a message to users through the Cliq bot
+ * @param {string|Array<string>} userIds - Cliq user ID(s) to message
+ * @param {object} message - Cliq message payload (see buildCard)
+ * @returns {Promise<boolean>} True when the message was posted
+ */
+const postToUser = async (userIds, message) => {
+  if (!canPostMessages()) {
+    console.warn('Cliq bot messaging not configured, skipping message');
+    return false;
+  }
+
+  const ids = Array.isArray(userIds) ? userIds : [userIds];
+  await axios.post(
+    `${CLIQ_API_BASE}/bots/${encodeURIComponent(process.env.CLIQ_BOT_NAME)}/message`,
+    {
+      ...message,
+      userids: ids.join(',')
+    },
+    {
+      params: { zapikey: process.env.CLIQ_WEBHOOK_TOKEN },
+      timeout: CLIQ_TIMEOUT_MS
+    }
+  );
+  return true;
+};
+
+/**
+ * Post a message to a Cliq channel as the bot
+ * @param {string} channel - Channel unique name
+ * @param {object} message - Cliq message payload (see buildCard)
+ * @returns {Promise<boolean>} True when the message was posted
+ */
+const postToChannel = async (channel, message) => {
+  if (!canPostMessages()) {
+    console.warn(`Cliq bot messaging not configured, skipping message to channel ${channel}`);
+    return false;
+  }
+
+  await axios.post(
+    `${CLIQ_API_BASE}/channelsbyname/${encodeURIComponent(channel)}/message`,
+    message,
+    {
+      params: {
+        zapikey: process.env.CLIQ_WEBHOOK_TOKEN,
+        bot_unique_name: process.env.CLIQ_BOT_NAME
+      },
+      timeout: CLIQ_TIMEOUT_MS
+    }
+  );
+  return true;
+};
+
+/**
+ * Send a file to users through the Cliq bot
+ * @param {string|Array<string>} userIds - Cliq user ID(s) to send it to
+ * @param {object} file - { filename, contentType, data (Buffer) }
+ * @param {string} comment - Message shown with the file
+ * @returns {Promise<boolean>} True when the file was sent
+ */
+const postFileToUser = async (userIds, file, comment = '') => {
+  if (!canPostMessages()) {
+    console.warn(`Cliq bot messaging not configured, skipping file ${file.filename}`);
+    return false;
+  }
+
+  const ids = Array.isArray(userIds) ? userIds : [userIds];
+  const form = new FormData();
+  form.append('file', new Blob([file.data], { type: file.contentType }), file.filename);
+  form.append('comments', comment);
+  form.append('userids', ids.join(','));
+
+  await axios.post(
+    `${CLIQ_API_BASE}/bots/${encodeURIComponent(process.env.CLIQ_BOT_NAME)}/files`,
+    form,
+    {
+      params: { zapikey: process.env.CLIQ_WEBHOOK_TOKEN },
+      timeout: CLIQ_TIMEOUT_MS
+    }
+  );
+  return true;
+};
+
+module.exports = {
+  isConfigured,
+  canPostMessages,
+  postToUser,
+  postToChannel,
+  postFileToUser,
+  verifySignature,
+  buildCard,
+  buildTableSlide,
+  buildLabelSlide,
+  buildImagesSlide,
+  buildCommandButton,
+  buildLinkButton,
+  buildErrorMessage,
+  formatNumber
+};
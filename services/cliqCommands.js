@@ -0,0 +1,647 @@
+const metaApi = require('./metaApi');
+const metaCache = require('./metaCache');
+const metaAuth = require('./metaAuth');
+const cliq = require('./cliq');
+const tokenLifecycle = require('./tokenLifecycle');
+const workspaces = require('./workspaces');
+const adManagement = require('./adManagement');
+const auditLog = require('./auditLog');
+const reportExport = require('./reportExport');
+const { DATE_PRESETS, LEVELS } = require('./insightsQuery');
+
+const COMMAND_NAME = process.env.CLIQ_COMMAND_NAME || 'metaads';
+
+// Rows shown in a single Cliq table before truncating
+const MAX_TABLE_ROWS = 10;
+
+/**
+ * Split command text into a command name and its arguments.
+ * Leading "/metaads" and "@bot" mentions are ignored so the same parser
+ * serves slash commands, bot messages and button actions.
+ * @param {string} text - Raw command text
+ * @returns {{ name: string, args: Array<string> }} Parsed command
+ */
+const parseCommand = (text = '') => {
+  const tokens = String(text)
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .filter((token, index) => !(index === 0 && (token.startsWith('@') || token === `/${COMMAND_NAME}`)));
+
+  return {
+    name: (tokens[0] || 'help').toLowerCase(),
+    args: tokens.slice(1)
+  };
+};
+
+/**
+ * Read through the Meta cache for the command's ad account, so repeated
+ * commands do not cost Graph quota (shared by a workspace's members)
+ */
+const cachedRead = async (access, resource, params, fetch) => {
+  const result = await metaCache.read({ userId: access.userToken.userId, adAccountId: access.adAccountId }, resource, params, fetch);
+  return result.value;
+};
+
+const truncateNote = (total) => total > MAX_TABLE_ROWS
+  ? ` (showing ${MAX_TABLE_ROWS} of ${total})`
+  : '';
+
+const buildConnectMessage = async (userId, text) => {
+  if (!metaAuth.isConfigured()) {
+    return cliq.buildErrorMessage('Meta OAuth credentials are not configured on the server.');
+  }
+
+  return cliq.buildCard({
+    title: 'Connect Meta Ads',
+    text: text,
+    buttons: [cliq.buildLinkButton('Connect Meta', await metaAuth.buildAuthUrl(userId))]
+  });
+};
+
+/**
+ * Reply for an expired connection. Only the owner of a workspace's
+ * connection can reconnect it; other members have to ask an admin.
+ */
+const expiredMessage = (access, text) => {
+  const { workspace, userId } = access;
+
+  if (!workspace) {
+    return buildConnectMessage(userId, text);
+  }
+  if (userId === workspace.connectionUserId) {
+    return buildConnectMessage(userId, `The Meta connection you share with workspace "${workspace.name}" expired or was revoked. Please reconnect.`);
+  }
+  return cliq.buildErrorMessage(`The Meta connection of workspace "${workspace.name}" expired or was revoked. Ask a workspace admin to reconnect.`);
+};
+
+const helpMessage = () => cliq.buildCard({
+  title: 'Meta Ads commands',
+  text: `Use /${COMMAND_NAME} <command> [options]`,
+  slides: [
+    cliq.buildTableSlide('Commands', ['Command', 'Description'], [
+      { Command: 'connect', Description: 'Link your Meta Ads account' },
+      { Command: 'status', Description: 'Show your connection status' },
+      { Command: 'accounts [refresh]', Description: 'List your ad accounts' },
+      { Command: 'use <accountId>', Description: 'Change your default ad account' },
+      { Command: 'campaigns [limit]', Description: 'List campaigns' },
+      { Command: 'adsets [campaignId]', Description: 'List ad sets' },
+      { Command: 'spend [datePreset] [level]', Description: 'Spend and performance, e.g. spend last_7d' },
+      { Command: 'ads [campaignId] [datePreset]', Description: 'Ads with their creative, top spenders first' },
+      { Command: 'preview <adId> [format]', Description: 'Link to an ad preview, e.g. preview 123 INSTAGRAM_STORY' },
+      { Command: 'leads [limit]', Description: 'Latest leads' },
+      { Command: 'pause <campaignId>', Description: 'Pause a campaign (asks for confirmation)' },
+      { Command: 'resume <campaignId>', Description: 'Activate a paused campaign (asks for confirmation)' },
+      { Command: 'export <report> [format] [datePreset]', Description: 'Get campaigns, adsets, spend or leads as a csv, xlsx or pdf file' },
+      { Command: 'workspace map <workspaceId> [org]', Description: 'Workspace admins: use a workspace for this channel, or with org for the whole organization' }
+    ])
+  ]
+});
+
+const statusMessage = (access) => cliq.buildCard({
+  title: 'Meta Ads connection',
+  slides: [
+    cliq.buildLabelSlide('Status', [
+      ...(access.workspace ? [{ Workspace: access.workspace.name }, { Role: access.member.role }] : []),
+      { Connected: access.userToken.isUsable() ? 'Yes' : 'No, please reconnect' },
+      { 'Expires at': access.userToken.expiresAt ? access.userToken.expiresAt.toISOString() : 'Never' },
+      { 'Default ad account': workspaces.defaultAccountId(access) || 'Not set' }
+    ])
+  ]
+});
+
+const accountsMessage = async (access, args) => {
+  const data = await workspaces.listAccounts(access, {
+    refresh: args[0] === 'refresh' || !access.userToken.accountsSyncedAt
+  });
+  const defaultAccountId = workspaces.defaultAccountId(access);
+
+  if (data.length === 0) {
+    return cliq.buildCard({
+      title: 'Ad accounts',
+      text: access.workspace ? 'No ad accounts are shared with you in this workspace.' : 'No ad accounts found for your Meta user.'
+    });
+  }
+
+  return cliq.buildCard({
+    title: 'Ad accounts',
+    text: `${data.length} ad account(s)${truncateNote(data.length)}. Change the default with /${COMMAND_NAME} use <accountId>`,
+    slides: [
+      cliq.buildTableSlide('Ad accounts', ['ID', 'Name', 'Currency', 'Default'], data.slice(0, MAX_TABLE_ROWS).map(account => ({
+        ID: account.accountId,
+        Name: account.name || '-',
+        Currency: account.currency || '-',
+        Default: account.accountId === defaultAccountId ? 'Yes' : ''
+      })))
+    ],
+    buttons: [cliq.buildCommandButton('Refresh', 'accounts refresh')]
+  });
+};
+
+const useAccountMessage = async (access, args) => {
+  if (!args[0]) {
+    return cliq.buildErrorMessage(`Usage: /${COMMAND_NAME} use <accountId>`);
+  }
+
+  const account = await workspaces.setDefaultAccount(access, args[0], auditLog.cliqActor(access.userId));
+
+  if (!account) {
+    return cliq.buildErrorMessage(access.workspace
+      ? `Ad account ${args[0]} is not shared with you in this workspace.`
+      : `Ad account ${args[0]} is not linked to your Meta user.`);
+  }
+
+  return cliq.buildCard({
+    title: 'Default ad account',
+    text: `Now using ${account.name || account.accountId} (${account.accountId}) by default.`
+  });
+};
+
+const campaignsMessage = async (access, args) => {
+  const limit = parseInt(args[0], 10) || MAX_TABLE_ROWS;
+  // Walk every page so the counts cover the whole account, not just page one
+  const campaigns = await cachedRead(access, 'campaigns', { all: true },
+    () => metaApi.getCampaigns(access.userToken.accessToken, access.adAccountId, { all: true }));
+  const data = campaigns.data || [];
+
+  if (data.length === 0) {
+    return cliq.buildCard({ title: 'Campaigns', text: 'No campaigns found.' });
+  }
+
+  const statusCounts = Object.entries(data.reduce((counts, campaign) => ({
+    ...counts,
+    [campaign.status]: (counts[campaign.status] || 0) + 1
+  }), {})).map(([status, count]) => `${count} ${status.toLowerCase()}`).join(', ');
+
+  const shown = data
+    .slice()
+    .sort((a, b) => (a.status === 'ACTIVE' ? 0 : 1) - (b.status === 'ACTIVE' ? 0 : 1))
+    .slice(0, Math.min(limit, MAX_TABLE_ROWS));
+
+  return cliq.buildCard({
+    title: 'Campaigns',
+    text: `${data.length}${campaigns.truncated ? '+' : ''} campaign(s) in ${access.adAccountId} (${statusCounts})` +
+      (data.length > shown.length ? `, showing ${shown.length} (active first)` : ''),
+    slides: [
+      cliq.buildTableSlide('Campaigns', ['ID', 'Name', 'Status', 'Objective'], shown.map(campaign => ({
+        ID: campaign.id,
+        Name: campaign.name,
+        Status: campaign.status,
+        Objective: campaign.objective || '-'
+      })))
+    ],
+    buttons: [cliq.buildCommandButton('Spend (7 days)', 'spend last_7d')]
+  });
+};
+
+const adSetsMessage = async (access, args) => {
+  const campaignId = args[0] || null;
+  await adManagement.assertInAccount(access.userToken, access.adAccountId, { campaign: campaignId }, { adAccountIds: access.adAccountIds });
+  const adSets = await cachedRead(access, 'adsets', { campaignId, limit: 25 },
+    () => metaApi.getAdSets(access.userToken.accessToken, access.adAccountId, campaignId, { limit: 25 }));
+  const data = adSets.data || [];
+
+  if (data.length === 0) {
+    return cliq.buildCard({ title: 'Ad sets', text: 'No ad sets found.' });
+  }
+
+  return cliq.buildCard({
+    title: 'Ad sets',
+    text: `${data.length} ad set(s)${truncateNote(data.length)}`,
+    slides: [
+      cliq.buildTableSlide('Ad sets', ['Name', 'Status', 'Optimization'], data.slice(0, MAX_TABLE_ROWS).map(adSet => ({
+        Name: adSet.name,
+        Status: adSet.status,
+        Optimization: adSet.optimization_goal || '-'
+      })))
+    ]
+  });
+};
+
+const spendMessage = async (access, args) => {
+  const datePreset = args[0] || 'last_7d';
+  const level = args[1] || 'campaign';
+
+  if (!DATE_PRESETS.includes(datePreset)) {
+    return cliq.buildErrorMessage(`Unknown date preset "${datePreset}". Try one of: ${DATE_PRESETS.join(', ')}`);
+  }
+
+  if (!LEVELS.includes(level)) {
+    return cliq.buildErrorMessage(`Unknown level "${level}". Try one of: ${LEVELS.join(', ')}`);
+  }
+
+  const params = { datePreset, level, limit: 50 };
+  const spend = await cachedRead(access, 'insights', { report: 'spend', ...params },
+    () => metaApi.getSpend(access.userToken.accessToken, access.adAccountId, params));
+  const data = spend.data || [];
+
+  if (data.length === 0) {
+    return cliq.buildCard({ title: `Spend (${datePreset})`, text: 'No delivery in this period.' });
+  }
+
+  const totals = data.reduce((sum, row) => ({
+    spend: sum.spend + (Number(row.spend) || 0),
+    impressions: sum.impressions + (Number(row.impressions) || 0),
+    clicks: sum.clicks + (Number(row.clicks) || 0)
+  }), { spend: 0, impressions: 0, clicks: 0 });
+
+  const nameKey = level === 'account' ? 'account_name' : `${level}_name`;
+
+  return cliq.buildCard({
+    title: `Spend (${datePreset})`,
+    text: `Total spend ${cliq.formatNumber(totals.spend, 2)} across ${data.length} ${level}(s)${truncateNote(data.length)}`,
+    slides: [
+      cliq.buildLabelSlide('Totals', [
+        { Spend: cliq.formatNumber(totals.spend, 2) },
+        { Impressions: cliq.formatNumber(totals.impressions) },
+        { Clicks: cliq.formatNumber(totals.clicks) },
+        { CTR: totals.impressions ? `${cliq.formatNumber(totals.clicks / totals.impressions * 100, 2)}%` : '-' }
+      ]),
+      cliq.buildTableSlide('Breakdown', ['Name', 'Spend', 'Impressions', 'CTR', 'CPC'], data.slice(0, MAX_TABLE_ROWS).map(row => ({
+        Name: row[nameKey] || row.campaign_name || '-',
+        Spend: cliq.formatNumber(row.spend, 2),
+        Impressions: cliq.formatNumber(row.impressions),
+        CTR: row.ctr ? `${cliq.formatNumber(row.ctr, 2)}%` : '-',
+        CPC: cliq.formatNumber(row.cpc, 2)
+      })))
+    ],
+    buttons: [
+      cliq.buildCommandButton('Yesterday', 'spend yesterday'),
+      cliq.buildCommandButton('Last 30 days', 'spend last_30d')
+    ]
+  });
+};
+
+// Ad thumbnails shown under the ads table
+const MAX_THUMBNAILS = 5;
+
+const adsMessage = async (access, args) => {
+  // Arguments in any order: a campaign ID and/or a date preset
+  const campaignId = args.find(arg => /^\d+$/.test(arg)) || null;
+  const datePreset = args.find(arg => !/^\d+$/.test(arg)) || 'last_7d';
+
+  if (!DATE_PRESETS.includes(datePreset)) {
+    return cliq.buildErrorMessage(`Unknown date preset "${datePreset}". Try one of: ${DATE_PRESETS.join(', ')}`);
+  }
+
+  await adManagement.assertInAccount(access.userToken, access.adAccountId, { campaign: campaignId }, { adAccountIds: access.adAccountIds });
+
+  const params = { campaignId, datePreset, all: true };
+  const ads = await cachedRead(access, 'ads', params,
+    () => metaApi.getAds(access.userToken.accessToken, access.adAccountId, params));
+  const data = (ads.data || []).map(metaApi.flattenAd);
+
+  if (data.length === 0) {
+    return cliq.buildCard({ title: `Ads (${datePreset})`, text: 'No ads found.' });
+  }
+
+  // Ads that spent most first, so the creatives doing the work are on top
+  const spendOf = ad => Number(ad.insights?.spend) || 0;
+  const shown = data.slice().sort((a, b) => spendOf(b) - spendOf(a)).slice(0, MAX_TABLE_ROWS);
+  const thumbnails = shown
+    .filter(ad => spendOf(ad) > 0)
+    .map(ad => ad.creative?.thumbnail_url || ad.creative?.image_url)
+    .filter(Boolean)
+    .slice(0, MAX_THUMBNAILS);
+
+  const slides = [
+    cliq.buildTableSlide('Top ads by spend', ['Ad', 'Status', 'Creative', 'CTA', 'Spend', 'CTR'], shown.map(ad => ({
+      Ad: `${ad.name} (${ad.id})`,
+      Status: ad.effective_status,
+      Creative: ad.creative?.title || ad.creative?.body?.slice(0, 60) || '-',
+      CTA: ad.creative?.call_to_action || '-',
+      Spend: cliq.formatNumber(spendOf(ad), 2),
+      CTR: ad.insights?.ctr ? `${cliq.formatNumber(ad.insights.ctr, 2)}%` : '-'
+    })))
+  ];
+  if (thumbnails.length > 0) {
+    slides.push(cliq.buildImagesSlide('Creatives', thumbnails));
+  }
+
+  return cliq.buildCard({
+    title: `Ads (${datePreset})`,
+    text: `${data.length}${ads.truncated ? '+' : ''} ad(s)${campaignId ? ` in campaign ${campaignId}` : ''}, ` +
+      `${data.filter(ad => spendOf(ad) > 0).length} with spend${truncateNote(data.length)}`,
+    slides: slides,
+    buttons: shown[0] && spendOf(shown[0]) > 0
+      ? [cliq.buildCommandButton('Preview top ad', `preview ${shown[0].id}`)]
+      : []
+  });
+};
+
+const previewMessage = async (access, args) => {
+  const [adId, format] = args;
+  const adFormat = String(format || 'MOBILE_FEED_STANDARD').toUpperCase();
+
+  if (!adId) {
+    return cliq.buildErrorMessage(`Usage: /${COMMAND_NAME} preview <adId> [format]`);
+  }
+
+  if (!metaApi.AD_PREVIEW_FORMATS.includes(adFormat)) {
+    return cliq.buildErrorMessage(`Unknown format "${format}". Try one of: ${metaApi.AD_PREVIEW_FORMATS.join(', ')}`);
+  }
+
+  // Checks the ad belongs to one of the user's ad accounts
+  const { object: ad } = await adManagement.getOwnedObject(access.userToken, 'ad', adId, { adAccountIds: access.adAccountIds });
+  const preview = await metaApi.getAdPreview(access.userToken.accessToken, ad.id, adFormat);
+
+  return cliq.buildCard({
+    title: `Preview: ${ad.name}`,
+    text: `${ad.name} (${ad.id}) as ${adFormat}. The preview link expires after a while.`,
+    buttons: preview.url ? [cliq.buildLinkButton('Open preview', preview.url)] : []
+  });
+};
+
+const leadsMessage = async (access, args) => {
+  const limit = parseInt(args[0], 10) || 25;
+  // Lead rows carry personal data, so they are never cached
+  const leads = await metaApi.getLeads(access.userToken.accessToken, access.adAccountId, { limit });
+  const data = leads.data || [];
+
+  if (data.length === 0) {
+    return cliq.buildCard({ title: 'Leads', text: 'No leads found.' });
+  }
+
+  return cliq.buildCard({
+    title: 'Leads',
+    text: `${data.length} lead(s)${truncateNote(data.length)}`,
+    slides: [
+      cliq.buildTableSlide('Leads', ['Form', 'Campaign', 'Created', 'Details'], data.slice(0, MAX_TABLE_ROWS).map(lead => ({
+        Form: lead.form_name || lead.form_id,
+        Campaign: lead.campaign_name || '-',
+        Created: lead.created_time,
+        Details: leads.columns
+          .filter(column => !metaApi.LEAD_COLUMNS.includes(column) && lead[column])
+          .map(column => `${column}: ${lead[column]}`)
+          .join('; ') || '-'
+      })))
+    ]
+  });
+};
+
+const campaignStatusMessage = (status) => async (access, args) => {
+  const [campaignId, confirm] = args;
+  const verb = status === 'PAUSED' ? 'pause' : 'resume';
+
+  if (!campaignId) {
+    return cliq.buildErrorMessage(`Usage: /${COMMAND_NAME} ${verb} <campaignId>`);
+  }
+
+  // Without "confirm" this is a dry run showing what would change
+  const dryRun = confirm !== 'confirm';
+  const result = await adManagement.updateStatus(access.userToken, 'campaign', campaignId, status, {
+    dryRun,
+    actor: auditLog.cliqActor(access.userId),
+    adAccountIds: access.adAccountIds
+  });
+
+  if (!result.changed) {
+    return cliq.buildCard({
+      title: 'Campaign status',
+      text: `${result.name} is already ${status.toLowerCase()}.`
+    });
+  }
+
+  if (dryRun) {
+    return cliq.buildCard({
+      title: `${verb === 'pause' ? 'Pause' : 'Resume'} campaign?`,
+      text: `${result.name} (${result.id}) in ${result.adAccountId} will change from ${result.before.status} to ${result.after.status}.`,
+      buttons: [cliq.buildCommandButton(`Confirm ${verb}`, `${verb} ${result.id} confirm`)]
+    });
+  }
+
+  return cliq.buildCard({
+    title: 'Campaign status',
+    text: `${result.name} (${result.id}) is now ${result.after.status}.`
+  });
+};
+
+// Reports the export command can send
+const EXPORT_REPORTS = {
+  campaigns: 'Campaigns',
+  adsets: 'Ad sets',
+  spend: 'Spend',
+  leads: 'Leads'
+};
+
+/**
+ * Build a report file for the command's ad account and send it through the bot
+ */
+const sendExportFile = async (access, report, format, datePreset) => {
+  const account = await workspaces.resolveAccount(access, access.adAccountId);
+  const pageParams = { all: true, maxItems: reportExport.EXPORT_MAX_ROWS };
+  let columns = reportExport.REPORT_COLUMNS[report];
+  let produce;
+
+  if (report === 'leads') {
+    const leads = await metaApi.getLeads(access.userToken.accessToken, account.accountId, { all: true });
+    await auditLog.record({
+      actor: auditLog.cliqActor(access.userId),
+      action: 'leads.export',
+      adAccountId: account.accountId,
+      outcome: 'success',
+      metadata: { filters: { all: true }, format: format, count: leads.data.length }
+    });
+    columns = reportExport.leadColumns(leads.columns);
+    produce = write => write(leads.data);
+  } else if (report === 'spend') {
+    produce = write => metaApi.getSpend(access.userToken.accessToken, account.accountId, { datePreset, level: 'campaign', ...pageParams, onPage: write });
+  } else if (report === 'adsets') {
+    produce = write => metaApi.getAdSets(access.userToken.accessToken, account.accountId, null, { ...pageParams, onPage: write });
+  } else {
+    produce = write => metaApi.getCampaigns(access.userToken.accessToken, account.accountId, { ...pageParams, onPage: write });
+  }
+
+  const title = `${EXPORT_REPORTS[report]}${report === 'spend' ? ` (${datePreset})` : ''} - ${account.name || account.accountId}`;
+  const data = await reportExport.renderReport({ format, columns, currency: account.currency, title }, produce);
+
+  await cliq.postFileToUser(access.userId, {
+    filename: reportExport.buildFilename(report, account.accountId, format),
+    contentType: reportExport.FORMATS[format].contentType,
+    data: data
+  }, title);
+};
+
+const exportMessage = async (access, args) => {
+  const [report, format = 'csv', datePreset = 'last_7d'] = args;
+
+  if (!EXPORT_REPORTS[report]) {
+    return cliq.buildErrorMessage(`Usage: /${COMMAND_NAME} export <${Object.keys(EXPORT_REPORTS).join('|')}> [${Object.keys(reportExport.FORMATS).join('|')}] [datePreset]`);
+  }
+
+  if (!reportExport.FORMATS[format]) {
+    return cliq.buildErrorMessage(`Unknown format "${format}". Try one of: ${Object.keys(reportExport.FORMATS).join(', ')}`);
+  }
+
+  if (report === 'spend' && !DATE_PRESETS.includes(datePreset)) {
+    return cliq.buildErrorMessage(`Unknown date preset "${datePreset}". Try one of: ${DATE_PRESETS.join(', ')}`);
+  }
+
+  if (report === 'leads' && access.workspace && !workspaces.roleAllows(access.member.role, ['leads:read'])) {
+    return cliq.buildErrorMessage(`Your ${access.member.role} role in workspace "${access.workspace.name}" does not allow exporting leads.`);
+  }
+
+  if (!cliq.canPostMessages()) {
+    return cliq.buildErrorMessage('File exports need the Cliq bot (CLIQ_BOT_NAME and CLIQ_WEBHOOK_TOKEN) to be configured on the server.');
+  }
+
+  // Walking every page can outlast Cliq's reply timeout, so the bot sends the file afterwards
+  sendExportFile(access, report, format, datePreset).catch(async (error) => {
+    console.error(`Error exporting ${report} for Cliq user ${access.userId}:`, error);
+    const expired = await tokenLifecycle.handleGraphError(access.userToken, error);
+    await cliq.postToUser(access.userId, cliq.buildErrorMessage(expired
+      ? (access.workspace
+        ? `The Meta connection of workspace "${access.workspace.name}" expired or was revoked. Ask a workspace admin to reconnect.`
+        : `Your Meta session expired or was revoked. Reconnect with /${COMMAND_NAME} connect.`)
+      : `Could not export ${report}: ${error.message}`));
+  }).catch(reportError => {
+    // Nothing awaits the export; an unhandled rejection would crash the process
+    console.error('Error reporting export failure to Cliq:', reportError.message);
+  });
+
+  return cliq.buildCard({
+    title: 'Export',
+    text: `Preparing ${EXPORT_REPORTS[report].toLowerCase()} as ${format.toUpperCase()} for ${access.adAccountId}. The bot will send you the file shortly.`
+  });
+};
+
+/**
+ * Map a workspace to the channel (or organization) the command is sent
+ * from. The organization and channel come from the signed Cliq request.
+ */
+const workspaceMessage = async (userId, args, { cliqOrgId, cliqChannel }) => {
+  const [action, workspaceId, scope] = args;
+  if (action !== 'map' || !workspaceId || (scope && scope !== 'org')) {
+    return cliq.buildErrorMessage(`Usage: /${COMMAND_NAME} workspace map <workspaceId> [org]`);
+  }
+
+  const channel = scope === 'org' ? null : cliqChannel;
+  let workspace;
+  try {
+    workspace = await workspaces.mapCliq(userId, workspaceId, { cliqOrgId, cliqChannel: channel }, auditLog.cliqActor(userId));
+  } catch (error) {
+    return cliq.buildErrorMessage(error.message);
+  }
+
+  return cliq.buildCard({
+    title: 'Workspace mapped',
+    text: channel
+      ? `Commands sent from #${channel} now use workspace "${workspace.name}".`
+      : `Commands sent from your Cliq organization now use workspace "${workspace.name}", except in channels mapped to another workspace.`
+  });
+};
+
+// Commands that need a connected Meta user
+const ACCOUNT_COMMANDS = {
+  accounts: accountsMessage,
+  use: useAccountMessage,
+  campaigns: campaignsMessage,
+  adsets: adSetsMessage,
+  spend: spendMessage,
+  ads: adsMessage,
+  preview: previewMessage,
+  leads: leadsMessage,
+  pause: campaignStatusMessage('PAUSED'),
+  resume: campaignStatusMessage('ACTIVE'),
+  export: exportMessage
+};
+
+// Commands that work on the default ad account
+const NEEDS_AD_ACCOUNT = ['campaigns', 'adsets', 'spend', 'ads', 'leads', 'export'];
+
+// API scopes a command needs, checked against the user's workspace role
+const COMMAND_SCOPES = {
+  accounts: ['accounts:read'],
+  use: ['accounts:write'],
+  campaigns: ['campaigns:read'],
+  adsets: ['campaigns:read'],
+  spend: ['spend:read'],
+  ads: ['campaigns:read'],
+  preview: ['campaigns:read'],
+  leads: ['leads:read'],
+  pause: ['ads:write'],
+  resume: ['ads:write'],
+  export: ['reports:read']
+};
+
+/**
+ * Run a /metaads command for a Cliq user and build the reply. Members of
+ * a workspace (picked by the Cliq channel or organization) use the
+ * workspace's Meta connection.
+ * @param {string} userId - Cliq user ID
+ * @param {string} text - Command text, e.g. "spend last_7d"
+ * @param {object} context - cliqOrgId and cliqChannel the command was sent from
+ * @returns {Promise<object>} Cliq message payload
+ */
+const runCommand = async (userId, text, { cliqOrgId = null, cliqChannel = null } = {}) => {
+  const { name, args } = parseCommand(text);
+
+  if (name === 'help') {
+    return helpMessage();
+  }
+
+  if (name === 'connect') {
+    return buildConnectMessage(userId, 'Click below to link your Meta Ads account.');
+  }
+
+  if (name === 'workspace') {
+    return workspaceMessage(userId, args, { cliqOrgId, cliqChannel });
+  }
+
+  if (name !== 'status' && !ACCOUNT_COMMANDS[name]) {
+    return cliq.buildErrorMessage(`Unknown command "${name}". Type /${COMMAND_NAME} help for the list of commands.`);
+  }
+
+  let access;
+  try {
+    access = await workspaces.resolveAccess(userId, { cliqOrgId, cliqChannel });
+  } catch (error) {
+    return cliq.buildErrorMessage(error.message);
+  }
+
+  if (!access) {
+    return buildConnectMessage(userId, 'You have not connected Meta Ads yet.');
+  }
+
+  if (name === 'status') {
+    return statusMessage(access);
+  }
+
+  const { userToken, workspace, member } = access;
+  await tokenLifecycle.ensureFreshToken(userToken);
+
+  if (!userToken.isUsable()) {
+    return expiredMessage(access, 'Your Meta access has expired or was revoked. Please reconnect.');
+  }
+
+  if (workspace && !workspaces.roleAllows(member.role, COMMAND_SCOPES[name])) {
+    return cliq.buildErrorMessage(`Your ${member.role} role in workspace "${workspace.name}" does not allow /${COMMAND_NAME} ${name}.`);
+  }
+
+  try {
+    if (NEEDS_AD_ACCOUNT.includes(name)) {
+      // Resolves (and on first use syncs) the default ad account
+      const account = await workspaces.resolveAccount(access);
+
+      if (!account) {
+        return cliq.buildErrorMessage(workspace
+          ? `No ad accounts are shared with you in workspace "${workspace.name}". Ask a workspace admin for access.`
+          : `No default ad account set. Pick one with /${COMMAND_NAME} use <accountId>.`);
+      }
+      access.adAccountId = account.accountId;
+    }
+
+    return await ACCOUNT_COMMANDS[name](access, args);
+  } catch (error) {
+    console.error(`Error running Cliq command "${name}":`, error);
+    if (await tokenLifecycle.handleGraphError(userToken, error)) {
+      return expiredMessage(access, 'Your Meta session expired or was revoked. Please reconnect.');
+    }
+    return cliq.buildErrorMessage(error.message || 'Failed to fetch data from Meta');
+  }
+};
+
+module.exports = {
+  parseCommand,
+  runCommand
+};
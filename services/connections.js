@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+const AdAccount = require('../models/AdAccount');
+const AuditLog = require('../models/AuditLog');
+const Schedule = require('../models/Schedule');
+const AlertRule = require('../models/AlertRule');
+const LeadSubscription = require('../models/LeadSubscription');
+const InsightSync = require('../models/InsightSync');
+const InsightSnapshot = require('../models/InsightSnapshot');
+const ChangeApproval = require('../models/ChangeApproval');
+const OAuthState = require('../models/OAuthState');
+const Workspace = require('../models/Workspace');
+const DataDeletionRequest = require('../models/DataDeletionRequest');
+const metaAuth = require('./metaAuth');
+const tokenLifecycle = require('./tokenLifecycle');
+const auditLog = require('./auditLog');
+
+const META_ACTOR = { source: 'meta' };
+
+/**
+ * Unlink a user's Meta account: revoke the app's permissions on Meta
+ * (DELETE /me/permissions) and delete the stored token and ad accounts.
+ * Digests, alerts and syncs are kept and resume after reconnecting.
+ * The local data is removed even if Meta could not be reached.
+ * @param {object} userToken - UserToken document
+ * @param {object} actor - Audit actor
+ * @returns {Promise<{ revoked: boolean, workspaceIds: Array<string> }>} Whether Meta
+ *   confirmed the revocation, and workspaces that shared this connection
+ */
+const disconnect = async (userToken, actor = null) => {
+  let revoked = false;
+  if (userToken.isUsable()) {
+    try {
+      revoked = await metaAuth.revokePermissions(userToken.accessToken);
+    } catch (error) {
+      console.warn(`Failed to revoke Meta permissions for user ${userToken.userId}:`, error.message);
+    }
+  }
+
+  const workspaceIds = (await Workspace.find({ connectionUserId: userToken.userId }).distinct('_id')).map(String);
+
+  await Promise.all([
+    UserToken.deleteOne({ _id: userToken._id }),
+    AdAccount.deleteMany({ userId: userToken.userId })
+  ]);
+
+  await auditLog.record({
+    actor: actor,
+    action: 'auth.disconnect',
+    adAccountId: userToken.adAccountId,
+    target: { type: 'user', id: userToken.userId },
+    before: { metaUserId: userToken.metaUserId, status: userToken.status },
+    outcome: 'success',
+    metadata: { revoked: revoked, workspaceIds: workspaceIds }
+  });
+
+  return { revoked, workspaceIds };
+};
+
+/**
+ * Handle Meta's deauthorize callback (the user removed the app on
+ * Facebook): mark the user's connections invalid, which also tells them
+ * in Cliq. The records stay until a data deletion request or reconnect.
+ * @param {string} metaUserId - App-scoped Meta user ID from the signed_request
+ * @returns {Promise<number>} Connections invalidated
+ */
+const deauthorize = async (metaUserId) => {
+  const userTokens = await UserToken.find({ metaUserId });
+
+  for (const userToken of userTokens) {
+    await tokenLifecycle.markInvalid(userToken, 'Meta Ads app removed in Facebook settings');
+
+    await auditLog.record({
+      actor: META_ACTOR,
+      action: 'auth.deauthorize',
+      target: { type: 'user', id: userToken.userId },
+      outcome: 'success',
+      metadata: { metaUserId: metaUserId }
+    });
+  }
+
+  return userTokens.length;
+};
+
+/**
+ * Users connected to a Meta user: by stored connection, or by the
+ * auth.connect audit entries when the connection was already removed
+ */
+const findUserIds = async (metaUserId) => {
+  const [connected, audited] = await Promise.all([
+    UserToken.find({ metaUserId }).distinct('userId'),
+    AuditLog.find({ action: 'auth.connect', 'after.metaUserId': metaUserId }).distinct('target.id')
+  ]);
+
+  return [...new Set([...connected, ...audited])];
+};
+
+/**
+ * Delete everything stored for a user's Meta connection: token, ad
+ * accounts, digests, alerts, lead subscriptions, insight syncs and their
+ * snapshots, pending approvals and OAuth states. The audit trail is kept.
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Documents deleted per collection
+ */
+const purgeUserData = async (userId) => {
+  const syncedAccountIds = await InsightSync.find({ userId }).distinct('adAccountId');
+
+  const results = {
+    userTokens: await UserToken.deleteMany({ userId }),
+    adAccounts: await AdAccount.deleteMany({ userId }),
+    schedules: await Schedule.deleteMany({ userId }),
+    alertRules: await AlertRule.deleteMany({ userId }),
+    leadSubscriptions: await LeadSubscription.deleteMany({ userId }),
+    insightSyncs: await InsightSync.deleteMany({ userId }),
+    insightSnapshots: await InsightSnapshot.deleteMany({ adAccountId: { $in: syncedAccountIds } }),
+    changeApprovals: await ChangeApproval.deleteMany({ requestedBy: userId, status: 'pending' }),
+    oauthStates: await OAuthState.deleteMany({ userId })
+  };
+
+  return Object.fromEntries(Object.entries(results).map(([name, result]) => [name, result.deletedCount]));
+};
+
+/**
+ * Handle Meta's data deletion callback: delete the data of every user
+ * connected to the Meta user and record the request, so its status can be
+ * looked up with the returned confirmation code
+ * @param {string} metaUserId - App-scoped Meta user ID from the signed_request
+ * @returns {Promise<object>} DataDeletionRequest document
+ */
+const requestDataDeletion = async (metaUserId) => {
+  const request = await DataDeletionRequest.create({
+    confirmationCode: crypto.randomBytes(12).toString('hex'),
+    metaUserId: metaUserId
+  });
+
+  try {
+    const userIds = await findUserIds(metaUserId);
+    const deleted = {};
+
+    for (const userId of userIds) {
+      for (const [name, count] of Object.entries(await purgeUserData(userId))) {
+        deleted[name] = (deleted[name] || 0) + count;
+      }
+    }
+
+    request.userIds = userIds;
+    request.deleted = deleted;
+    request.status = 'completed';
+    request.completedAt = new Date();
+  } catch (error) {
+    console.error(`Data deletion ${request.confirmationCode} failed:`, error);
+    request.status = 'failed';
+    request.error = error.message;
+  }
+  await request.save();
+
+  await auditLog.record({
+    actor: META_ACTOR,
+    action: 'auth.data_deletion',
+    target: { type: 'meta_user', id: metaUserId },
+    outcome: request.status === 'completed' ? 'success' : 'failure',
+    error: request.error,
+    metadata: { confirmationCode: request.confirmationCode, userIds: request.userIds, deleted: request.deleted }
+  });
+
+  return request;
+};
+
+/**
+ * Look up a data deletion request by its confirmation code
+ * @param {string} confirmationCode - Code returned to Meta
+ * @returns {Promise<object|null>} DataDeletionRequest document
+ */
+const getDeletionRequest = async (confirmationCode) => {
+  return DataDeletionRequest.findOne({ confirmationCode: String(confirmationCode) });
+};
+
+module.exports = {
+  disconnect,
+  deauthorize,
+  purgeUserData,
+  requestDataDeletion,
+  getDeletionRequest
+};
@@ -0,0 +1,227 @@
+const UserToken = require('../models/UserToken');
+const metaApi = require('./metaApi');
+const tokenLifecycle = require('./tokenLifecycle');
+const adAccounts = require('./adAccounts');
+const cliq = require('./cliq');
+const { summarize } = require('./insightMetrics');
+const { ValidationError } = require('./errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days covered by each digest frequency
+const PERIODS = {
+  daily: 1,
+  weekly: 7
+};
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Campaigns listed as top and bottom performers
+const RANKED_CAMPAIGNS = 3;
+
+/**
+ * Build the cron expression for a digest
+ * @param {object} options - { frequency: daily|weekly, time: "HH:MM", dayOfWeek: monday..sunday }
+ * @returns {string} Cron expression
+ */
+const buildCron = ({ frequency = 'daily', time = '09:00', dayOfWeek = 'monday' }) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time));
+  const day = DAYS_OF_WEEK.indexOf(String(dayOfWeek).toLowerCase());
+
+  if (!PERIODS[frequency]) {
+    throw new ValidationError(`frequency must be one of: ${Object.keys(PERIODS).join(', ')}`);
+  }
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new ValidationError('time must be HH:MM (24-hour)');
+  }
+  if (frequency === 'weekly' && day === -1) {
+    throw new ValidationError(`dayOfWeek must be one of: ${DAYS_OF_WEEK.join(', ')}`);
+  }
+
+  const [minute, hour] = [Number(match[2]), Number(match[1])];
+  return frequency === 'weekly' ? `${minute} ${hour} * * ${day}` : `${minute} ${hour} * * *`;
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Date ranges for a digest: the last full period before today (in the
+ * schedule's timezone) and the period before it
+ * @param {string} frequency - daily or weekly
+ * @param {string} timezone - IANA timezone
+ * @param {Date} now - Reference time
+ * @returns {{ current: object, previous: object }} { since, until } ranges (YYYY-MM-DD)
+ */
+const periodRanges = (frequency, timezone = 'UTC', now = new Date()) => {
+  const days = PERIODS[frequency];
+  // en-CA formats dates as YYYY-MM-DD
+  const today = new Date(`${now.toLocaleDateString('en-CA', { timeZone: timezone })}T00:00:00Z`);
+
+  const until = new Date(today.getTime() - DAY);
+  const since = new Date(until.getTime() - (days - 1) * DAY);
+  const previousUntil = new Date(since.getTime() - DAY);
+  const previousSince = new Date(previousUntil.getTime() - (days - 1) * DAY);
+
+  return {
+    current: { since: formatDate(since), until: formatDate(until) },
+    previous: { since: formatDate(previousSince), until: formatDate(previousUntil) }
+  };
+};
+
+/**
+ * Rank campaigns that spent in the period: by cost per lead when the
+ * account got leads, otherwise by CTR
+ * @param {Array} rows - Campaign insight rows
+ * @param {boolean} byLeads - Rank by cost per lead
+ * @returns {{ top: Array, bottom: Array }} Best and worst campaigns
+ */
+const rankCampaigns = (rows, byLeads) => {
+  const campaigns = rows
+    .filter(row => Number(row.spend) > 0)
+    .map(row => ({ id: row.campaign_id, name: row.campaign_name, ...summarize([row]) }));
+
+  const score = byLeads
+    ? (campaign) => campaign.cpl === null ? Infinity : campaign.cpl
+    : (campaign) => campaign.ctr === null ? Infinity : -campaign.ctr;
+
+  // With few campaigns, split them so every campaign is listed once
+  const ranked = campaigns.sort((a, b) => score(a) - score(b));
+  const top = ranked.slice(0, Math.min(RANKED_CAMPAIGNS, Math.ceil(ranked.length / 2)));
+  const bottom = ranked.slice(Math.max(top.length, ranked.length - RANKED_CAMPAIGNS)).reverse();
+
+  return { top, bottom };
+};
+
+/**
+ * Build a performance digest for an ad account
+ * @param {string} accessToken - User's access token
+ * @param {string} adAccountId - Ad account ID
+ * @param {object} options - { frequency, timezone, now }
+ * @returns {Promise<object>} Digest with current and previous totals and ranked campaigns
+ */
+const buildDigest = async (accessToken, adAccountId, { frequency = 'daily', timezone = 'UTC', now = new Date() } = {}) => {
+  const ranges = periodRanges(frequency, timezone, now);
+
+  const [current, previous] = await Promise.all([ranges.current, ranges.previous].map(timeRange =>
+    metaApi.getSpend(accessToken, adAccountId, { level: 'campaign', timeRange, all: true })
+  ));
+
+  const totals = summarize(current.data || []);
+
+  return {
+    adAccountId: adAccountId,
+    frequency: frequency,
+    current: { ...ranges.current, totals },
+    previous: { ...ranges.previous, totals: summarize(previous.data || []) },
+    ...rankCampaigns(current.data || [], totals.leads > 0),
+    rankedBy: totals.leads > 0 ? 'cost per lead' : 'CTR'
+  };
+};
+
+const formatChange = (current, previous) => {
+  if (current === null || previous === null || previous === 0) {
+    return '';
+  }
+  const change = (current - previous) / previous * 100;
+  return ` (${change >= 0 ? '+' : ''}${cliq.formatNumber(change, 1)}%)`;
+};
+
+/**
+ * Format a digest as a Cliq message
+ * @param {object} digest - Result of buildDigest
+ * @param {object} account - AdAccount document
+ * @returns {object} Cliq message payload
+ */
+const buildDigestMessage = (digest, account) => {
+  const { current, previous } = digest;
+  const now = current.totals;
+  const before = previous.totals;
+  const range = current.since === current.until ? current.since : `${current.since} to ${current.until}`;
+
+  const metric = (value, previousValue, digits, suffix = '') => value === null
+    ? '-'
+    : `${cliq.formatNumber(value, digits)}${suffix}${formatChange(value, previousValue)}`;
+
+  const campaignRows = (campaigns) => campaigns.map(campaign => ({
+    Campaign: campaign.name || campaign.id,
+    Spend: cliq.formatNumber(campaign.spend, 2),
+    CTR: campaign.ctr === null ? '-' : `${cliq.formatNumber(campaign.ctr, 2)}%`,
+    Leads: cliq.formatNumber(campaign.leads),
+    CPL: cliq.formatNumber(campaign.cpl, 2)
+  }));
+
+  const slides = [
+    cliq.buildLabelSlide(`Compared with ${previous.since === previous.until ? previous.since : `${previous.since} to ${previous.until}`}`, [
+      { [account.currency ? `Spend (${account.currency})` : 'Spend']: metric(now.spend, before.spend, 2) },
+      { Impressions: metric(now.impressions, before.impressions, 0) },
+      { CTR: metric(now.ctr, before.ctr, 2, '%') },
+      { CPC: metric(now.cpc, before.cpc, 2) },
+      { Leads: metric(now.leads, before.leads, 0) }
+    ])
+  ];
+
+  const headers = ['Campaign', 'Spend', 'CTR', 'Leads', 'CPL'];
+  if (digest.top.length > 0) {
+    slides.push(cliq.buildTableSlide(`Top campaigns (by ${digest.rankedBy})`, headers, campaignRows(digest.top)));
+  }
+  if (digest.bottom.length > 0) {
+    slides.push(cliq.buildTableSlide('Bottom campaigns', headers, campaignRows(digest.bottom)));
+  }
+
+  return cliq.buildCard({
+    title: `${digest.frequency === 'weekly' ? 'Weekly' : 'Daily'} Meta Ads digest`,
+    text: `${account.name || account.accountId} (${account.accountId}), ${range}` +
+      (now.impressions === 0 ? '. No delivery in this period.' : ''),
+    slides: slides
+  });
+};
+
+/**
+ * Scheduler job: build a digest with the schedule owner's Meta connection
+ * and post it to the schedule's Cliq channel
+ * @param {object} schedule - Schedule document (params: adAccountId, channel, frequency)
+ */
+const runDigestSchedule = async (schedule) => {
+  const { adAccountId, channel, frequency } = schedule.params;
+
+  const userToken = await UserToken.findOne({ userId: schedule.userId });
+  if (!userToken) {
+    throw new Error(`No Meta connection for user ${schedule.userId}`);
+  }
+
+  await tokenLifecycle.ensureFreshToken(userToken);
+  if (!userToken.isUsable()) {
+    throw new Error(`Meta connection for user ${schedule.userId} is expired or revoked`);
+  }
+
+  const account = await adAccounts.resolveAccount(userToken, adAccountId);
+  if (!account) {
+    throw new Error(`User ${schedule.userId} no longer has access to ad account ${adAccountId}`);
+  }
+
+  let digest;
+  try {
+    digest = await buildDigest(userToken.accessToken, account.accountId, {
+      frequency,
+      timezone: schedule.timezone
+    });
+  } catch (error) {
+    await tokenLifecycle.handleGraphError(userToken, error);
+    throw error;
+  }
+
+  const posted = await cliq.postToChannel(channel, buildDigestMessage(digest, account));
+  if (!posted) {
+    throw new Error('Cliq bot messaging not configured');
+  }
+};
+
+module.exports = {
+  PERIODS,
+  DAYS_OF_WEEK,
+  buildCron,
+  periodRanges,
+  buildDigest,
+  buildDigestMessage,
+  runDigestSchedule
+};
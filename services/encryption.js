@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+const PREFIX = 'enc';
+const FORMAT_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+/**
+ * Parse TOKEN_ENCRYPTION_KEYS ("keyId:base64Key,keyId:base64Key").
+ * Old keys stay in the list so existing values can still be decrypted.
+ * @returns {Map<string, Buffer>} Key encryption keys by ID
+ */
+const loadKeys = () => {
+  const keys = new Map();
+
+  (process.env.TOKEN_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      const keyId = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+      if (separator < 1 || key.length !== 32) {
+        throw new Error(`Invalid TOKEN_ENCRYPTION_KEYS entry "${keyId || entry}": expected keyId:<32 byte base64 key>`);
+      }
+      keys.set(keyId, key);
+    });
+
+  return keys;
+};
+
+/**
+ * Get the key ID used for new encryptions: TOKEN_ENCRYPTION_KEY_ID,
+ * or the last key in TOKEN_ENCRYPTION_KEYS
+ * @returns {string} Active key ID
+ */
+const getActiveKeyId = () => {
+  const keys = loadKeys();
+  const keyId = process.env.TOKEN_ENCRYPTION_KEY_ID || Array.from(keys.keys()).pop();
+
+  if (!keyId || !keys.has(keyId)) {
+    throw new Error('Token encryption key not configured (TOKEN_ENCRYPTION_KEYS / TOKEN_ENCRYPTION_KEY_ID)');
+  }
+  return keyId;
+};
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, ciphertext, cipher.getAuthTag()].map(part => part.toString('base64url')).join('.');
+};
+
+const open = (key, sealed) => {
+  const [iv, ciphertext, tag] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+/**
+ * Check whether a stored value is already encrypted
+ * @param {string} value - Stored value
+ * @returns {boolean} True for values produced by encrypt()
+ */
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:${FORMAT_VERSION}:`);
+
+/**
+ * Get the ID of the key an encrypted value was sealed with
+ * @param {string} value - Encrypted value
+ * @returns {string|null} Key ID, or null for plaintext
+ */
+const getKeyId = (value) => isEncrypted(value) ? value.split(':')[2] : null;
+
+/**
+ * Encrypt a value with envelope encryption: a random data key encrypts the
+ * value, and the active key encryption key wraps the data key.
+ * Format: enc:v1:<keyId>:<wrapped data key>:<ciphertext>
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} Encrypted value (null/empty and encrypted values pass through)
+ */
+const encrypt = (plaintext) => {
+  if (plaintext === null || plaintext === undefined || plaintext === '' || isEncrypted(plaintext)) {
+    return plaintext;
+  }
+
+  const keyId = getActiveKeyId();
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(loadKeys().get(keyId), dataKey);
+  const ciphertext = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+  return [PREFIX, FORMAT_VERSION, keyId, wrappedKey, ciphertext].join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} value - Encrypted value (plaintext passes through for legacy records)
+ * @returns {string} Decrypted value
+ */
+const decrypt = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, , keyId, wrappedKey, ciphertext] = value.split(':');
+  const key = loadKeys().get(keyId);
+
+  if (!key) {
+    throw new Error(`Token encryption key "${keyId}" not configured`);
+  }
+
+  const dataKey = open(key, wrappedKey);
+  return open(dataKey, ciphertext).toString('utf8');
+};
+
+/**
+ * Check whether a stored value should be re-encrypted with the active key
+ * @param {string} value - Stored value
+ * @returns {boolean} True for plaintext or values sealed with an older key
+ */
+const needsReencryption = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return false;
+  }
+  return getKeyId(value) !== getActiveKeyId();
+};
+
+module.exports = {
+  isEncrypted,
+  getKeyId,
+  getActiveKeyId,
+  encrypt,
+  decrypt,
+  needsReencryption
+};
@@ -0,0 +1,171 @@
+// Meta error codes, see https://developers.facebook.com/docs/graph-api/guides/error-handling
+// The access token is expired or revoked
+const AUTH_ERROR_CODES = [102, 190];
+const AUTH_ERROR_SUBCODES = [458, 459, 460, 463, 464, 467];
+// Temporary failures on Meta's side
+const TRANSIENT_ERROR_CODES = [1, 2];
+// App, account and business use case rate limits
+const RATE_LIMIT_ERROR_CODES = [4, 17, 32, 341, 613, 80000, 80001, 80002, 80003, 80004, 80005, 80006, 80008, 80009, 80014];
+
+// Missing permission (10, 200-299) or app capability (3)
+const isPermissionCode = (code) => code === 3 || code === 10 || (code >= 200 && code <= 299);
+
+/**
+ * Error with an HTTP status and a machine-readable code, rendered by the
+ * global errorHandler as { success: false, error, errorCode, details }
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Error message for the client
+   * @param {object} options - statusCode, errorCode, details
+   */
+  constructor(message, { statusCode = 500, errorCode = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.errorCode = errorCode;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, details) {
+    super(message, { statusCode: 400, errorCode: 'VALIDATION_ERROR', details });
+  }
+}
+
+class AuthenticationError extends AppError {
+  constructor(message, details) {
+    super(message, { statusCode: 401, errorCode: 'NOT_AUTHENTICATED', details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, details) {
+    super(message, { statusCode: 403, errorCode: 'FORBIDDEN', details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, details) {
+    super(message, { statusCode: 404, errorCode: 'NOT_FOUND', details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, details) {
+    super(message, { statusCode: 409, errorCode: 'CONFLICT', details });
+  }
+}
+
+/**
+ * Error from the Graph API, or from reaching it. Keeps Meta's code,
+ * error_subcode and fbtrace_id; the subclasses below map them to an HTTP status.
+ */
+class MetaApiError extends AppError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - statusCode, errorCode, and Meta's status, code, subcode,
+   *   type, fbtraceId, plus transient (safe to retry later)
+   */
+  constructor(message, { statusCode = 502, errorCode = 'META_API_ERROR', status, code, subcode, type, fbtraceId, transient = false } = {}) {
+    super(message, { statusCode, errorCode });
+    this.status = status;
+    this.code = code;
+    this.subcode = subcode;
+    this.type = type;
+    this.fbtraceId = fbtraceId;
+    this.transient = transient;
+    this.rateLimited = false;
+  }
+}
+
+/**
+ * The access token is expired or revoked; the user has to reconnect
+ */
+class MetaAuthError extends MetaApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, statusCode: 401, errorCode: 'META_AUTH_ERROR' });
+  }
+}
+
+/**
+ * The user or app lacks a permission for the request
+ */
+class MetaPermissionError extends MetaApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, statusCode: 403, errorCode: 'META_PERMISSION_ERROR' });
+  }
+}
+
+/**
+ * Meta rate limited the app, ad account or business. retryAfterMs is set
+ * when Meta said how long the block lasts.
+ */
+class MetaRateLimitError extends MetaApiError {
+  constructor(message, { retryAfterMs, ...details } = {}) {
+    super(message, { ...details, statusCode: 429, errorCode: 'META_RATE_LIMIT', transient: true });
+    this.rateLimited = true;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Meta rejected the request's parameters
+ */
+class MetaValidationError extends MetaApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, statusCode: 400, errorCode: 'META_VALIDATION_ERROR' });
+  }
+}
+
+/**
+ * Build the typed error for a Graph error response
+ * @param {number} status - HTTP status
+ * @param {object} body - Response body ({ error: { message, code, error_subcode, fbtrace_id } })
+ * @returns {MetaApiError} Error to throw
+ */
+const fromGraphError = (status, body) => {
+  const metaError = body?.error || {};
+  const message = `Meta API Error: ${metaError.message || `HTTP ${status}`}`;
+  const details = {
+    status: status,
+    code: metaError.code,
+    subcode: metaError.error_subcode,
+    type: metaError.type,
+    fbtraceId: metaError.fbtrace_id
+  };
+
+  if (AUTH_ERROR_CODES.includes(metaError.code) || AUTH_ERROR_SUBCODES.includes(metaError.error_subcode)) {
+    return new MetaAuthError(message, details);
+  }
+  if (RATE_LIMIT_ERROR_CODES.includes(metaError.code) || status === 429) {
+    return new MetaRateLimitError(message, details);
+  }
+  if (isPermissionCode(metaError.code)) {
+    return new MetaPermissionError(message, details);
+  }
+
+  const transient = Boolean(metaError.is_transient) || TRANSIENT_ERROR_CODES.includes(metaError.code) || status >= 500;
+  if (status === 400 && !transient) {
+    return new MetaValidationError(message, details);
+  }
+  return new MetaApiError(message, { ...details, transient });
+};
+
+module.exports = {
+  AUTH_ERROR_CODES,
+  AUTH_ERROR_SUBCODES,
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  MetaApiError,
+  MetaAuthError,
+  MetaPermissionError,
+  MetaRateLimitError,
+  MetaValidationError,
+  fromGraphError
+};
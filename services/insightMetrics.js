@@ -0,0 +1,51 @@
+// Metrics that can be computed from insight rows (see summarize)
+const METRICS = ['spend', 'impressions', 'clicks', 'leads', 'ctr', 'cpc', 'cpm', 'cpl'];
+
+// Metrics that add up across rows and days; the others are ratios
+const ADDITIVE_METRICS = ['spend', 'impressions', 'clicks', 'leads'];
+
+/**
+ * Count the leads in an insight row's actions
+ * @param {object} row - Insight row
+ * @returns {number} Leads
+ */
+const countLeads = (row) => (row.actions || [])
+  .filter(action => action.action_type === 'lead')
+  .reduce((sum, action) => sum + (Number(action.value) || 0), 0);
+
+/**
+ * Derive the ratio metrics from additive totals
+ * @param {object} totals - spend, impressions, clicks, leads
+ * @returns {object} Totals plus ctr, cpc, cpm, cpl (null when undefined)
+ */
+const withRatios = (totals) => ({
+  ...totals,
+  ctr: totals.impressions ? totals.clicks / totals.impressions * 100 : null,
+  cpc: totals.clicks ? totals.spend / totals.clicks : null,
+  cpm: totals.impressions ? totals.spend / totals.impressions * 1000 : null,
+  cpl: totals.leads ? totals.spend / totals.leads : null
+});
+
+/**
+ * Add up insight rows and derive the ratio metrics from the totals
+ * @param {Array} rows - Insight rows from getSpend
+ * @returns {object} spend, impressions, clicks, leads, ctr, cpc, cpm, cpl (ratios null when undefined)
+ */
+const summarize = (rows) => {
+  const totals = rows.reduce((sum, row) => ({
+    spend: sum.spend + (Number(row.spend) || 0),
+    impressions: sum.impressions + (Number(row.impressions) || 0),
+    clicks: sum.clicks + (Number(row.clicks) || 0),
+    leads: sum.leads + countLeads(row)
+  }), { spend: 0, impressions: 0, clicks: 0, leads: 0 });
+
+  return withRatios(totals);
+};
+
+module.exports = {
+  METRICS,
+  ADDITIVE_METRICS,
+  countLeads,
+  withRatios,
+  summarize
+};
@@ -0,0 +1,316 @@
+const InsightSnapshot = require('../models/InsightSnapshot');
+const InsightSync = require('../models/InsightSync');
+const Schedule = require('../models/Schedule');
+const UserToken = require('../models/UserToken');
+const AdAccount = require('../models/AdAccount');
+const metaApi = require('./metaApi');
+const tokenLifecycle = require('./tokenLifecycle');
+const adAccounts = require('./adAccounts');
+const scheduler = require('./scheduler');
+const { METRICS, ADDITIVE_METRICS, countLeads, withRatios } = require('./insightMetrics');
+const { ValidationError } = require('./errors');
+
+const LEVELS = ['campaign', 'adset', 'ad'];
+
+// Meta keeps insights for 37 months
+const MAX_BACKFILL_DAYS = 1095;
+const BACKFILL_DAYS = Math.min(parseInt(process.env.INSIGHTS_BACKFILL_DAYS, 10) || 365, MAX_BACKFILL_DAYS);
+// Days fetched per run and direction, so one run stays within rate limits
+const CHUNK_DAYS = parseInt(process.env.INSIGHTS_SYNC_CHUNK_DAYS, 10) || 30;
+// Recent days are re-fetched every run because Meta revises them (attribution)
+const REFRESH_DAYS = parseInt(process.env.INSIGHTS_REFRESH_DAYS, 10) || 3;
+const SYNC_CRON = process.env.INSIGHTS_SYNC_CRON || '0 * * * *';
+
+const INTERVALS = ['day', 'week', 'month'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const toDate = (day) => new Date(`${day}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().slice(0, 10);
+const addDays = (day, days) => formatDate(new Date(toDate(day).getTime() + days * DAY));
+const minDay = (a, b) => a < b ? a : b;
+const maxDay = (a, b) => a > b ? a : b;
+
+/**
+ * Today in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Date} now - Reference time
+ * @returns {string} YYYY-MM-DD
+ */
+const localToday = (timezone = 'UTC', now = new Date()) => now.toLocaleDateString('en-CA', { timeZone: timezone });
+
+/**
+ * Fetch daily insights for a date range at every level and store them.
+ * Stored days in the range that Meta no longer reports are removed.
+ * @param {string} accessToken - User's access token
+ * @param {string} adAccountId - Ad account ID
+ * @param {string} since - First day (YYYY-MM-DD)
+ * @param {string} until - Last day (YYYY-MM-DD)
+ * @returns {Promise<number>} Rows stored
+ */
+const syncRange = async (accessToken, adAccountId, since, until) => {
+  const syncedAt = new Date();
+  let stored = 0;
+
+  for (const level of LEVELS) {
+    const { data: rows } = await metaApi.getDailyInsights(accessToken, adAccountId, { level, since, until });
+
+    if (rows.length > 0) {
+      await InsightSnapshot.bulkWrite(rows.map(row => ({
+        updateOne: {
+          filter: { adAccountId, level, objectId: row[`${level}_id`], date: toDate(row.date_start) },
+          update: {
+            objectName: row[`${level}_name`] || null,
+            campaignId: row.campaign_id || null,
+            adsetId: row.adset_id || null,
+            spend: Number(row.spend) || 0,
+            impressions: Number(row.impressions) || 0,
+            clicks: Number(row.clicks) || 0,
+            reach: Number(row.reach) || 0,
+            leads: countLeads(row),
+            actions: row.actions || [],
+            syncedAt: syncedAt
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+
+    await InsightSnapshot.deleteMany({
+      adAccountId,
+      level,
+      date: { $gte: toDate(since), $lte: toDate(until) },
+      syncedAt: { $lt: syncedAt }
+    });
+
+    stored += rows.length;
+  }
+
+  return stored;
+};
+
+/**
+ * Run one incremental sync: bring the store up to today (re-fetching the
+ * most recent days), then backfill one chunk of older days
+ * @param {object} sync - InsightSync document
+ * @param {string} accessToken - User's access token
+ * @param {object} account - AdAccount document
+ * @param {Date} now - Reference time
+ * @returns {Promise<object>} Updated InsightSync document
+ */
+const syncAccount = async (sync, accessToken, account, now = new Date()) => {
+  const today = localToday(account.timezoneName || 'UTC', now);
+  const refreshFrom = maxDay(addDays(today, -(REFRESH_DAYS - 1)), sync.backfillFrom);
+
+  // Forward: from the last synced day (or the refresh window), one chunk at a time
+  const forwardFrom = sync.syncedUntil ? minDay(sync.syncedUntil, refreshFrom) : refreshFrom;
+  const forwardUntil = minDay(today, addDays(forwardFrom, CHUNK_DAYS - 1));
+  await syncRange(accessToken, account.accountId, forwardFrom, forwardUntil);
+
+  sync.syncedFrom = sync.syncedFrom ? minDay(sync.syncedFrom, forwardFrom) : forwardFrom;
+  sync.syncedUntil = forwardUntil;
+
+  // Backward: one chunk of older days until backfillFrom is reached
+  if (sync.syncedFrom > sync.backfillFrom) {
+    const backfillUntil = addDays(sync.syncedFrom, -1);
+    const backfillFrom = maxDay(sync.backfillFrom, addDays(sync.syncedFrom, -CHUNK_DAYS));
+    await syncRange(accessToken, account.accountId, backfillFrom, backfillUntil);
+    sync.syncedFrom = backfillFrom;
+  }
+
+  sync.lastSyncAt = new Date();
+  await sync.save();
+  return sync;
+};
+
+/**
+ * Scheduler job: sync an ad account with the enabling user's connection
+ * @param {object} schedule - Schedule document (params: adAccountId)
+ */
+const runSyncSchedule = async (schedule) => {
+  const sync = await InsightSync.findOne({ adAccountId: schedule.params.adAccountId });
+  if (!sync) {
+    throw new Error(`Insight sync for ${schedule.params.adAccountId} was removed`);
+  }
+
+  const userToken = await UserToken.findOne({ userId: sync.userId });
+  if (!userToken) {
+    throw new Error(`No Meta connection for user ${sync.userId}`);
+  }
+
+  await tokenLifecycle.ensureFreshToken(userToken);
+  if (!userToken.isUsable()) {
+    throw new Error(`Meta connection for user ${sync.userId} is expired or revoked`);
+  }
+
+  const account = await adAccounts.resolveAccount(userToken, sync.adAccountId);
+  if (!account) {
+    throw new Error(`User ${sync.userId} no longer has access to ad account ${sync.adAccountId}`);
+  }
+
+  try {
+    await syncAccount(sync, userToken.accessToken, account);
+  } catch (error) {
+    await tokenLifecycle.handleGraphError(userToken, error);
+    throw error;
+  }
+};
+
+/**
+ * Start syncing an ad account into the snapshot store. The first run is
+ * picked up by the scheduler's next poll.
+ * @param {object} userToken - UserToken document of the user enabling it
+ * @param {object} account - AdAccount document
+ * @param {object} options - { backfillDays }
+ * @returns {Promise<{ sync: object, created: boolean }>} InsightSync document
+ */
+const enableSync = async (userToken, account, { backfillDays = BACKFILL_DAYS } = {}) => {
+  const existing = await InsightSync.findOne({ adAccountId: account.accountId });
+  if (existing) {
+    return { sync: existing, created: false };
+  }
+
+  const days = Number(backfillDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_BACKFILL_DAYS) {
+    throw new ValidationError(`backfillDays must be a whole number from 1 to ${MAX_BACKFILL_DAYS}`);
+  }
+
+  const schedule = await scheduler.createSchedule({
+    type: 'insights_sync',
+    userId: userToken.userId,
+    cron: SYNC_CRON,
+    params: { adAccountId: account.accountId },
+    nextRunAt: new Date()
+  });
+
+  const today = localToday(account.timezoneName || 'UTC');
+  const sync = await InsightSync.create({
+    adAccountId: account.accountId,
+    userId: userToken.userId,
+    scheduleId: schedule._id,
+    backfillFrom: addDays(today, -(days - 1))
+  });
+
+  return { sync, created: true };
+};
+
+/**
+ * Stop syncing an ad account. Stored snapshots are kept.
+ * @param {string} adAccountId - Ad account ID
+ * @returns {Promise<object|null>} Removed InsightSync document
+ */
+const disableSync = async (adAccountId) => {
+  const sync = await InsightSync.findOneAndDelete({ adAccountId });
+  if (sync) {
+    await Schedule.deleteOne({ _id: sync.scheduleId });
+  }
+  return sync;
+};
+
+/**
+ * List the sync state of the ad accounts linked to a user
+ * @param {string} userId - User ID
+ * @param {object} options - adAccountIds (only these accounts, e.g. a
+ *   workspace member's; default: every linked account)
+ * @returns {Promise<Array>} InsightSync documents
+ */
+const listSyncs = async (userId, { adAccountIds = null } = {}) => {
+  const linked = await AdAccount.find({ userId }).distinct('accountId');
+  const accountIds = adAccountIds ? linked.filter(id => adAccountIds.includes(id)) : linked;
+  return InsightSync.find({ adAccountId: { $in: accountIds } }).sort({ createdAt: 1 });
+};
+
+/**
+ * Start of the week (Monday) or month containing a day
+ */
+const bucketStart = (day, interval) => {
+  if (interval === 'month') {
+    return `${day.slice(0, 7)}-01`;
+  }
+  if (interval === 'week') {
+    const weekday = (toDate(day).getUTCDay() + 6) % 7;
+    return addDays(day, -weekday);
+  }
+  return day;
+};
+
+/**
+ * Time series from the snapshot store. Days without delivery are zero.
+ * @param {string} adAccountId - Ad account ID
+ * @param {object} options - level (account, campaign, adset, ad), objectId, campaignId,
+ *   since, until (YYYY-MM-DD), interval (day, week, month), metrics
+ * @returns {Promise<{ data: Array, coverage: object|null }>} One entry per interval with the
+ *   requested metrics, plus the days the store covers (null when the account is not synced)
+ */
+const getTrend = async (adAccountId, { level = 'account', objectId, campaignId, since, until, interval = 'day', metrics = METRICS }) => {
+  const rows = await InsightSnapshot.aggregate([
+    {
+      $match: {
+        adAccountId: adAccountId,
+        // Account totals are the sum of its campaigns
+        level: level === 'account' ? 'campaign' : level,
+        date: { $gte: toDate(since), $lte: toDate(until) },
+        ...(objectId && level !== 'account' && { objectId: objectId }),
+        ...(campaignId && { campaignId: campaignId })
+      }
+    },
+    {
+      $group: {
+        _id: '$date',
+        spend: { $sum: '$spend' },
+        impressions: { $sum: '$impressions' },
+        clicks: { $sum: '$clicks' },
+        leads: { $sum: '$leads' }
+      }
+    }
+  ]);
+
+  const byDay = new Map(rows.map(row => [formatDate(row._id), row]));
+  const buckets = new Map();
+
+  for (let day = since; day <= until; day = addDays(day, 1)) {
+    const key = bucketStart(day, interval);
+    const bucket = buckets.get(key) || { spend: 0, impressions: 0, clicks: 0, leads: 0 };
+    const row = byDay.get(day);
+    if (row) {
+      ADDITIVE_METRICS.forEach(metric => {
+        bucket[metric] += row[metric];
+      });
+    }
+    buckets.set(key, bucket);
+  }
+
+  const data = Array.from(buckets, ([date, totals]) => {
+    const values = withRatios(totals);
+    return {
+      date,
+      ...Object.fromEntries(metrics.map(metric => [metric, values[metric]]))
+    };
+  });
+
+  const sync = await InsightSync.findOne({ adAccountId });
+
+  return {
+    data,
+    coverage: sync && {
+      syncedFrom: sync.syncedFrom,
+      syncedUntil: sync.syncedUntil,
+      backfillFrom: sync.backfillFrom,
+      lastSyncAt: sync.lastSyncAt
+    }
+  };
+};
+
+module.exports = {
+  LEVELS,
+  INTERVALS,
+  MAX_BACKFILL_DAYS,
+  localToday,
+  addDays,
+  syncAccount,
+  runSyncSchedule,
+  enableSync,
+  disableSync,
+  listSyncs,
+  getTrend
+};
@@ -0,0 +1,304 @@
+const { ValidationError } = require('./errors');
+
+const DATE_PRESETS = [
+  'today',
+  'yesterday',
+  'this_month',
+  'last_month',
+  'this_quarter',
+  'last_3d',
+  'last_7d',
+  'last_14d',
+  'last_28d',
+  'last_30d',
+  'last_90d',
+  'this_week_mon_today',
+  'last_week_mon_sun',
+  'maximum'
+];
+
+const LEVELS = ['account', 'campaign', 'adset', 'ad'];
+
+// Object fields returned for each level
+const LEVEL_FIELDS = {
+  account: ['account_id', 'account_name'],
+  campaign: ['campaign_id', 'campaign_name'],
+  adset: ['campaign_id', 'campaign_name', 'adset_id', 'adset_name'],
+  ad: ['campaign_id', 'campaign_name', 'adset_id', 'adset_name', 'ad_id', 'ad_name']
+};
+
+// Numeric Graph fields that can be requested as metrics
+const GRAPH_METRICS = [
+  'spend',
+  'impressions',
+  'reach',
+  'frequency',
+  'clicks',
+  'unique_clicks',
+  'inline_link_clicks',
+  'ctr',
+  'unique_ctr',
+  'inline_link_click_ctr',
+  'cpc',
+  'cost_per_inline_link_click',
+  'cpm',
+  'cpp'
+];
+
+// Metrics derived from actions / action_values (per action type)
+const CONVERSION_METRICS = ['conversions', 'conversion_values', 'cpa', 'roas'];
+
+const METRICS = [...GRAPH_METRICS, ...CONVERSION_METRICS];
+
+const DEFAULT_METRICS = ['spend', 'impressions', 'clicks', 'ctr', 'cpc', 'cpm', 'conversions', 'cpa'];
+
+// Action types reported as conversions unless actionTypes is given
+const DEFAULT_ACTION_TYPES = ['lead', 'purchase'];
+
+// Breakdowns Meta can combine with each other; a query uses one group.
+// "placement" is shorthand for publisher_platform + platform_position.
+const BREAKDOWN_GROUPS = [
+  ['age', 'gender'],
+  ['country', 'region'],
+  ['publisher_platform', 'platform_position', 'device_platform', 'impression_device'],
+  ['hourly_stats_aggregated_by_advertiser_time_zone']
+];
+const BREAKDOWN_ALIASES = {
+  placement: ['publisher_platform', 'platform_position']
+};
+const BREAKDOWNS = BREAKDOWN_GROUPS.flat();
+
+// time_increment values: a number of days (1-90), or monthly / all_days
+const TIME_INCREMENTS = {
+  daily: 1,
+  weekly: 7,
+  monthly: 'monthly',
+  all_days: 'all_days'
+};
+
+const ATTRIBUTION_WINDOWS = ['1d_click', '7d_click', '28d_click', '1d_view', '7d_view', '28d_view'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Split a comma-separated query value (or array) into trimmed items
+ */
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+const unique = (items) => Array.from(new Set(items));
+
+/**
+ * Validate breakdowns, expanding aliases
+ * @param {string|Array} value - Requested breakdowns
+ * @returns {Array} Graph breakdowns
+ */
+const parseBreakdowns = (value) => {
+  const breakdowns = unique(toList(value).flatMap(item => BREAKDOWN_ALIASES[item] || [item]));
+
+  const unknown = breakdowns.filter(breakdown => !BREAKDOWNS.includes(breakdown));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown breakdowns: ${unknown.join(', ')}. Expected: ${[...Object.keys(BREAKDOWN_ALIASES), ...BREAKDOWNS].join(', ')}`);
+  }
+
+  if (breakdowns.length > 0 && !BREAKDOWN_GROUPS.some(group => breakdowns.every(breakdown => group.includes(breakdown)))) {
+    throw new ValidationError(`These breakdowns cannot be combined: ${breakdowns.join(', ')}. Combine only within one group: ${BREAKDOWN_GROUPS.map(group => group.join('+')).join('; ')}`);
+  }
+
+  return breakdowns;
+};
+
+/**
+ * Validate a time increment
+ * @param {string} value - daily, weekly, monthly, all_days or a number of days (1-90)
+ * @returns {number|string|undefined} Graph time_increment
+ */
+const parseTimeIncrement = (value) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (TIME_INCREMENTS[value] !== undefined) {
+    return TIME_INCREMENTS[value];
+  }
+
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > 90) {
+    throw new ValidationError(`Invalid timeIncrement. Expected ${Object.keys(TIME_INCREMENTS).join(', ')} or a number of days from 1 to 90`);
+  }
+  return days;
+};
+
+/**
+ * Validate the date range: a preset, or since/until dates
+ * @returns {object} date_preset or time_range parameter
+ */
+const parseDateRange = ({ datePreset, since, until }) => {
+  if (since || until) {
+    if (!DATE_PATTERN.test(since || '') || !DATE_PATTERN.test(until || '') || since > until) {
+      throw new ValidationError('since and until must both be dates like 2024-01-31, with since before until');
+    }
+    return { time_range: JSON.stringify({ since, until }) };
+  }
+
+  const preset = datePreset || 'last_30d';
+  if (!DATE_PRESETS.includes(preset)) {
+    throw new ValidationError(`Invalid datePreset. Expected one of: ${DATE_PRESETS.join(', ')}`);
+  }
+  return { date_preset: preset };
+};
+
+/**
+ * Validate an insights query and build the Graph parameters for it
+ * @param {object} query - level, metrics, breakdowns, timeIncrement, attributionWindows,
+ *   actionTypes, datePreset or since/until, campaignId, adSetId
+ * @returns {{ params: object, options: object }} Graph parameters, and the options
+ *   normalizeRow needs (metrics, actionTypes, attributionWindows, breakdowns)
+ */
+const buildQuery = (query = {}) => {
+  const level = query.level || 'campaign';
+  if (!LEVELS.includes(level)) {
+    throw new ValidationError(`Invalid level. Expected one of: ${LEVELS.join(', ')}`);
+  }
+
+  const metrics = query.metrics ? unique(toList(query.metrics)) : DEFAULT_METRICS;
+  const unknownMetrics = metrics.filter(metric => !METRICS.includes(metric));
+  if (unknownMetrics.length > 0 || metrics.length === 0) {
+    throw new ValidationError(`Unknown metrics: ${unknownMetrics.join(', ') || '(none)'}. Expected: ${METRICS.join(', ')}`);
+  }
+
+  const actionTypes = query.actionTypes ? unique(toList(query.actionTypes)) : DEFAULT_ACTION_TYPES;
+
+  const attributionWindows = unique(toList(query.attributionWindows));
+  const unknownWindows = attributionWindows.filter(window => !ATTRIBUTION_WINDOWS.includes(window));
+  if (unknownWindows.length > 0) {
+    throw new ValidationError(`Unknown attributionWindows: ${unknownWindows.join(', ')}. Expected: ${ATTRIBUTION_WINDOWS.join(', ')}`);
+  }
+
+  const breakdowns = parseBreakdowns(query.breakdowns);
+
+  // Conversion metrics need the raw action arrays; ROAS also needs spend
+  const graphMetrics = metrics.filter(metric => GRAPH_METRICS.includes(metric));
+  const needsActions = metrics.some(metric => CONVERSION_METRICS.includes(metric));
+  const needsValues = metrics.includes('conversion_values') || metrics.includes('roas');
+  const needsSpend = metrics.includes('cpa') || metrics.includes('roas');
+  const fields = unique([
+    ...LEVEL_FIELDS[level],
+    ...graphMetrics,
+    ...(needsSpend ? ['spend'] : []),
+    ...(needsActions ? ['actions'] : []),
+    ...(needsValues ? ['action_values'] : [])
+  ]);
+
+  const filtering = [];
+  if (query.campaignId) {
+    filtering.push({ field: 'campaign.id', operator: 'IN', value: toList(query.campaignId) });
+  }
+  if (query.adSetId) {
+    filtering.push({ field: 'adset.id', operator: 'IN', value: toList(query.adSetId) });
+  }
+
+  return {
+    params: {
+      level: level,
+      fields: fields.join(','),
+      ...parseDateRange(query),
+      time_increment: parseTimeIncrement(query.timeIncrement),
+      breakdowns: breakdowns.length > 0 ? breakdowns.join(',') : undefined,
+      action_attribution_windows: attributionWindows.length > 0 ? JSON.stringify(attributionWindows) : undefined,
+      filtering: filtering.length > 0 ? JSON.stringify(filtering) : undefined
+    },
+    options: { level, metrics, actionTypes, attributionWindows, breakdowns }
+  };
+};
+
+/**
+ * Sum the values of the given action types, overall and per attribution window
+ * @param {Array} entries - actions or action_values array of an insight row
+ * @param {Array} actionTypes - Action types to report
+ * @param {Array} attributionWindows - Windows requested (entries carry one key per window)
+ * @returns {{ totals: object, byWindow: object }} Values keyed by action type
+ */
+const sumActions = (entries = [], actionTypes, attributionWindows) => {
+  const totals = {};
+  const byWindow = {};
+
+  actionTypes.forEach(type => {
+    const matching = entries.filter(entry => entry.action_type === type);
+    totals[type] = matching.reduce((sum, entry) => sum + (Number(entry.value) || 0), 0);
+    if (attributionWindows.length > 0) {
+      byWindow[type] = Object.fromEntries(attributionWindows.map(window => [
+        window,
+        matching.reduce((sum, entry) => sum + (Number(entry[window]) || 0), 0)
+      ]));
+    }
+  });
+
+  return { totals, byWindow };
+};
+
+const ratio = (numerator, denominator) => denominator ? numerator / denominator : null;
+
+/**
+ * Turn a Graph insights row into a response row: object and breakdown
+ * fields as returned, metrics as numbers, conversions per action type
+ * @param {object} row - Insight row from the Graph API
+ * @param {object} options - options from buildQuery
+ * @returns {object} Normalized row
+ */
+const normalizeRow = (row, { level, metrics, actionTypes, attributionWindows, breakdowns }) => {
+  const normalized = {};
+
+  [...LEVEL_FIELDS[level], 'date_start', 'date_stop', ...breakdowns].forEach(field => {
+    if (row[field] !== undefined) {
+      normalized[field] = row[field];
+    }
+  });
+
+  metrics.filter(metric => GRAPH_METRICS.includes(metric)).forEach(metric => {
+    normalized[metric] = row[metric] !== undefined ? Number(row[metric]) : null;
+  });
+
+  if (!metrics.some(metric => CONVERSION_METRICS.includes(metric))) {
+    return normalized;
+  }
+
+  const spend = Number(row.spend) || 0;
+  const conversions = sumActions(row.actions, actionTypes, attributionWindows);
+  const values = sumActions(row.action_values, actionTypes, attributionWindows);
+
+  if (metrics.includes('conversions')) {
+    normalized.conversions = conversions.totals;
+    if (attributionWindows.length > 0) {
+      normalized.conversions_by_window = conversions.byWindow;
+    }
+  }
+  if (metrics.includes('conversion_values')) {
+    normalized.conversion_values = values.totals;
+  }
+  if (metrics.includes('cpa')) {
+    normalized.cpa = Object.fromEntries(actionTypes.map(type => [type, ratio(spend, conversions.totals[type])]));
+  }
+  if (metrics.includes('roas')) {
+    normalized.roas = Object.fromEntries(actionTypes.map(type => [type, ratio(values.totals[type], spend)]));
+  }
+
+  return normalized;
+};
+
+module.exports = {
+  DATE_PRESETS,
+  LEVELS,
+  LEVEL_FIELDS,
+  METRICS,
+  BREAKDOWNS,
+  TIME_INCREMENTS,
+  ATTRIBUTION_WINDOWS,
+  buildQuery,
+  normalizeRow
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+const LeadDelivery = require('../models/LeadDelivery');
+const LeadSubscription = require('../models/LeadSubscription');
+const metaApi = require('./metaApi');
+const tokenLifecycle = require('./tokenLifecycle');
+const cliq = require('./cliq');
+const { metaConfig } = require('../config/meta');
+
+// How long a delivery stays claimed; a delivery that crashed mid-way is
+// retried by a later webhook once the claim expires
+const CLAIM_MS = (parseFloat(process.env.LEAD_DELIVERY_CLAIM_MINUTES) || 10) * 60 * 1000;
+
+/**
+ * Verify the X-Hub-Signature-256 header Meta sends with webhook events
+ * @param {Buffer} rawBody - Raw request body as received
+ * @param {string} signatureHeader - Header value ("sha256=<hex>")
+ * @returns {boolean} True when the body was signed with META_APP_SECRET
+ */
+const verifySignature = (rawBody, signatureHeader) => {
+  const secret = metaConfig.appSecret;
+  if (!secret || !rawBody || typeof signatureHeader !== 'string' || !signatureHeader.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'));
+  const received = Buffer.from(signatureHeader.slice('sha256='.length));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Claim a lead for delivery. Returns false when the lead was already
+ * delivered or is being processed, so repeated webhooks are ignored;
+ * failed deliveries, and deliveries still processing after CLAIM_MS,
+ * can be retried by a later webhook.
+ * @param {object} value - leadgen change value
+ * @returns {Promise<boolean>} True when this call should deliver the lead
+ */
+const claimDelivery = async (value) => {
+  try {
+    await LeadDelivery.create({
+      leadgenId: value.leadgen_id,
+      pageId: value.page_id || null,
+      formId: value.form_id || null
+    });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const now = new Date();
+  const retry = await LeadDelivery.findOneAndUpdate(
+    {
+      leadgenId: value.leadgen_id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', claimedAt: { $lt: new Date(now.getTime() - CLAIM_MS) } }
+      ]
+    },
+    { status: 'processing', error: null, claimedAt: now, $inc: { attempts: 1 } }
+  );
+  return Boolean(retry);
+};
+
+/**
+ * Build the Cliq card for a new lead
+ * @param {object} row - Flattened lead (see metaApi.flattenLead)
+ * @param {object} subscription - LeadSubscription document
+ * @returns {object} Cliq message payload
+ */
+const buildLeadMessage = (row, subscription) => {
+  const answers = Object.keys(row)
+    .filter(column => !metaApi.LEAD_COLUMNS.includes(column) && row[column])
+    .map(column => ({ [column]: row[column] }));
+
+  const source = [row.campaign_name, row.adset_name, row.ad_name].filter(Boolean).join(' › ');
+
+  return cliq.buildCard({
+    title: 'New lead',
+    text: `New lead from ${row.form_name || row.form_id || 'a lead form'}` +
+      (subscription.pageName ? ` on ${subscription.pageName}` : ''),
+    slides: [
+      cliq.buildLabelSlide('Lead', answers.length > 0 ? answers : [{ Lead: row.id }]),
+      cliq.buildLabelSlide('Source', [
+        { Form: row.form_name || row.form_id || '-' },
+        { Ad: source || (row.is_organic ? 'Organic' : '-') },
+        { Created: row.created_time || '-' }
+      ])
+    ]
+  });
+};
+
+/**
+ * Fetch a lead with the subscribed user's token and post it to the
+ * subscription's Cliq channel
+ * @param {object} value - leadgen change value
+ * @param {object} subscription - LeadSubscription document
+ */
+const deliverToSubscription = async (value, subscription) => {
+  const userToken = await UserToken.findOne({ userId: subscription.userId });
+  if (!userToken) {
+    throw new Error(`No Meta connection for user ${subscription.userId}`);
+  }
+
+  await tokenLifecycle.ensureFreshToken(userToken);
+  if (!userToken.isUsable()) {
+    throw new Error(`Meta connection for user ${subscription.userId} is expired or revoked`);
+  }
+
+  let lead;
+  try {
+    lead = await metaApi.getLead(userToken.accessToken, value.leadgen_id);
+  } catch (error) {
+    await tokenLifecycle.handleGraphError(userToken, error);
+    throw error;
+  }
+
+  let formName = null;
+  try {
+    const form = await metaApi.makeGraphApiRequest(userToken.accessToken, `/${lead.form_id || value.form_id}`, { fields: 'name' });
+    formName = form.name;
+  } catch (error) {
+    console.warn(`Failed to fetch lead form ${value.form_id}:`, error.message);
+  }
+
+  const row = metaApi.flattenLead({ form_id: value.form_id, ...lead }, formName);
+  const posted = await cliq.postToChannel(subscription.channel, buildLeadMessage(row, subscription));
+
+  if (!posted) {
+    throw new Error('Cliq bot messaging not configured');
+  }
+};
+
+/**
+ * Process one leadgen change from a Meta webhook
+ * @param {object} value - Change value: leadgen_id, page_id, form_id, ad_id, created_time
+ * @returns {Promise<string>} Outcome: delivered, duplicate, unsubscribed or failed
+ */
+const processLeadgenChange = async (value) => {
+  if (!value || !value.leadgen_id) {
+    return 'failed';
+  }
+
+  if (!(await claimDelivery(value))) {
+    return 'duplicate';
+  }
+
+  const subscriptions = await LeadSubscription.find({ pageId: String(value.page_id) });
+
+  if (subscriptions.length === 0) {
+    await LeadDelivery.updateOne(
+      { leadgenId: value.leadgen_id },
+      { status: 'delivered', error: 'No subscription for page', deliveredAt: new Date() }
+    );
+    return 'unsubscribed';
+  }
+
+  const errors = [];
+  for (const subscription of subscriptions) {
+    try {
+      await deliverToSubscription(value, subscription);
+    } catch (error) {
+      console.error(`Failed to deliver lead ${value.leadgen_id} to channel ${subscription.channel}:`, error.message);
+      errors.push(`${subscription.channel}: ${error.message}`);
+    }
+  }
+
+  // Retry only if nothing was delivered; partial success would post duplicates
+  const failed = errors.length === subscriptions.length;
+  await LeadDelivery.updateOne(
+    { leadgenId: value.leadgen_id },
+    {
+      status: failed ? 'failed' : 'delivered',
+      error: errors.length > 0 ? errors.join('; ') : null,
+      deliveredAt: failed ? null : new Date()
+    }
+  );
+
+  return failed ? 'failed' : 'delivered';
+};
+
+/**
+ * Process every leadgen change in a webhook payload
+ * @param {object} payload - Webhook body ({ object: 'page', entry: [...] })
+ * @returns {Promise<Array<string>>} Outcome per leadgen change
+ */
+const processWebhook = async (payload) => {
+  if (!payload || payload.object !== 'page' || !Array.isArray(payload.entry)) {
+    return [];
+  }
+
+  const changes = payload.entry.flatMap(entry => (entry.changes || [])
+    .filter(change => change.field === 'leadgen')
+    .map(change => ({ page_id: entry.id, ...change.value })));
+
+  const outcomes = [];
+  for (const value of changes) {
+    outcomes.push(await processLeadgenChange(value));
+  }
+  return outcomes;
+};
+
+module.exports = {
+  verifySignature,
+  claimDelivery,
+  processLeadgenChange,
+  processWebhook
+};
@@ -1,6 +1,213 @@
 const axios = require('axios');
+const { metaConfig, authParams } = require('../config/meta');
+const {
+  ValidationError,
+  NotFoundError,
+  MetaApiError,
+  MetaRateLimitError,
+  fromGraphError
+} = require('./errors');
 
-const GRAPH_API_BASE = 'https://graph.facebook.com/v18.0';
+const FETCH_ALL_PAGE_SIZE = 100;
+
+// Retry, wait and throttle limits are in config/meta.js
+const MAX_THROTTLE_DELAY_MS = 5000;
+// Usage readings older than this are ignored (Meta's windows are about an hour,
+// but each response carries a fresh reading)
+const USAGE_TTL_MS = 5 * 60 * 1000;
+
+// Graph batch requests take at most 50 calls
+const BATCH_MAX_SIZE = 50;
+
+// Network failures worth retrying
+const TRANSIENT_NETWORK_ERRORS = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Convert an axios error into a typed MetaApiError carrying Meta's code, subcode and trace ID
+ * @param {Error} error - Error thrown by axios
+ * @returns {Error} Error to rethrow
+ */
+const toMetaError = (error) => {
+  if (error.response) {
+    return fromGraphError(error.response.status, error.response.data);
+  }
+  if (error.code && TRANSIENT_NETWORK_ERRORS.includes(error.code)) {
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    return new MetaApiError(
+      timedOut ? `Meta API did not respond within ${metaConfig.requestTimeoutMs}ms` : `Could not reach Meta API: ${error.message}`,
+      { statusCode: timedOut ? 504 : 502, errorCode: timedOut ? 'META_TIMEOUT' : 'META_UNAVAILABLE', transient: true }
+    );
+  }
+  return error;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Latest usage reading per key ('app' or an ad account ID)
+const usage = new Map();
+
+/**
+ * Ad account an endpoint belongs to, for per-account throttling
+ */
+const accountKey = (endpoint) => {
+  const match = /^\/(act_\d+)/.exec(endpoint);
+  return match ? match[1] : null;
+};
+
+const parseUsageHeader = (value) => {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Store the usage Meta reports in X-App-Usage, X-Ad-Account-Usage and
+ * X-Business-Use-Case-Usage response headers
+ * @param {string} key - Ad account ID of the request, if any
+ * @param {object} headers - Response headers
+ */
+const recordUsage = (key, headers = {}) => {
+  const now = Date.now();
+
+  const app = parseUsageHeader(headers['x-app-usage']);
+  if (app) {
+    usage.set('app', {
+      percent: Math.max(app.call_count || 0, app.total_cputime || 0, app.total_time || 0),
+      regainAt: null,
+      updatedAt: now
+    });
+  }
+
+  if (!key) {
+    return;
+  }
+
+  const readings = [];
+  const account = parseUsageHeader(headers['x-ad-account-usage']);
+  if (account) {
+    const percent = account.acc_id_util_pct || 0;
+    // reset_time_duration is in seconds and only matters once the account is blocked
+    readings.push({ percent, regainMinutes: percent >= 100 ? (account.reset_time_duration || 0) / 60 : 0 });
+  }
+
+  const business = parseUsageHeader(headers['x-business-use-case-usage']);
+  if (business) {
+    Object.values(business).flat().forEach(entry => {
+      readings.push({
+        percent: Math.max(entry.call_count || 0, entry.total_cputime || 0, entry.total_time || 0),
+        regainMinutes: entry.estimated_time_to_regain_access || 0
+      });
+    });
+  }
+
+  if (readings.length > 0) {
+    const regainMinutes = Math.max(...readings.map(reading => reading.regainMinutes));
+    usage.set(key, {
+      percent: Math.max(...readings.map(reading => reading.percent)),
+      regainAt: regainMinutes > 0 ? now + regainMinutes * 60 * 1000 : null,
+      updatedAt: now
+    });
+  }
+};
+
+/**
+ * How long to hold a request back, based on the last usage reading:
+ * until access is regained when blocked, otherwise a delay growing from
+ * 0 at the threshold to MAX_THROTTLE_DELAY_MS at 100%
+ */
+const throttleDelay = (key) => {
+  const state = key && usage.get(key);
+  const now = Date.now();
+  if (!state || now - state.updatedAt > USAGE_TTL_MS) {
+    return 0;
+  }
+  if (state.regainAt && state.regainAt > now) {
+    return state.regainAt - now;
+  }
+  const threshold = metaConfig.throttlePercent;
+  if (state.percent < threshold) {
+    return 0;
+  }
+  const share = (Math.min(state.percent, 100) - threshold) / (100 - threshold || 1);
+  return Math.round(share * MAX_THROTTLE_DELAY_MS);
+};
+
+/**
+ * Wait before a request if the app or ad account is close to its limit.
+ * Fails fast when the wait would be longer than META_API_MAX_WAIT_MS.
+ */
+const throttle = async (key) => {
+  const delay = Math.max(throttleDelay('app'), throttleDelay(key));
+  if (delay > metaConfig.maxWaitMs) {
+    throw new MetaRateLimitError(`Meta API rate limit reached${key ? ` for ${key}` : ''}. Try again in ${Math.ceil(delay / 60000)} minute(s).`, {
+      retryAfterMs: delay
+    });
+  }
+  if (delay > 0) {
+    await sleep(delay);
+  }
+};
+
+/**
+ * Backoff before the next attempt, or null when the error should not be retried.
+ * Requests that may have changed something are only retried when Meta
+ * rejected them for rate limiting (so they did not run).
+ */
+const retryDelay = (error, attempt, idempotent) => {
+  if (attempt >= metaConfig.maxRetries || !error.transient || (!idempotent && !error.rateLimited)) {
+    return null;
+  }
+  const baseMs = metaConfig.retryBaseMs;
+  const delay = baseMs * 2 ** attempt + Math.round(Math.random() * baseMs);
+  return delay <= metaConfig.maxWaitMs ? delay : null;
+};
+
+/**
+ * Send a Graph API request with a timeout, usage-based throttling and
+ * exponential backoff on transient errors and rate limits
+ * @param {string} method - GET, POST or DELETE
+ * @param {string} accessToken - Access token
+ * @param {string} endpoint - API endpoint
+ * @param {object} params - Query (GET, DELETE) or form (POST) parameters
+ * @param {object} options - { idempotent } (default: true for GET and DELETE)
+ * @returns {Promise} Response body
+ */
+const graphRequest = async (method, accessToken, endpoint, params = {}, { idempotent = method !== 'POST' } = {}) => {
+  const key = accountKey(endpoint);
+  // Base URL, timeout and appsecret_proof come from config/meta.js
+  const url = `${metaConfig.graphApiBase}${endpoint}`;
+  const timeout = metaConfig.requestTimeoutMs;
+
+  for (let attempt = 0; ; attempt++) {
+    await throttle(key);
+
+    try {
+      const response = method !== 'POST'
+        ? await axios.request({ method, url, params: { ...authParams(accessToken), ...params }, timeout })
+        : await axios.post(url, new URLSearchParams(definedParams({ ...authParams(accessToken), ...params })), { timeout });
+      recordUsage(key, response.headers);
+      return response.data;
+    } catch (axiosError) {
+      if (axiosError.response) {
+        recordUsage(key, axiosError.response.headers);
+      }
+      const error = toMetaError(axiosError);
+      // Meta may say how long the account is blocked; do not retry sooner
+      const blockedFor = error.rateLimited ? Math.max(throttleDelay('app'), throttleDelay(key)) : 0;
+      if (blockedFor > 0) {
+        error.retryAfterMs = blockedFor;
+      }
+      const delay = blockedFor > metaConfig.maxWaitMs ? null : retryDelay(error, attempt, idempotent);
+      if (delay === null) {
+        throw error;
+      }
+      console.warn(`Meta API ${method} ${endpoint} failed (${error.message}), retry ${attempt + 1}/${metaConfig.maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+};
 
 /**
  * Make a request to Meta Graph API
@@ -10,47 +217,256 @@ const GRAPH_API_BASE = 'https://graph.facebook.com/v18.0';
  * @returns {Promise} API response
  */
 const makeGraphApiRequest = async (accessToken, endpoint, params = {}) => {
-  try {
-    const url = `${GRAPH_API_BASE}${endpoint}`;
-    const response = await axios.get(url, {
-      params: {
-        access_token: accessToken,
-        ...params
+  return graphRequest('GET', accessToken, endpoint, params);
+};
+
+/**
+ * Make a POST request to Meta Graph API
+ * @param {string} accessToken - User's access token
+ * @param {string} endpoint - API endpoint (e.g., '/123/subscribed_apps')
+ * @param {object} data - Form parameters
+ * @returns {Promise} API response
+ */
+const makeGraphApiPost = async (accessToken, endpoint, data = {}) => {
+  return graphRequest('POST', accessToken, endpoint, data);
+};
+
+/**
+ * Make a DELETE request to Meta Graph API
+ * @param {string} accessToken - User's access token
+ * @param {string} endpoint - API endpoint (e.g., '/me/permissions')
+ * @param {object} params - Query parameters
+ * @returns {Promise} API response
+ */
+const makeGraphApiDelete = async (accessToken, endpoint, params = {}) => {
+  return graphRequest('DELETE', accessToken, endpoint, params);
+};
+
+/**
+ * Run GET requests as Graph batch calls (up to 50 per call). Items that
+ * fail with a transient error are retried on their own.
+ * @param {string} accessToken - User's access token
+ * @param {Array<{ endpoint: string, params: object }>} requests - Requests to run
+ * @returns {Promise<Array<{ data: object }|{ error: Error }>>} One result per request, in order
+ */
+const batchRequest = async (accessToken, requests) => {
+  const results = [];
+
+  for (let start = 0; start < requests.length; start += BATCH_MAX_SIZE) {
+    const chunk = requests.slice(start, start + BATCH_MAX_SIZE);
+    const responses = await graphRequest('POST', accessToken, '/', {
+      batch: JSON.stringify(chunk.map(request => ({
+        method: 'GET',
+        relative_url: `${request.endpoint.replace(/^\//, '')}?${new URLSearchParams(definedParams(request.params || {}))}`
+      }))),
+      include_headers: false
+    }, { idempotent: true });
+
+    const chunkResults = await Promise.all(chunk.map(async (request, i) => {
+      const response = responses[i];
+      let error;
+
+      if (!response) {
+        // Meta returns null for calls it could not finish in time
+        error = new MetaApiError('Meta API batch call timed out', { transient: true });
+      } else {
+        let body;
+        try {
+          body = JSON.parse(response.body);
+        } catch (e) {
+          body = null;
+        }
+        if (response.code === 200) {
+          return { data: body };
+        }
+        error = fromGraphError(response.code, body);
       }
-    });
-    return response.data;
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`Meta API Error: ${error.response.data.error?.message || error.message}`);
+
+      if (!error.transient) {
+        return { error };
+      }
+      try {
+        return { data: await makeGraphApiRequest(accessToken, request.endpoint, request.params) };
+      } catch (retryError) {
+        return { error: retryError };
+      }
+    }));
+
+    results.push(...chunkResults);
+  }
+
+  return results;
+};
+
+/**
+ * Drop undefined values so they do not override defaults when spread
+ * @param {object} params - Query parameters
+ * @returns {object} Parameters without undefined values
+ */
+const definedParams = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value !== undefined)
+);
+
+/**
+ * Reduce Meta's paging object to cursors. The next/previous URLs are not
+ * passed on because they embed the user's access token.
+ * @param {object} paging - Paging object from a Graph API list response
+ * @returns {object|undefined} Cursor paging info
+ */
+const formatPaging = (paging) => {
+  if (!paging) {
+    return undefined;
+  }
+
+  return {
+    cursors: {
+      before: paging.cursors?.before || null,
+      after: paging.cursors?.after || null
+    },
+    hasNext: Boolean(paging.next),
+    hasPrevious: Boolean(paging.previous)
+  };
+};
+
+/**
+ * Walk every page of a Graph API list edge, following the after cursor,
+ * up to a safety cap
+ * @param {string} accessToken - User's access token
+ * @param {string} endpoint - API endpoint
+ * @param {object} params - Query parameters (pages are always FETCH_ALL_PAGE_SIZE items)
+ * @param {number} maxItems - Maximum number of items to collect
+ * @param {Function} onPage - Optional async callback receiving each page's items; when
+ *   given, items are handed off page by page (e.g. for streaming) instead of collected
+ * @returns {Promise<{ data: Array, paging: object, truncated: boolean }>} All items
+ */
+const fetchAllPages = async (accessToken, endpoint, params = {}, maxItems = metaConfig.fetchAllMaxItems, onPage = null) => {
+  const data = [];
+  let count = 0;
+  let pageParams = { ...params, limit: FETCH_ALL_PAGE_SIZE, before: undefined };
+  let response;
+
+  do {
+    response = await makeGraphApiRequest(accessToken, endpoint, definedParams(pageParams));
+    const items = (response.data || []).slice(0, maxItems - count);
+    count += items.length;
+    if (onPage) {
+      await onPage(items);
+    } else {
+      data.push(...items);
     }
-    throw error;
+    pageParams = { ...pageParams, after: response.paging?.cursors?.after };
+  } while (response.paging?.next && pageParams.after && count < maxItems);
+
+  return {
+    data: data,
+    paging: response.paging,
+    truncated: count >= maxItems && Boolean(response.paging?.next)
+  };
+};
+
+/**
+ * Request a list edge: one page (optionally from an after/before cursor),
+ * or every page when params.all is set
+ * @param {string} accessToken - User's access token
+ * @param {string} endpoint - API endpoint
+ * @param {object} params - Query parameters plus after, before and all
+ *   (with all: maxItems and onPage, see fetchAllPages)
+ * @returns {Promise} API response ({ data, paging[, truncated] })
+ */
+const requestList = async (accessToken, endpoint, { all, maxItems, onPage, ...params }) => {
+  if (all) {
+    return fetchAllPages(accessToken, endpoint, params, maxItems, onPage);
   }
+  return makeGraphApiRequest(accessToken, endpoint, definedParams(params));
 };
 
+const AD_ACCOUNT_FIELDS = 'id,name,account_id,currency,timezone_name,account_status';
+
 /**
  * Get user's ad accounts
  * @param {string} accessToken - User's access token
+ * @param {object} params - Additional parameters (limit, after, etc.)
+ * @returns {Promise} List of ad accounts
+ */
+const getAdAccounts = async (accessToken, params = {}) => {
+  return requestList(accessToken, '/me/adaccounts', {
+    fields: AD_ACCOUNT_FIELDS,
+    ...definedParams(params)
+  });
+};
+
+/**
+ * Get the Business Managers the user belongs to (needs business_management)
+ * @param {string} accessToken - User's access token
+ * @param {object} params - Additional parameters (limit, after, before, all, etc.)
+ * @returns {Promise} List of businesses
+ */
+const getBusinesses = async (accessToken, params = {}) => {
+  return requestList(accessToken, '/me/businesses', {
+    fields: 'id,name,verification_status',
+    ...definedParams(params)
+  });
+};
+
+/**
+ * Get a business's ad accounts: the ones it owns, or the ones of clients
+ * that shared them with it (agencies)
+ * @param {string} accessToken - User's access token
+ * @param {string} businessId - Business ID
+ * @param {string} relation - 'owned' or 'client'
+ * @param {object} params - Additional parameters (limit, after, before, all, etc.)
  * @returns {Promise} List of ad accounts
  */
-const getAdAccounts = async (accessToken) => {
-  return makeGraphApiRequest(accessToken, '/me/adaccounts', {
-    fields: 'id,name,account_id,currency,timezone_name'
+const getBusinessAdAccounts = async (accessToken, businessId, relation, params = {}) => {
+  return requestList(accessToken, `/${businessId}/${relation}_ad_accounts`, {
+    fields: AD_ACCOUNT_FIELDS,
+    ...definedParams(params)
+  });
+};
+
+/**
+ * Get a business's Pages: owned ones, or client Pages shared with it
+ * @param {string} accessToken - User's access token
+ * @param {string} businessId - Business ID
+ * @param {string} relation - 'owned' or 'client'
+ * @param {object} params - Additional parameters (limit, after, before, all, etc.)
+ * @returns {Promise} List of Pages
+ */
+const getBusinessPages = async (accessToken, businessId, relation, params = {}) => {
+  return requestList(accessToken, `/${businessId}/${relation}_pages`, {
+    fields: 'id,name,category',
+    ...definedParams(params)
+  });
+};
+
+/**
+ * Get every lead form of a Page. Page lead forms are read with the Page's
+ * access token, which Meta returns to users who can manage the Page.
+ * @param {string} accessToken - User's access token
+ * @param {string} pageId - Page ID
+ * @returns {Promise<Array>} Lead forms
+ */
+const getPageLeadForms = async (accessToken, pageId) => {
+  const page = await makeGraphApiRequest(accessToken, `/${pageId}`, { fields: 'id,access_token' });
+  const forms = await fetchAllPages(page.access_token || accessToken, `/${page.id}/leadgen_forms`, {
+    fields: 'id,name,status,locale,leads_count,created_time'
   });
+  return forms.data;
 };
 
 /**
  * Get campaigns for an ad account
  * @param {string} accessToken - User's access token
  * @param {string} adAccountId - Ad account ID (format: act_123456789)
- * @param {object} params - Additional parameters (limit, fields, etc.)
+ * @param {object} params - Additional parameters (limit, fields, after, before, all, etc.)
  * @returns {Promise} List of campaigns
  */
 const getCampaigns = async (accessToken, adAccountId, params = {}) => {
   const accountId = adAccountId.startsWith('act_') ? adAccountId : `act_${adAccountId}`;
-  return makeGraphApiRequest(accessToken, `/${accountId}/campaigns`, {
+  return requestList(accessToken, `/${accountId}/campaigns`, {
     fields: 'id,name,status,objective,daily_budget,lifetime_budget,created_time,updated_time',
     limit: params.limit || 25,
-    ...params
+    ...definedParams(params)
   });
 };
 
@@ -59,7 +475,7 @@ const getCampaigns = async (accessToken, adAccountId, params = {}) => {
  * @param {string} accessToken - User's access token
  * @param {string} adAccountId - Ad account ID
  * @param {string} campaignId - Optional campaign ID to filter ad sets
- * @param {object} params - Additional parameters
+ * @param {object} params - Additional parameters (limit, fields, after, before, all, etc.)
  * @returns {Promise} List of ad sets
  */
 const getAdSets = async (accessToken, adAccountId, campaignId = null, params = {}) => {
@@ -68,88 +484,471 @@ const getAdSets = async (accessToken, adAccountId, campaignId = null, params = {
     ? `/${campaignId}/adsets`
     : `/${accountId}/adsets`;
   
-  return makeGraphApiRequest(accessToken, endpoint, {
+  return requestList(accessToken, endpoint, {
     fields: 'id,name,status,campaign_id,daily_budget,lifetime_budget,billing_event,optimization_goal,created_time',
     limit: params.limit || 25,
-    ...params
+    ...definedParams(params)
   });
 };
 
+// Creative fields requested with each ad
+const CREATIVE_FIELDS = 'id,name,title,body,image_url,thumbnail_url,video_id,call_to_action_type,object_type,object_story_spec,asset_feed_spec';
+// Per-ad insight fields, requested through field expansion on the ads edge
+const AD_INSIGHT_FIELDS = 'spend,impressions,clicks,ctr,cpc,cpm,actions';
+
+/**
+ * Build the insights field expansion for a date preset or range,
+ * e.g. insights.date_preset(last_7d){spend,...}
+ */
+const adInsightsField = ({ datePreset, timeRange }) => {
+  const range = timeRange
+    ? `time_range(${JSON.stringify(timeRange)})`
+    : `date_preset(${datePreset || 'last_7d'})`;
+  return `insights.${range}{${AD_INSIGHT_FIELDS}}`;
+};
+
+/**
+ * Get ads of an ad account, campaign or ad set with their creative and
+ * insights for a date preset or range
+ * @param {string} accessToken - User's access token
+ * @param {string} adAccountId - Ad account ID
+ * @param {object} params - campaignId, adSetId, effectiveStatus (array), datePreset or
+ *   timeRange ({ since, until }), limit, after, before, all, maxItems, onPage
+ * @returns {Promise} List of ads (raw Graph objects, see flattenAd)
+ */
+const getAds = async (accessToken, adAccountId, params = {}) => {
+  const accountId = adAccountId.startsWith('act_') ? adAccountId : `act_${adAccountId}`;
+  let endpoint = `/${accountId}/ads`;
+  if (params.adSetId) {
+    endpoint = `/${params.adSetId}/ads`;
+  } else if (params.campaignId) {
+    endpoint = `/${params.campaignId}/ads`;
+  }
+
+  return requestList(accessToken, endpoint, definedParams({
+    fields: `id,name,status,effective_status,campaign_id,adset_id,created_time,updated_time,creative{${CREATIVE_FIELDS}},${adInsightsField(params)}`,
+    effective_status: params.effectiveStatus ? JSON.stringify(params.effectiveStatus) : undefined,
+    limit: params.limit || 25,
+    after: params.after,
+    before: params.before,
+    all: params.all,
+    maxItems: params.maxItems,
+    onPage: params.onPage
+  }));
+};
+
+/**
+ * Pick the text, media and call to action of a creative. Link, video and
+ * dynamic (asset feed) creatives keep them in different places.
+ * @param {object} creative - Creative from the Graph API
+ * @returns {object|null} id, name, title, body, image_url, thumbnail_url, video_id,
+ *   call_to_action, link_url, object_type
+ */
+const flattenCreative = (creative) => {
+  if (!creative) {
+    return null;
+  }
+
+  const story = creative.object_story_spec || {};
+  const content = story.link_data || story.video_data || {};
+  const feed = creative.asset_feed_spec || {};
+  const callToAction = content.call_to_action || {};
+
+  return {
+    id: creative.id,
+    name: creative.name || null,
+    title: creative.title || content.name || content.title || feed.titles?.[0]?.text || null,
+    body: creative.body || content.message || feed.bodies?.[0]?.text || null,
+    image_url: creative.image_url || content.picture || content.image_url || null,
+    thumbnail_url: creative.thumbnail_url || null,
+    video_id: creative.video_id || content.video_id || feed.videos?.[0]?.video_id || null,
+    call_to_action: creative.call_to_action_type || callToAction.type || feed.call_to_action_types?.[0] || null,
+    link_url: content.link || callToAction.value?.link || feed.link_urls?.[0]?.website_url || null,
+    object_type: creative.object_type || null
+  };
+};
+
+/**
+ * Flatten an ad from getAds: creative details and the insight row of the
+ * requested period (null when the ad did not deliver)
+ * @param {object} ad - Ad from the Graph API
+ * @returns {object} Ad with creative and insights
+ */
+const flattenAd = (ad) => ({
+  id: ad.id,
+  name: ad.name,
+  status: ad.status,
+  effective_status: ad.effective_status,
+  campaign_id: ad.campaign_id,
+  adset_id: ad.adset_id,
+  created_time: ad.created_time,
+  updated_time: ad.updated_time,
+  creative: flattenCreative(ad.creative),
+  insights: ad.insights?.data?.[0] || null
+});
+
+// effective_status values the ads list can be filtered by
+const AD_EFFECTIVE_STATUSES = [
+  'ACTIVE',
+  'PAUSED',
+  'DELETED',
+  'ARCHIVED',
+  'PENDING_REVIEW',
+  'DISAPPROVED',
+  'PREAPPROVED',
+  'PENDING_BILLING_INFO',
+  'CAMPAIGN_PAUSED',
+  'ADSET_PAUSED',
+  'IN_PROCESS',
+  'WITH_ISSUES'
+];
+
+// Placements an ad preview can be rendered for
+const AD_PREVIEW_FORMATS = [
+  'DESKTOP_FEED_STANDARD',
+  'MOBILE_FEED_STANDARD',
+  'MOBILE_FEED_BASIC',
+  'RIGHT_COLUMN_STANDARD',
+  'MARKETPLACE_MOBILE',
+  'FACEBOOK_STORY_MOBILE',
+  'FACEBOOK_REELS_MOBILE',
+  'INSTAGRAM_STANDARD',
+  'INSTAGRAM_STORY',
+  'INSTAGRAM_REELS',
+  'INSTAGRAM_EXPLORE_CONTEXTUAL',
+  'MESSENGER_MOBILE_INBOX_MEDIA',
+  'AUDIENCE_NETWORK_OUTSTREAM_VIDEO'
+];
+
+/**
+ * Render an ad's preview for one placement
+ * @param {string} accessToken - User's access token
+ * @param {string} adId - Ad ID
+ * @param {string} adFormat - One of AD_PREVIEW_FORMATS
+ * @returns {Promise<{ html: string, url: string|null }>} Iframe HTML from Meta and its src
+ */
+const getAdPreview = async (accessToken, adId, adFormat) => {
+  const response = await makeGraphApiRequest(accessToken, `/${adId}/previews`, { ad_format: adFormat });
+  const html = response.data?.[0]?.body || null;
+  if (!html) {
+    throw new NotFoundError(`Meta returned no ${adFormat} preview for ad ${adId}`);
+  }
+
+  const src = /src="([^"]+)"/.exec(html);
+  return {
+    html: html,
+    url: src ? src[1].replace(/&amp;/g, '&') : null
+  };
+};
+
+/**
+ * Get insights for an ad account with Graph parameters as given
+ * (level, fields, date_preset or time_range, breakdowns, time_increment, ...)
+ * @param {string} accessToken - User's access token
+ * @param {string} adAccountId - Ad account ID
+ * @param {object} params - Graph insights parameters plus after, before and all
+ * @returns {Promise} Insights data
+ */
+const getInsights = async (accessToken, adAccountId, params = {}) => {
+  const accountId = adAccountId.startsWith('act_') ? adAccountId : `act_${adAccountId}`;
+  return requestList(accessToken, `/${accountId}/insights`, definedParams(params));
+};
+
 /**
  * Get spend/insights for campaigns
  * @param {string} accessToken - User's access token
  * @param {string} adAccountId - Ad account ID
- * @param {object} params - Date range, level, etc.
+ * @param {object} params - datePreset or timeRange, level, breakdowns, limit, after, before, all
  * @returns {Promise} Insights data
  */
 const getSpend = async (accessToken, adAccountId, params = {}) => {
-  const accountId = adAccountId.startsWith('act_') ? adAccountId : `act_${adAccountId}`;
-  const datePreset = params.datePreset || 'last_30d';
-  const level = params.level || 'campaign';
-  
-  return makeGraphApiRequest(accessToken, `/${accountId}/insights`, {
-    level: level,
-    date_preset: datePreset,
-    fields: 'campaign_id,campaign_name,spend,impressions,clicks,ctr,cpc,cpp,cpm,reach,frequency,actions',
+  return getInsights(accessToken, adAccountId, {
+    level: params.level || 'campaign',
+    // time_range takes precedence; only send one of them
+    date_preset: params.timeRange ? undefined : (params.datePreset || 'last_30d'),
     time_range: params.timeRange ? JSON.stringify(params.timeRange) : undefined,
+    fields: params.fields || 'campaign_id,campaign_name,spend,impressions,clicks,ctr,cpc,cpp,cpm,reach,frequency,actions',
+    breakdowns: params.breakdowns,
     limit: params.limit || 25,
-    ...params
+    after: params.after,
+    before: params.before,
+    all: params.all,
+    maxItems: params.maxItems,
+    onPage: params.onPage
   });
 };
 
+// Object fields requested for daily insights at each level
+const DAILY_INSIGHT_FIELDS = {
+  campaign: 'campaign_id,campaign_name',
+  adset: 'campaign_id,campaign_name,adset_id,adset_name',
+  ad: 'campaign_id,campaign_name,adset_id,adset_name,ad_id,ad_name'
+};
+
 /**
- * Get leads for an ad account
+ * Get insights with one row per object and day. Every page is fetched,
+ * without the fetch-all cap, so a synced range is complete.
  * @param {string} accessToken - User's access token
  * @param {string} adAccountId - Ad account ID
- * @param {object} params - Additional parameters
- * @returns {Promise} List of leads
+ * @param {object} params - level (campaign, adset or ad), since and until (YYYY-MM-DD)
+ * @returns {Promise<{ data: Array }>} Daily insight rows
  */
-const getLeads = async (accessToken, adAccountId, params = {}) => {
+const getDailyInsights = async (accessToken, adAccountId, { level, since, until }) => {
   const accountId = adAccountId.startsWith('act_') ? adAccountId : `act_${adAccountId}`;
-  
-  // Get leadgen forms first
-  const formsResponse = await makeGraphApiRequest(accessToken, `/${accountId}/leadgen_forms`, {
-    fields: 'id,name,status',
-    limit: params.limit || 25
+
+  return fetchAllPages(accessToken, `/${accountId}/insights`, {
+    level: level,
+    time_range: JSON.stringify({ since, until }),
+    time_increment: 1,
+    fields: `${DAILY_INSIGHT_FIELDS[level]},spend,impressions,clicks,reach,actions`
+  }, Infinity);
+};
+
+// Lead fields requested from Meta, including the ad that produced the lead
+const LEAD_FIELDS = 'id,created_time,field_data,form_id,ad_id,ad_name,adset_id,adset_name,campaign_id,campaign_name,platform,is_organic';
+
+// Fixed columns of a flattened lead row; form answers follow in first-seen order
+const LEAD_COLUMNS = [
+  'id',
+  'created_time',
+  'form_id',
+  'form_name',
+  'campaign_id',
+  'campaign_name',
+  'adset_id',
+  'adset_name',
+  'ad_id',
+  'ad_name',
+  'platform',
+  'is_organic'
+];
+
+// Graph requests made for one page of leads before handing back a cursor
+const LEADS_MAX_REQUESTS_PER_PAGE = 20;
+// First pages of this many forms are fetched in one batch call
+const LEADS_BATCH_SIZE = 10;
+
+const encodeLeadCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeLeadCursor = (value) => {
+  if (!value) {
+    return { s: 0, o: 0 };
+  }
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString());
+    return { s: cursor.s || 0, a: cursor.a, o: cursor.o || 0 };
+  } catch (e) {
+    throw new ValidationError('Invalid leads cursor');
+  }
+};
+
+/**
+ * Flatten a lead's field_data answers into named columns
+ * @param {object} lead - Lead from the Graph API
+ * @param {string} formName - Name of the lead form
+ * @returns {object} Lead row keyed by LEAD_COLUMNS and form field names
+ */
+const flattenLead = (lead, formName = null) => {
+  const row = {};
+  LEAD_COLUMNS.forEach(column => {
+    row[column] = lead[column] ?? null;
   });
-  
-  // For each form, get leads (this is a simplified approach)
-  // In production, you might want to paginate and aggregate
-  const leads = [];
-  
-  if (formsResponse.data && formsResponse.data.length > 0) {
-    for (const form of formsResponse.data.slice(0, 5)) { // Limit to 5 forms for demo
-      try {
-        const formLeads = await makeGraphApiRequest(accessToken, `/${form.id}/leads`, {
-          fields: 'id,created_time,field_data',
-          limit: 10
-        });
-        
-        if (formLeads.data) {
-          leads.push(...formLeads.data.map(lead => ({
-            ...lead,
-            form_id: form.id,
-            form_name: form.name
-          })));
-        }
-      } catch (error) {
-        console.error(`Error fetching leads for form ${form.id}:`, error.message);
+  row.form_name = formName;
+
+  (lead.field_data || []).forEach(field => {
+    // Never let a form question overwrite a fixed column
+    const column = LEAD_COLUMNS.includes(field.name) ? `field_${field.name}` : field.name;
+    row[column] = (field.values || []).join(', ');
+  });
+
+  return row;
+};
+
+/**
+ * Get a single lead by ID (e.g. from a leadgen webhook)
+ * @param {string} accessToken - User's access token
+ * @param {string} leadId - Lead (leadgen) ID
+ * @returns {Promise} Lead with field_data and ad attribution
+ */
+const getLead = async (accessToken, leadId) => {
+  return makeGraphApiRequest(accessToken, `/${leadId}`, {
+    fields: LEAD_FIELDS
+  });
+};
+
+/**
+ * Get every lead form of an ad account
+ * @param {string} accessToken - User's access token
+ * @param {string} adAccountId - Ad account ID
+ * @returns {Promise<Array>} Lead forms
+ */
+const getLeadForms = async (accessToken, adAccountId) => {
+  const accountId = adAccountId.startsWith('act_') ? adAccountId : `act_${adAccountId}`;
+  const forms = await fetchAllPages(accessToken, `/${accountId}/leadgen_forms`, {
+    fields: 'id,name,status'
+  });
+  return forms.data;
+};
+
+/**
+ * Build the Graph filtering parameter for a created_time range
+ * @param {Date} since - Only leads created after this time
+ * @param {Date} until - Only leads created before this time
+ * @returns {string|undefined} JSON filtering value
+ */
+const buildLeadTimeFilter = (since, until) => {
+  const filters = [];
+  if (since) {
+    filters.push({ field: 'time_created', operator: 'GREATER_THAN', value: Math.floor(since.getTime() / 1000) });
+  }
+  if (until) {
+    filters.push({ field: 'time_created', operator: 'LESS_THAN', value: Math.floor(until.getTime() / 1000) });
+  }
+  return filters.length > 0 ? JSON.stringify(filters) : undefined;
+};
+
+/**
+ * Get leads for an ad account across all lead forms, flattened into rows.
+ * Pages span forms: the after cursor is opaque and encodes the form, the
+ * Graph cursor within that form and the offset within the page.
+ * @param {string} accessToken - User's access token
+ * @param {string} adAccountId - Ad account ID
+ * @param {object} params - Filters and paging:
+ *   formId, adId, adSetId, campaignId, since (Date), until (Date),
+ *   limit (rows per page), after (cursor), all (every lead up to the cap)
+ * @returns {Promise<{ data: Array, columns: Array, paging: object, truncated: boolean }>} Lead rows
+ */
+const getLeads = async (accessToken, adAccountId, params = {}) => {
+  const forms = await getLeadForms(accessToken, adAccountId);
+  const formNames = new Map(forms.map(form => [form.id, form.name]));
+
+  if (params.formId && !formNames.has(params.formId)) {
+    throw new NotFoundError(`Lead form ${params.formId} not found in ad account ${adAccountId}`);
+  }
+
+  // Leads of one ad come straight from the ad; otherwise walk the forms
+  let sources = forms.map(form => form.id);
+  if (params.adId) {
+    sources = [params.adId];
+  } else if (params.formId) {
+    sources = [params.formId];
+  }
+
+  const matches = (lead) =>
+    (!params.adId || !params.formId || lead.form_id === params.formId) &&
+    (!params.adSetId || lead.adset_id === params.adSetId) &&
+    (!params.campaignId || lead.campaign_id === params.campaignId);
+
+  const filtering = buildLeadTimeFilter(params.since, params.until);
+  const maxRows = params.all ? metaConfig.fetchAllMaxItems : (parseInt(params.limit, 10) || 25);
+  const rows = [];
+  let { s: sourceIndex, a: after, o: offset } = decodeLeadCursor(params.after);
+  let nextCursor = null;
+  let requests = 0;
+  // First pages of upcoming sources, fetched together (source index -> { data } or { error })
+  const prefetched = new Map();
+
+  while (sourceIndex < sources.length) {
+    if (rows.length >= maxRows || (!params.all && requests >= LEADS_MAX_REQUESTS_PER_PAGE)) {
+      nextCursor = { s: sourceIndex, a: after, o: offset };
+      break;
+    }
+
+    // Fixed page size keeps a (cursor, offset) pair pointing at the same lead
+    const pageParams = (pageAfter) => definedParams({
+      fields: LEAD_FIELDS,
+      limit: FETCH_ALL_PAGE_SIZE,
+      after: pageAfter,
+      filtering: filtering
+    });
+
+    // Walking several forms: fetch the first pages of the next ones in one batch call
+    if (after === undefined && !prefetched.has(sourceIndex) && sources.length - sourceIndex > 1) {
+      const batchSources = sources.slice(sourceIndex, sourceIndex + LEADS_BATCH_SIZE);
+      const results = await batchRequest(accessToken, batchSources.map(source => ({
+        endpoint: `/${source}/leads`,
+        params: pageParams(undefined)
+      })));
+      results.forEach((result, i) => prefetched.set(sourceIndex + i, result));
+      requests++;
+    }
+
+    let page;
+    if (after === undefined && prefetched.has(sourceIndex)) {
+      const result = prefetched.get(sourceIndex);
+      prefetched.delete(sourceIndex);
+      if (result.error) {
+        throw result.error;
       }
+      page = result.data;
+    } else {
+      page = await makeGraphApiRequest(accessToken, `/${sources[sourceIndex]}/leads`, pageParams(after));
+      requests++;
+    }
+
+    const matched = (page.data || []).filter(matches);
+    const taken = matched.slice(offset, offset + maxRows - rows.length);
+    rows.push(...taken.map(lead => flattenLead(lead, formNames.get(lead.form_id) || null)));
+
+    if (offset + taken.length < matched.length) {
+      nextCursor = { s: sourceIndex, a: after, o: offset + taken.length };
+      break;
+    }
+
+    offset = 0;
+    if (page.paging?.next && page.paging.cursors?.after) {
+      after = page.paging.cursors.after;
+    } else {
+      sourceIndex++;
+      after = undefined;
     }
   }
-  
+
+  const columns = [...LEAD_COLUMNS];
+  rows.forEach(row => Object.keys(row).forEach(column => {
+    if (!columns.includes(column)) {
+      columns.push(column);
+    }
+  }));
+
   return {
-    data: leads,
-    paging: formsResponse.paging
+    data: rows,
+    columns: columns,
+    paging: {
+      cursors: { before: null, after: nextCursor ? encodeLeadCursor(nextCursor) : null },
+      hasNext: Boolean(nextCursor),
+      hasPrevious: false
+    },
+    truncated: Boolean(params.all && nextCursor)
   };
 };
 
 module.exports = {
   makeGraphApiRequest,
+  makeGraphApiPost,
+  makeGraphApiDelete,
+  batchRequest,
+  fetchAllPages,
+  formatPaging,
   getAdAccounts,
+  getBusinesses,
+  getBusinessAdAccounts,
+  getBusinessPages,
+  getPageLeadForms,
   getCampaigns,
   getAdSets,
+  getAds,
+  flattenAd,
+  getAdPreview,
+  AD_EFFECTIVE_STATUSES,
+  AD_PREVIEW_FORMATS,
+  getInsights,
   getSpend,
-  getLeads
+  getDailyInsights,
+  getLeadForms,
+  getLead,
+  getLeads,
+  flattenLead,
+  LEAD_COLUMNS
 };
 
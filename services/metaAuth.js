@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const oauthState = require('./oauthState');
+const metaApi = require('./metaApi');
+const { MetaApiError, MetaValidationError } = require('./errors');
+const { metaConfig } = require('../config/meta');
+
+// Required permissions for Meta Ads API
+const SCOPES = [
+  'ads_read',
+  'ads_management',
+  'business_management',
+  'leads_retrieval'
+];
+
+// Permissions that also cover another one (ads_management includes reading ads)
+const IMPLIED_BY = {
+  ads_read: ['ads_management']
+};
+
+/**
+ * Check whether the Meta app credentials are present
+ * @returns {boolean} True when app ID and secret are configured
+ */
+const isConfigured = () => Boolean(metaConfig.appId && metaConfig.appSecret);
+
+/**
+ * Build the Meta OAuth dialog URL for a user
+ * @param {string} userId - User ID (Cliq user ID) to bind the login to
+ * @param {string} returnUrl - Optional URL to redirect to after the callback
+ * @param {object} options - permissions to ask for (default: all SCOPES), and
+ *   rerequest to ask again for permissions the user declined before
+ * @returns {Promise<string>} OAuth dialog URL
+ */
+const buildAuthUrl = async (userId, returnUrl = null, { permissions = SCOPES, rerequest = false } = {}) => {
+  // Signed, single-use state bound to the user (see services/oauthState.js)
+  const state = await oauthState.issueState(userId, returnUrl);
+
+  return `${metaConfig.dialogBase}/dialog/oauth?` +
+    `client_id=${metaConfig.appId}` +
+    `&redirect_uri=${encodeURIComponent(metaConfig.redirectUri)}` +
+    `&scope=${permissions.join(',')}` +
+    `&state=${encodeURIComponent(state)}` +
+    `&response_type=code` +
+    (rerequest ? '&auth_type=rerequest' : '');
+};
+
+/**
+ * Call Meta's token endpoint (oauth/access_token) with the app credentials,
+ * through the Graph client (timeout, retries, typed errors)
+ * @param {object} params - code and redirect_uri, or grant_type and fb_exchange_token
+ * @returns {Promise<object>} Response body ({ access_token, token_type, expires_in })
+ * @throws {MetaApiError} When Meta rejects the request or returns no token
+ */
+const requestAccessToken = async (params) => {
+  const data = await metaApi.makeGraphApiRequest(null, '/oauth/access_token', {
+    client_id: metaConfig.appId,
+    client_secret: metaConfig.appSecret,
+    ...params
+  });
+
+  if (!data || !data.access_token) {
+    throw new MetaApiError('Meta did not return an access token');
+  }
+  return data;
+};
+
+/**
+ * Exchange the OAuth callback's code for a (short-lived) user access token
+ * @param {string} code - Code from the OAuth callback
+ * @returns {Promise<object>} Response body ({ access_token, token_type, expires_in })
+ * @throws {MetaValidationError} When Meta rejects the code (invalid, expired or
+ *   already used); other failures keep their MetaApiError (502, 504 or 429)
+ */
+const exchangeCodeForToken = async (code) => {
+  try {
+    return await requestAccessToken({
+      redirect_uri: metaConfig.redirectUri,
+      code: code
+    });
+  } catch (error) {
+    if (error instanceof MetaApiError && error.status >= 400 && error.status < 500 && !error.rateLimited) {
+      throw new MetaValidationError('Meta rejected the authorization code. Please connect again.', error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Exchange an access token for a long-lived token (fb_exchange_token).
+ * Works for short-lived tokens after login and for long-lived tokens that
+ * are close to expiry.
+ * @param {string} accessToken - Current user access token
+ * @returns {Promise<{ accessToken: string, expiresAt: Date }>} New token and expiry
+ */
+const exchangeForLongLivedToken = async (accessToken) => {
+  const data = await requestAccessToken({
+    grant_type: 'fb_exchange_token',
+    fb_exchange_token: accessToken
+  });
+
+  const expiresIn = data.expires_in || 5184000; // 60 days default
+  return {
+    accessToken: data.access_token,
+    expiresAt: new Date(Date.now() + expiresIn * 1000)
+  };
+};
+
+/**
+ * Look up the app-scoped Meta user ID of a token
+ * @param {string} accessToken - User access token
+ * @returns {Promise<string>} Meta user ID
+ */
+const getMetaUserId = async (accessToken) => {
+  const me = await metaApi.makeGraphApiRequest(accessToken, '/me', { fields: 'id' });
+  return me.id;
+};
+
+/**
+ * Read which permissions the user granted or declined (/me/permissions).
+ * Expired permissions count as declined.
+ * @param {string} accessToken - User access token
+ * @returns {Promise<{ granted: Array<string>, declined: Array<string> }>} Permission names
+ */
+const getPermissions = async (accessToken) => {
+  const response = await metaApi.makeGraphApiRequest(accessToken, '/me/permissions');
+  const permissions = response.data || [];
+
+  return {
+    granted: permissions.filter(p => p.status === 'granted').map(p => p.permission),
+    declined: permissions.filter(p => p.status !== 'granted').map(p => p.permission)
+  };
+};
+
+/**
+ * Permissions a stored connection lacks
+ * @param {object} userToken - UserToken document with grantedPermissions
+ * @param {Array<string>} required - Permissions the request needs
+ * @returns {Array<string>} Required permissions that were not granted
+ */
+const missingPermissions = (userToken, required) => {
+  const granted = userToken.grantedPermissions || [];
+
+  return required.filter(permission =>
+    !granted.includes(permission) &&
+    !(IMPLIED_BY[permission] || []).some(other => granted.includes(other))
+  );
+};
+
+/**
+ * Revoke every permission the user granted the app (DELETE /me/permissions),
+ * which also invalidates the token
+ * @param {string} accessToken - User access token
+ * @returns {Promise<boolean>} True when Meta confirmed the revocation
+ */
+const revokePermissions = async (accessToken) => {
+  const response = await metaApi.makeGraphApiDelete(accessToken, '/me/permissions');
+  return response.success === true;
+};
+
+/**
+ * Verify and decode a signed_request from Meta (deauthorize and data
+ * deletion callbacks): "<signature>.<payload>", both base64url, signed
+ * with HMAC-SHA256 and the app secret
+ * @param {string} signedRequest - signed_request form value
+ * @returns {object|null} Payload ({ user_id, algorithm, issued_at }), or null if invalid
+ */
+const parseSignedRequest = (signedRequest) => {
+  if (!metaConfig.appSecret || typeof signedRequest !== 'string') {
+    return null;
+  }
+
+  const [signature, payload] = signedRequest.split('.');
+  if (!signature || !payload) {
+    return null;
+  }
+
+  const expected = crypto.createHmac('sha256', metaConfig.appSecret).update(payload).digest();
+  const received = Buffer.from(signature, 'base64url');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return data.algorithm === 'HMAC-SHA256' && data.user_id ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  SCOPES,
+  isConfigured,
+  buildAuthUrl,
+  exchangeCodeForToken,
+  exchangeForLongLivedToken,
+  getMetaUserId,
+  getPermissions,
+  missingPermissions,
+  revokePermissions,
+  parseSignedRequest
+};
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const { localToday, addDays } = require('./insightSync');
+
+// memory (default), redis (needs REDIS_URL and the optional redis package) or none
+const BACKEND = process.env.META_CACHE_BACKEND || (process.env.REDIS_URL ? 'redis' : 'memory');
+const MEMORY_MAX_ENTRIES = parseInt(process.env.META_CACHE_MAX_ENTRIES, 10) || 5000;
+
+const envSeconds = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Seconds each resource stays cached. Insights for ranges that ended a few
+// days ago no longer change, so they are kept much longer.
+const TTLS = {
+  campaigns: envSeconds('META_CACHE_TTL_CAMPAIGNS', 60),
+  adsets: envSeconds('META_CACHE_TTL_CAMPAIGNS', 60),
+  ads: envSeconds('META_CACHE_TTL_CAMPAIGNS', 60),
+  businesses: envSeconds('META_CACHE_TTL_BUSINESSES', 300),
+  insights: envSeconds('META_CACHE_TTL_INSIGHTS', 300),
+  closedInsights: envSeconds('META_CACHE_TTL_CLOSED_INSIGHTS', 24 * 60 * 60)
+};
+
+// Meta revises the most recent days (attribution), so they count as open
+const CLOSED_AFTER_DAYS = 3;
+
+/**
+ * In-process store. Oldest entries are dropped past MEMORY_MAX_ENTRIES.
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+  const counters = new Map();
+
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    set: async (key, value, ttlMs) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      if (entries.size > MEMORY_MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    incr: async (key) => {
+      const value = (counters.get(key) || 0) + 1;
+      counters.set(key, value);
+      return value;
+    },
+    getCounter: async (key) => counters.get(key) || 0
+  };
+};
+
+/**
+ * Redis (or Redis-compatible) store, shared by every server instance
+ * @param {string} url - Connection URL, e.g. redis://localhost:6379
+ */
+const createRedisStore = (url) => {
+  // Optional dependency, only loaded when Redis is configured
+  const { createClient } = require('redis');
+  // Fail commands while disconnected instead of queueing them, so a Redis
+  // outage falls back to Meta rather than holding requests
+  const client = createClient({ url, disableOfflineQueue: true });
+  client.on('error', error => console.error('Redis cache error:', error.message));
+  client.connect().catch(error => console.error('Redis cache connection failed:', error.message));
+
+  return {
+    get: (key) => client.get(key),
+    set: async (key, value, ttlMs) => {
+      await client.set(key, value, { PX: ttlMs });
+    },
+    incr: (key) => client.incr(key),
+    getCounter: async (key) => Number(await client.get(key)) || 0
+  };
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store && BACKEND !== 'none') {
+    store = BACKEND === 'redis' ? createRedisStore(process.env.REDIS_URL) : createMemoryStore();
+  }
+  return store;
+};
+
+/**
+ * JSON with sorted keys, so equal parameters give equal cache keys
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Bumped on writes; keys include it, so older entries are no longer read
+const generationKey = (adAccountId) => `meta:gen:${adAccountId || 'none'}`;
+
+const buildKey = (generation, { userId, adAccountId }, resource, params) => {
+  const hash = crypto.createHash('sha1').update(stableStringify(params)).digest('hex');
+  return `meta:${adAccountId || 'none'}:${generation}:${userId}:${resource}:${hash}`;
+};
+
+/**
+ * TTL for insights: long once the range ended CLOSED_AFTER_DAYS ago
+ * in the ad account's timezone, short otherwise (and for date presets)
+ * @param {string} until - Last day of the range (YYYY-MM-DD), if any
+ * @param {string} timezone - Ad account timezone
+ * @returns {number} Seconds
+ */
+const insightsTtl = (until, timezone = 'UTC') => {
+  const closedBefore = addDays(localToday(timezone), -CLOSED_AFTER_DAYS);
+  return until && until < closedBefore ? TTLS.closedInsights : TTLS.insights;
+};
+
+/**
+ * Read through the cache. Store failures fall back to Meta.
+ * @param {object} scope - { userId, adAccountId }
+ * @param {string} resource - campaigns, adsets, insights ...
+ * @param {object} params - Request parameters (part of the key)
+ * @param {Function} fetch - Loads the value from Meta on a miss
+ * @param {object} options - fresh (skip the cached value and replace it),
+ *   ttlSeconds (default: the resource's TTL)
+ * @returns {Promise<{ value: *, status: string, age: number, ttl: number }>} Value and
+ *   cache status (HIT, MISS, BYPASS), age and TTL in seconds
+ */
+const read = async (scope, resource, params, fetch, { fresh = false, ttlSeconds = TTLS[resource] || TTLS.campaigns } = {}) => {
+  const cache = getStore();
+  if (!cache || ttlSeconds <= 0) {
+    return { value: await fetch(), status: 'BYPASS', age: 0, ttl: 0 };
+  }
+
+  let key = null;
+  try {
+    key = buildKey(await cache.getCounter(generationKey(scope.adAccountId)), scope, resource, params);
+    if (!fresh) {
+      const cached = await cache.get(key);
+      if (cached) {
+        const entry = JSON.parse(cached);
+        return { value: entry.value, status: 'HIT', age: Math.floor((Date.now() - entry.storedAt) / 1000), ttl: ttlSeconds };
+      }
+    }
+  } catch (error) {
+    console.warn(`Meta cache read failed for ${resource}:`, error.message);
+  }
+
+  const value = await fetch();
+
+  if (key) {
+    try {
+      await cache.set(key, JSON.stringify({ value, storedAt: Date.now() }), ttlSeconds * 1000);
+    } catch (error) {
+      console.warn(`Meta cache write failed for ${resource}:`, error.message);
+    }
+  }
+
+  return { value, status: fresh ? 'BYPASS' : 'MISS', age: 0, ttl: ttlSeconds };
+};
+
+/**
+ * Drop every cached read of an ad account (for all users), e.g. after a change
+ * @param {string} adAccountId - Ad account ID
+ */
+const invalidateAccount = async (adAccountId) => {
+  const cache = getStore();
+  if (!cache) {
+    return;
+  }
+  try {
+    await cache.incr(generationKey(adAccountId));
+  } catch (error) {
+    console.warn(`Meta cache invalidation failed for ${adAccountId}:`, error.message);
+  }
+};
+
+/**
+ * Set X-Cache, Age and Cache-Control headers for a cached read
+ * @param {object} res - Express response
+ * @param {object} result - Result of read()
+ */
+const setCacheHeaders = (res, { status, age, ttl }) => {
+  res.set('X-Cache', status);
+  res.set('Age', String(age));
+  res.set('Cache-Control', ttl > 0 ? `private, max-age=${Math.max(ttl - age, 0)}` : 'no-store');
+};
+
+module.exports = {
+  TTLS,
+  insightsTtl,
+  read,
+  invalidateAccount,
+  setCacheHeaders
+};
@@ -0,0 +1,60 @@
+const cliq = require('./cliq');
+
+const notifiers = new Map();
+
+/**
+ * Register a notification target type
+ * @param {string} type - Notifier type referenced by AlertRule.notify.type
+ * @param {Function} send - async (notify, alert) => void; notify is the rule's notify setting
+ */
+const registerNotifier = (type, send) => {
+  notifiers.set(type, send);
+};
+
+/**
+ * Check whether a notifier type is registered
+ * @param {string} type - Notifier type
+ * @returns {boolean} True when notifications of this type can be sent
+ */
+const hasNotifier = (type) => notifiers.has(type);
+
+/**
+ * Send an alert through the notifier configured on its rule
+ * @param {object} notify - { type, ...target settings }
+ * @param {object} alert - { rule, title, text, items: [{ target, message }] }
+ */
+const send = async (notify, alert) => {
+  const notifier = notifiers.get(notify.type);
+  if (!notifier) {
+    throw new Error(`Unknown notifier "${notify.type}"`);
+  }
+  await notifier(notify, alert);
+};
+
+// Cliq: post to a channel, or message the rule's owner through the bot
+registerNotifier('cliq', async (notify, alert) => {
+  const message = cliq.buildCard({
+    title: alert.title,
+    text: alert.text,
+    slides: [
+      cliq.buildTableSlide('Triggered', ['Target', 'Details'], alert.items.map(item => ({
+        Target: item.target,
+        Details: item.message
+      })))
+    ]
+  });
+
+  const posted = notify.channel
+    ? await cliq.postToChannel(notify.channel, message)
+    : await cliq.postToUser(alert.rule.userId, message);
+
+  if (!posted) {
+    throw new Error('Cliq bot messaging not configured');
+  }
+});
+
+module.exports = {
+  registerNotifier,
+  hasNotifier,
+  send
+};
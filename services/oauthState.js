@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const OAuthState = require('../models/OAuthState');
+const { metaConfig } = require('../config/meta');
+
+const STATE_TTL_MS = (parseFloat(process.env.OAUTH_STATE_TTL_MINUTES) || 10) * 60 * 1000;
+
+const getSecret = () => process.env.OAUTH_STATE_SECRET || metaConfig.appSecret;
+
+const sign = (nonce) => crypto
+  .createHmac('sha256', getSecret())
+  .update(nonce)
+  .digest('base64url');
+
+/**
+ * Check a return URL against the OAUTH_RETURN_URL_HOSTS allow-list
+ * @param {string} returnUrl - URL to send the user back to after login
+ * @returns {boolean} True when the URL is https (or localhost) on an allowed host
+ */
+const isAllowedReturnUrl = (returnUrl) => {
+  const allowedHosts = (process.env.OAUTH_RETURN_URL_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+  let url;
+  try {
+    url = new URL(returnUrl);
+  } catch (e) {
+    return false;
+  }
+
+  const isLocal = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+  if (url.protocol !== 'https:' && !(isLocal && url.protocol === 'http:')) {
+    return false;
+  }
+
+  return allowedHosts.includes(url.hostname.toLowerCase());
+};
+
+/**
+ * Issue a signed, single-use OAuth state bound to a user
+ * @param {string} userId - Cliq user ID starting the login
+ * @param {string} returnUrl - Optional URL to redirect to after the callback
+ * @returns {Promise<string>} State value for the OAuth dialog
+ */
+const issueState = async (userId, returnUrl = null) => {
+  if (!getSecret()) {
+    throw new Error('OAuth state secret not configured');
+  }
+
+  const nonce = crypto.randomBytes(24).toString('base64url');
+
+  await OAuthState.create({
+    nonce: nonce,
+    userId: userId,
+    returnUrl: returnUrl,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS)
+  });
+
+  return `${nonce}.${sign(nonce)}`;
+};
+
+/**
+ * Verify and consume a state value from the OAuth callback.
+ * The stored record is deleted on first use, so a replayed state fails.
+ * @param {string} state - State value returned by Meta
+ * @returns {Promise<{ userId: string, returnUrl: string|null }|null>} Bound user, or null if invalid
+ */
+const consumeState = async (state) => {
+  if (typeof state !== 'string' || !getSecret()) {
+    return null;
+  }
+
+  const [nonce, signature] = state.split('.');
+  if (!nonce || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(nonce));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  const record = await OAuthState.findOneAndDelete({
+    nonce: nonce,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!record) {
+    return null;
+  }
+
+  return {
+    userId: record.userId,
+    returnUrl: record.returnUrl
+  };
+};
+
+module.exports = {
+  isAllowedReturnUrl,
+  issueState,
+  consumeState
+};
@@ -0,0 +1,483 @@
+const { PassThrough } = require('stream');
+const { finished } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { toMajorUnits } = require('./adManagement');
+const { countLeads } = require('./insightMetrics');
+const { LEVEL_FIELDS } = require('./insightsQuery');
+const { ValidationError } = require('./errors');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// Exports walk every page, so they get a higher cap than all=true JSON lists
+const EXPORT_MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS, 10) || 50000;
+
+// Longest cell text drawn in a PDF table
+const PDF_MAX_CELL_LENGTH = 200;
+
+// Column types: text (default), integer, number, percent (value already in %),
+// money (account currency; minorUnits for budgets in cents)
+const METRIC_TYPES = {
+  spend: 'money',
+  impressions: 'integer',
+  reach: 'integer',
+  frequency: 'number',
+  clicks: 'integer',
+  unique_clicks: 'integer',
+  inline_link_clicks: 'integer',
+  leads: 'integer',
+  ctr: 'percent',
+  unique_ctr: 'percent',
+  inline_link_click_ctr: 'percent',
+  cpc: 'money',
+  cost_per_inline_link_click: 'money',
+  cpm: 'money',
+  cpp: 'money',
+  cpl: 'money'
+};
+
+const METRIC_LABELS = {
+  ctr: 'CTR',
+  unique_ctr: 'Unique CTR',
+  inline_link_click_ctr: 'Link CTR',
+  cpc: 'CPC',
+  cost_per_inline_link_click: 'Cost per link click',
+  cpm: 'CPM',
+  cpp: 'CPP',
+  cpl: 'CPL'
+};
+
+/**
+ * Turn a field name into a column label, e.g. campaign_name -> Campaign name
+ */
+const humanize = (key) => METRIC_LABELS[key] || (key.charAt(0).toUpperCase() + key.slice(1)).replace(/_/g, ' ');
+
+const column = (key, type = 'text', extra = {}) => ({ key, label: humanize(key), type, ...extra });
+
+const metricColumn = (metric) => column(metric, METRIC_TYPES[metric] || 'number');
+
+// Fixed column order of each report
+const REPORT_COLUMNS = {
+  campaigns: [
+    column('id', 'text', { label: 'Campaign ID' }),
+    column('name'),
+    column('status'),
+    column('objective'),
+    column('daily_budget', 'money', { minorUnits: true }),
+    column('lifetime_budget', 'money', { minorUnits: true }),
+    column('created_time', 'text', { label: 'Created' }),
+    column('updated_time', 'text', { label: 'Updated' })
+  ],
+  adsets: [
+    column('id', 'text', { label: 'Ad set ID' }),
+    column('name'),
+    column('status'),
+    column('campaign_id', 'text', { label: 'Campaign ID' }),
+    column('daily_budget', 'money', { minorUnits: true }),
+    column('lifetime_budget', 'money', { minorUnits: true }),
+    column('billing_event'),
+    column('optimization_goal'),
+    column('created_time', 'text', { label: 'Created' })
+  ],
+  ads: [
+    column('id', 'text', { label: 'Ad ID' }),
+    column('name'),
+    column('status'),
+    column('effective_status'),
+    column('campaign_id', 'text', { label: 'Campaign ID' }),
+    column('adset_id', 'text', { label: 'Ad set ID' }),
+    column('title', 'text', { value: row => row.creative?.title }),
+    column('body', 'text', { value: row => row.creative?.body }),
+    column('call_to_action', 'text', { value: row => row.creative?.call_to_action }),
+    column('link_url', 'text', { label: 'Link URL', value: row => row.creative?.link_url }),
+    ...['spend', 'impressions', 'clicks', 'ctr', 'cpc'].map(metric => ({ ...metricColumn(metric), value: row => row.insights?.[metric] })),
+    column('leads', 'integer', { value: row => countLeads(row.insights || {}) })
+  ],
+  spend: [
+    column('date_start'),
+    column('date_stop'),
+    column('campaign_id', 'text', { label: 'Campaign ID' }),
+    column('campaign_name'),
+    ...['spend', 'impressions', 'reach', 'frequency', 'clicks', 'ctr', 'cpc', 'cpm', 'cpp'].map(metricColumn),
+    column('leads', 'integer', { value: countLeads })
+  ]
+};
+
+/**
+ * Columns of a /meta/insights export; conversion metrics get one column per action type
+ * @param {object} options - options from insightsQuery.buildQuery
+ * @returns {Array} Columns
+ */
+const insightsColumns = ({ level, metrics, actionTypes, attributionWindows, breakdowns }) => {
+  const perType = (metric, label, type) => actionTypes.map(actionType => ({
+    key: `${metric}.${actionType}`,
+    label: `${label}: ${actionType}`,
+    type: type,
+    value: row => row[metric] ? row[metric][actionType] : null
+  }));
+
+  return [
+    ...LEVEL_FIELDS[level].map(key => column(key, 'text', key.endsWith('_id') ? { label: humanize(key).replace(/ id$/, ' ID') } : {})),
+    column('date_start'),
+    column('date_stop'),
+    ...breakdowns.map(key => column(key)),
+    ...metrics.flatMap(metric => {
+      switch (metric) {
+        case 'conversions':
+          return [
+            ...perType('conversions', 'Conversions', 'number'),
+            ...attributionWindows.flatMap(window => actionTypes.map(actionType => ({
+              key: `conversions_by_window.${actionType}.${window}`,
+              label: `Conversions: ${actionType} (${window})`,
+              type: 'number',
+              value: row => row.conversions_by_window ? row.conversions_by_window[actionType][window] : null
+            })))
+          ];
+        case 'conversion_values':
+          return perType('conversion_values', 'Conversion value', 'money');
+        case 'cpa':
+          return perType('cpa', 'CPA', 'money');
+        case 'roas':
+          return perType('roas', 'ROAS', 'number');
+        default:
+          return [metricColumn(metric)];
+      }
+    })
+  ];
+};
+
+/**
+ * Columns of a /reports/trend export
+ * @param {Array} metrics - Selected metrics
+ * @returns {Array} Columns
+ */
+const trendColumns = (metrics) => [column('date'), ...metrics.map(metricColumn)];
+
+/**
+ * Columns of a leads export: the fixed lead columns, then form answers
+ * @param {Array} columns - Column names from metaApi.getLeads
+ * @returns {Array} Columns
+ */
+const leadColumns = (columns) => columns.map(key => column(key, 'text', { label: key }));
+
+/**
+ * Pick the export format from ?format= or the Accept header
+ * @param {object} req - Express request
+ * @returns {string|null} csv, xlsx or pdf; null for JSON
+ */
+const resolveFormat = (req) => {
+  const { format } = req.query;
+
+  if (format) {
+    if (format === 'json') {
+      return null;
+    }
+    if (!FORMATS[format]) {
+      throw new ValidationError(`Invalid format. Expected one of: json, ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return format;
+  }
+
+  // JSON is listed first so */* and missing Accept headers keep getting JSON
+  const accepted = req.accepts(['application/json', ...Object.values(FORMATS).map(type => type.contentType.split(';')[0])]);
+  const match = Object.keys(FORMATS).find(key => FORMATS[key].contentType.startsWith(accepted));
+  return match || null;
+};
+
+/**
+ * Build a download file name, e.g. campaigns-act_123-2024-01-31.csv
+ */
+const buildFilename = (report, adAccountId, format) =>
+  `${report}-${adAccountId}-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`;
+
+/**
+ * Currency details used for money columns
+ * @param {string} currency - ISO currency code
+ * @returns {{ code: string, decimals: number, symbol: string, format: Function }} Currency info
+ */
+const currencyInfo = (currency) => {
+  try {
+    const symbolFormatter = new Intl.NumberFormat('en-US', { style: 'currency', currency, currencyDisplay: 'narrowSymbol' });
+    const codeFormatter = new Intl.NumberFormat('en-US', { style: 'currency', currency, currencyDisplay: 'code' });
+    return {
+      code: currency,
+      decimals: symbolFormatter.resolvedOptions().maximumFractionDigits,
+      symbol: symbolFormatter.formatToParts(0).find(part => part.type === 'currency').value,
+      // PDF standard fonts cannot draw most currency symbols, so use the code there
+      format: (value) => codeFormatter.format(value).replace(/\u00A0/g, ' ')
+    };
+  } catch (e) {
+    return {
+      code: currency || null,
+      decimals: 2,
+      symbol: '',
+      format: (value) => value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+    };
+  }
+};
+
+/**
+ * Header label, with the currency code for money columns
+ */
+const headerLabel = (col, money) => col.type === 'money' && money.code ? `${col.label} (${money.code})` : col.label;
+
+/**
+ * Raw cell value: a number for numeric columns (null when missing), otherwise a string
+ */
+const cellValue = (col, row, money) => {
+  const raw = col.value ? col.value(row) : row[col.key];
+
+  if (col.type === 'text') {
+    return raw === undefined || raw === null ? '' : String(raw);
+  }
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
+  }
+
+  const number = col.minorUnits ? toMajorUnits(raw, money.code) : Number(raw);
+  return Number.isFinite(number) ? number : null;
+};
+
+const DECIMALS = { integer: 0, number: 2, percent: 2 };
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full
+ */
+const writeChunk = (stream, chunk) => new Promise((resolve, reject) => {
+  if (stream.destroyed) {
+    return reject(new Error('Export stream closed'));
+  }
+  if (stream.write(chunk)) {
+    return resolve();
+  }
+
+  const onDrain = () => {
+    stream.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    stream.off('drain', onDrain);
+    reject(new Error('Export stream closed'));
+  };
+  stream.once('drain', onDrain);
+  stream.once('close', onClose);
+});
+
+/**
+ * Escape a CSV field. Text starting with a formula character is prefixed
+ * with ' so spreadsheet apps do not evaluate lead answers as formulas.
+ */
+const csvField = (value, col) => {
+  let text = value === null ? '' : String(value);
+  if (col.type === 'text' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV: plain numbers (money with the currency's decimals), RFC 4180 quoting,
+ * UTF-8 with BOM so Excel detects the encoding
+ */
+const createCsvWriter = (stream, { columns, money }) => {
+  const toCsv = (values) => values.map((value, i) => csvField(value, columns[i])).join(',') + '\r\n';
+  const formatCell = (col, value) => {
+    if (value === null || col.type === 'text') {
+      return value;
+    }
+    return value.toFixed(col.type === 'money' ? money.decimals : DECIMALS[col.type]);
+  };
+
+  const header = '\uFEFF' + toCsv(columns.map(col => headerLabel(col, money)));
+  let started = false;
+
+  const writeRows = async (rows) => {
+    const lines = rows.map(row => toCsv(columns.map(col => formatCell(col, cellValue(col, row, money))))).join('');
+    await writeChunk(stream, (started ? '' : header) + lines);
+    started = true;
+  };
+
+  return {
+    writeRows,
+    end: async () => {
+      if (!started) {
+        await writeRows([]);
+      }
+      stream.end();
+    }
+  };
+};
+
+/**
+ * XLSX: numeric cells with number formats, written row by row
+ */
+const createXlsxWriter = (stream, { columns, money, title }) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet(title.slice(0, 31).replace(/[\\/?*[\]:]/g, ' '));
+  const moneyFormat = `"${money.symbol.replace(/"/g, '')}"#,##0${money.decimals > 0 ? '.' + '0'.repeat(money.decimals) : ''}`;
+  const numberFormats = { integer: '#,##0', number: '#,##0.00', percent: '0.00"%"', money: moneyFormat };
+
+  sheet.columns = columns.map(col => ({
+    header: headerLabel(col, money),
+    key: col.key,
+    width: Math.max(headerLabel(col, money).length + 2, col.type === 'text' ? 20 : 12),
+    style: numberFormats[col.type] ? { numFmt: numberFormats[col.type] } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  return {
+    writeRows: async (rows) => {
+      rows.forEach(row => {
+        sheet.addRow(columns.map(col => cellValue(col, row, money))).commit();
+      });
+    },
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+/**
+ * PDF: a landscape table, header repeated on every page
+ */
+const createPdfWriter = (stream, { columns, money, title }) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+  doc.pipe(stream);
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - left - doc.page.margins.right;
+  const columnWidth = tableWidth / columns.length;
+  const header = columns.map(col => headerLabel(col, money));
+
+  const formatCell = (col, value) => {
+    if (value === null) {
+      return '-';
+    }
+    if (col.type === 'text') {
+      return value.length > PDF_MAX_CELL_LENGTH ? `${value.slice(0, PDF_MAX_CELL_LENGTH)}...` : value;
+    }
+    if (col.type === 'money') {
+      return money.format(value);
+    }
+    const text = value.toLocaleString('en-US', { minimumFractionDigits: DECIMALS[col.type], maximumFractionDigits: DECIMALS[col.type] });
+    return col.type === 'percent' ? `${text}%` : text;
+  };
+
+  const drawRow = (cells, bold = false) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7);
+    const height = Math.max(...cells.map(cell => doc.heightOfString(cell, { width: columnWidth - 4 }))) + 4;
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!bold) {
+        drawRow(header, true);
+        doc.font('Helvetica').fontSize(7);
+      }
+    }
+
+    const top = doc.y;
+    cells.forEach((cell, i) => {
+      doc.text(cell, left + i * columnWidth + 2, top + 2, { width: columnWidth - 4 });
+    });
+    doc.x = left;
+    doc.y = top + height;
+    doc.moveTo(left, doc.y).lineTo(left + tableWidth, doc.y).lineWidth(0.3).strokeColor('#cccccc').stroke();
+  };
+
+  doc.font('Helvetica-Bold').fontSize(14).text(title);
+  doc.font('Helvetica').fontSize(8).text(`Generated ${new Date().toISOString()}`);
+  doc.moveDown();
+  drawRow(header, true);
+
+  return {
+    writeRows: async (rows) => {
+      rows.forEach(row => drawRow(columns.map(col => formatCell(col, cellValue(col, row, money)))));
+    },
+    end: async () => {
+      doc.end();
+    }
+  };
+};
+
+const WRITERS = {
+  csv: createCsvWriter,
+  xlsx: createXlsxWriter,
+  pdf: createPdfWriter
+};
+
+/**
+ * Write a report to a stream. Rows are written as produce() hands them over,
+ * so large results are never held in memory. Nothing is written to the
+ * stream until the first rows (or the end) arrive.
+ * @param {stream.Writable} stream - Destination
+ * @param {object} report - format, columns, currency, title
+ * @param {Function} produce - async (write) => ..., calls write(rows) for each batch
+ */
+const writeReport = async (stream, { format, columns, currency, title }, produce) => {
+  const options = { columns, money: currencyInfo(currency), title };
+  let writer = null;
+  const open = () => writer || (writer = WRITERS[format](stream, options));
+
+  await produce(rows => open().writeRows(rows));
+  await open().end();
+};
+
+/**
+ * Send a report as a file download. Errors before the first rows are
+ * rethrown so the caller can answer with JSON; later errors abort the response.
+ * @param {object} res - Express response
+ * @param {object} report - format, columns, currency, title, filename
+ * @param {Function} produce - See writeReport
+ */
+const sendReport = async (res, report, produce) => {
+  res.setHeader('Content-Type', FORMATS[report.format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${report.filename}"`);
+
+  try {
+    await writeReport(res, report, produce);
+  } catch (error) {
+    if (!res.headersSent) {
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      throw error;
+    }
+    console.error(`Error streaming ${report.filename}:`, error);
+    res.destroy(error);
+  }
+};
+
+/**
+ * Render a report into memory (e.g. to upload it to Cliq)
+ * @param {object} report - format, columns, currency, title
+ * @param {Function} produce - See writeReport
+ * @returns {Promise<Buffer>} File contents
+ */
+const renderReport = async (report, produce) => {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+
+  await writeReport(stream, report, produce);
+  await finished(stream);
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  FORMATS,
+  EXPORT_MAX_ROWS,
+  REPORT_COLUMNS,
+  insightsColumns,
+  trendColumns,
+  leadColumns,
+  resolveFormat,
+  buildFilename,
+  writeReport,
+  sendReport,
+  renderReport
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const cronParser = require('cron-parser');
+const Schedule = require('../models/Schedule');
+const { ValidationError } = require('./errors');
+
+const POLL_INTERVAL_MS = (parseFloat(process.env.SCHEDULER_POLL_SECONDS) || 60) * 1000;
+// How long a claimed job stays locked; a runner that crashed mid-job
+// releases it when the lock expires
+const LOCK_MS = (parseFloat(process.env.SCHEDULER_LOCK_MINUTES) || 10) * 60 * 1000;
+
+// Identifies this process in Schedule.lockedBy
+const INSTANCE_ID = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+const handlers = new Map();
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Register the function that runs schedules of a type
+ * @param {string} type - Schedule type
+ * @param {Function} handler - async (schedule) => void
+ */
+const registerJob = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Compute the next run time of a cron expression
+ * @param {string} cron - Cron expression
+ * @param {string} timezone - IANA timezone, e.g. Asia/Kolkata
+ * @param {Date} from - Compute the next run after this time
+ * @returns {Date} Next run time
+ */
+const nextRun = (cron, timezone = 'UTC', from = new Date()) => {
+  return cronParser.parseExpression(cron, { currentDate: from, tz: timezone }).next().toDate();
+};
+
+/**
+ * Check a cron expression and timezone
+ * @param {string} cron - Cron expression
+ * @param {string} timezone - IANA timezone
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateCron = (cron, timezone = 'UTC') => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    return `Unknown timezone "${timezone}"`;
+  }
+
+  try {
+    nextRun(cron, timezone);
+    return null;
+  } catch (error) {
+    return `Invalid cron expression "${cron}": ${error.message}`;
+  }
+};
+
+/**
+ * Create a schedule; its first run is the next cron occurrence unless
+ * nextRunAt is given (e.g. now, to run it on the next poll)
+ * @param {object} data - { type, userId, cron, timezone, params, nextRunAt }
+ * @returns {Promise<object>} Schedule document
+ */
+const createSchedule = async (data) => {
+  const error = validateCron(data.cron, data.timezone);
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  return Schedule.create({
+    ...data,
+    nextRunAt: data.nextRunAt || nextRun(data.cron, data.timezone)
+  });
+};
+
+/**
+ * Claim the next due schedule. The atomic update makes sure only one
+ * runner (or process) executes a given run.
+ * @returns {Promise<object|null>} Claimed Schedule document
+ */
+const claimDue = async () => {
+  const now = new Date();
+  return Schedule.findOneAndUpdate(
+    {
+      enabled: true,
+      type: { $in: Array.from(handlers.keys()) },
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { lockedUntil: new Date(now.getTime() + LOCK_MS), lockedBy: INSTANCE_ID },
+    { sort: { nextRunAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Run a claimed schedule and book its next run. Runs missed while the
+ * server was down are run once, not once per missed occurrence.
+ * @param {object} schedule - Claimed Schedule document
+ */
+const runSchedule = async (schedule) => {
+  let status = 'success';
+  let lastError = null;
+
+  try {
+    await handlers.get(schedule.type)(schedule);
+  } catch (error) {
+    console.error(`Scheduled ${schedule.type} job ${schedule._id} failed:`, error.message);
+    status = 'failure';
+    lastError = error.message;
+  }
+
+  const now = new Date();
+  await Schedule.updateOne(
+    { _id: schedule._id, lockedBy: INSTANCE_ID },
+    {
+      lastRunAt: now,
+      lastStatus: status,
+      lastError: lastError,
+      nextRunAt: nextRun(schedule.cron, schedule.timezone, now),
+      lockedUntil: null,
+      lockedBy: null
+    }
+  );
+};
+
+/**
+ * Run every schedule that is due
+ * @returns {Promise<number>} Number of schedules run
+ */
+const runDueSchedules = async () => {
+  let count = 0;
+  let schedule;
+
+  while ((schedule = await claimDue())) {
+    await runSchedule(schedule);
+    count++;
+  }
+
+  return count;
+};
+
+/**
+ * Start polling for due schedules
+ */
+const startScheduler = () => {
+  if (pollTimer) {
+    return;
+  }
+
+  const poll = () => {
+    // Skip a tick while the previous one is still running jobs
+    if (polling) {
+      return;
+    }
+    polling = true;
+    runDueSchedules()
+      .catch(error => console.error('Scheduler poll failed:', error.message))
+      .finally(() => {
+        polling = false;
+      });
+  };
+
+  pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  poll();
+};
+
+/**
+ * Stop polling for due schedules
+ */
+const stopScheduler = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+module.exports = {
+  registerJob,
+  nextRun,
+  validateCron,
+  createSchedule,
+  runDueSchedules,
+  startScheduler,
+  stopScheduler
+};
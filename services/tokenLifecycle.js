@@ -0,0 +1,231 @@
+const UserToken = require('../models/UserToken');
+const metaAuth = require('./metaAuth');
+const cliq = require('./cliq');
+const { AUTH_ERROR_CODES, AUTH_ERROR_SUBCODES } = require('./errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+const REFRESH_WINDOW_MS = (parseFloat(process.env.TOKEN_REFRESH_WINDOW_DAYS) || 7) * DAY;
+const SWEEP_INTERVAL_MS = (parseFloat(process.env.TOKEN_SWEEP_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Fields a refresh changes, copied to other documents of the same token
+const REFRESHED_FIELDS = ['accessToken', 'expiresAt', 'lastRefreshedAt', 'status', 'invalidReason', 'invalidatedAt'];
+
+let sweepTimer = null;
+
+// In-flight refreshes by UserToken ID. Meta may revoke the old token once
+// it is exchanged, so concurrent requests must not exchange it twice.
+const refreshing = new Map();
+
+/**
+ * Check whether a Meta API error means the access token is expired or revoked
+ * @param {Error} error - Error thrown by makeGraphApiRequest
+ * @returns {boolean} True for session expired / invalid token errors
+ */
+const isAuthError = (error) => Boolean(error) && (
+  AUTH_ERROR_CODES.includes(error.code) ||
+  AUTH_ERROR_SUBCODES.includes(error.subcode)
+);
+
+/**
+ * Mark a token invalid and tell the user through Cliq.
+ * The user is only notified on the transition from active to invalid.
+ * @param {object} userToken - UserToken document
+ * @param {string} reason - Why the token is no longer usable
+ * @returns {Promise<object>} Updated UserToken document
+ */
+const markInvalid = async (userToken, reason) => {
+  if (userToken.status === 'invalid') {
+    return userToken;
+  }
+
+  userToken.status = 'invalid';
+  userToken.invalidReason = reason;
+  userToken.invalidatedAt = new Date();
+  await userToken.save();
+
+  try {
+    const message = cliq.buildCard({
+      title: 'Meta Ads disconnected',
+      text: `Your Meta Ads connection stopped working (${reason}). Please reconnect to keep using Meta Ads in Cliq.`,
+      // OAuth state expires quickly, so the button asks for a fresh link
+      buttons: [cliq.buildCommandButton('Reconnect Meta', 'connect')]
+    });
+    await cliq.postToUser(userToken.userId, message);
+  } catch (error) {
+    console.error(`Failed to notify user ${userToken.userId} about invalid token:`, error.message);
+  }
+
+  return userToken;
+};
+
+/**
+ * Re-exchange a token for a fresh long-lived token
+ * @param {object} userToken - UserToken document
+ * @returns {Promise<object>} Updated UserToken document
+ */
+const refreshToken = async (userToken) => {
+  try {
+    const refreshed = await metaAuth.exchangeForLongLivedToken(userToken.accessToken);
+    userToken.accessToken = refreshed.accessToken;
+    userToken.expiresAt = refreshed.expiresAt;
+    userToken.lastRefreshedAt = new Date();
+    await userToken.save();
+  } catch (error) {
+    if (isAuthError(error)) {
+      return markInvalid(userToken, error.message.replace(/^Meta API Error: /, ''));
+    }
+    // Transient failure, keep using the current token until it actually expires
+    console.warn(`Failed to refresh token for user ${userToken.userId}:`, error.message);
+  }
+
+  return userToken;
+};
+
+/**
+ * Refresh a token, joining a refresh of the same token already in flight
+ * (concurrent requests load their own UserToken document)
+ * @param {object} userToken - UserToken document
+ * @returns {Promise<object>} The same document, with the refreshed values
+ */
+const sharedRefresh = async (userToken) => {
+  const key = String(userToken._id);
+  let refresh = refreshing.get(key);
+  if (!refresh) {
+    refresh = refreshToken(userToken).finally(() => refreshing.delete(key));
+    refreshing.set(key, refresh);
+  }
+
+  const refreshed = await refresh;
+  if (refreshed !== userToken) {
+    REFRESHED_FIELDS.forEach(field => {
+      userToken[field] = refreshed[field];
+    });
+  }
+  return userToken;
+};
+
+/**
+ * Record which permissions the user granted or declined. Failures are
+ * logged and leave the stored permissions as they were.
+ * @param {object} userToken - UserToken document
+ * @returns {Promise<object>} Updated UserToken document
+ */
+const syncPermissions = async (userToken) => {
+  try {
+    const { granted, declined } = await metaAuth.getPermissions(userToken.accessToken);
+    userToken.grantedPermissions = granted;
+    userToken.declinedPermissions = declined;
+    userToken.permissionsCheckedAt = new Date();
+    await userToken.save();
+  } catch (error) {
+    console.warn(`Failed to read Meta permissions for user ${userToken.userId}:`, error.message);
+  }
+
+  return userToken;
+};
+
+/**
+ * Make sure a token is usable before a Meta request: invalidate it when it
+ * has expired, refresh it when it is about to, and record the usage.
+ * @param {object} userToken - UserToken document
+ * @returns {Promise<object>} UserToken document (check isUsable())
+ */
+const ensureFreshToken = async (userToken) => {
+  if (userToken.status === 'invalid') {
+    return userToken;
+  }
+
+  if (userToken.isExpired()) {
+    return markInvalid(userToken, 'access token expired');
+  }
+
+  if (userToken.needsRefresh(REFRESH_WINDOW_MS)) {
+    await sharedRefresh(userToken);
+  }
+
+  await UserToken.updateOne({ _id: userToken._id }, { lastUsedAt: new Date() });
+  return userToken;
+};
+
+/**
+ * Invalidate the token when a Meta API call failed because of it
+ * @param {object} userToken - UserToken document used for the call
+ * @param {Error} error - Error thrown by makeGraphApiRequest
+ * @returns {Promise<boolean>} True when the error was a token error
+ */
+const handleGraphError = async (userToken, error) => {
+  if (!userToken || !isAuthError(error)) {
+    return false;
+  }
+
+  await markInvalid(userToken, error.message.replace(/^Meta API Error: /, ''));
+  return true;
+};
+
+/**
+ * Refresh or invalidate every active token that is close to expiry,
+ * including tokens of users who have not made a request recently
+ * @returns {Promise<{ refreshed: number, invalidated: number }>} Sweep result
+ */
+const sweepTokens = async () => {
+  const tokens = await UserToken.find({
+    status: { $ne: 'invalid' },
+    expiresAt: { $ne: null, $lte: new Date(Date.now() + REFRESH_WINDOW_MS) }
+  });
+
+  const result = { refreshed: 0, invalidated: 0 };
+
+  for (const userToken of tokens) {
+    if (userToken.isExpired()) {
+      await markInvalid(userToken, 'access token expired');
+      result.invalidated++;
+      continue;
+    }
+
+    await sharedRefresh(userToken);
+    if (userToken.status === 'invalid') {
+      result.invalidated++;
+    } else {
+      result.refreshed++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Start the periodic background token sweep
+ */
+const startSweep = () => {
+  if (sweepTimer) {
+    return;
+  }
+
+  const run = () => {
+    sweepTokens().catch(error => console.error('Token sweep failed:', error.message));
+  };
+
+  sweepTimer = setInterval(run, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  run();
+};
+
+/**
+ * Stop the background token sweep
+ */
+const stopSweep = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  isAuthError,
+  markInvalid,
+  refreshToken,
+  syncPermissions,
+  ensureFreshToken,
+  handleGraphError,
+  sweepTokens,
+  startSweep,
+  stopSweep
+};
@@ -0,0 +1,705 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const UserToken = require('../models/UserToken');
+const adAccounts = require('./adAccounts');
+const auditLog = require('./auditLog');
+const { AppError, AuthenticationError, ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('./errors');
+
+// X-Workspace-Id value that selects the caller's own Meta connection
+const PERSONAL_WORKSPACE = 'personal';
+
+// API scopes each role can use; every role includes the ones before it
+const VIEWER_SCOPES = ['accounts:read', 'accounts:write', 'campaigns:read', 'spend:read', 'reports:read', 'workspaces:read'];
+const ANALYST_SCOPES = [...VIEWER_SCOPES, 'leads:read', 'audit:read', 'digests:manage', 'alerts:manage', 'reports:manage'];
+const MANAGER_SCOPES = [...ANALYST_SCOPES, 'ads:write', 'ads:approve', 'leads:notify'];
+
+const ROLE_SCOPES = {
+  viewer: VIEWER_SCOPES,
+  analyst: ANALYST_SCOPES,
+  manager: MANAGER_SCOPES,
+  admin: [...MANAGER_SCOPES, 'workspaces:manage']
+};
+
+/**
+ * Check whether a role grants every required scope
+ * @param {string} role - Member role
+ * @param {Array<string>} scopes - Required scopes
+ * @returns {boolean} True if allowed
+ */
+const roleAllows = (role, scopes = []) => scopes.every(scope => (ROLE_SCOPES[role] || []).includes(scope));
+
+/**
+ * Throw unless the member's role allows the scopes. Personal connections
+ * are only limited by the API key's scopes.
+ * @param {object} access - Result of resolveAccess() or findMembership()
+ * @param {Array<string>} scopes - Required scopes
+ */
+const assertAllowed = (access, scopes = []) => {
+  if (!access.workspace || roleAllows(access.member.role, scopes)) {
+    return;
+  }
+
+  throw new AppError(`Your ${access.member.role} role in workspace "${access.workspace.name}" does not allow this`, {
+    statusCode: 403,
+    errorCode: 'INSUFFICIENT_ROLE',
+    details: {
+      workspaceId: String(access.workspace._id),
+      role: access.member.role,
+      missingScopes: scopes.filter(scope => !ROLE_SCOPES[access.member.role].includes(scope))
+    }
+  });
+};
+
+/**
+ * Ad accounts a member may use: the member's accounts that are still
+ * linked, or every linked account if the member is not restricted
+ * @param {object} workspace - Workspace document
+ * @param {object} member - Membership
+ * @returns {Array<string>} Ad account IDs
+ */
+const allowedAccountIds = (workspace, member) => member.adAccountIds.length > 0
+  ? member.adAccountIds.filter(id => workspace.adAccountIds.includes(id))
+  : [...workspace.adAccountIds];
+
+/**
+ * Add a Cliq user of a mapped organization or channel with the workspace's default role
+ */
+const joinWorkspace = async (workspace, userId) => {
+  const member = { userId: userId, role: workspace.defaultRole, adAccountIds: [], addedBy: 'cliq', addedAt: new Date() };
+
+  await Workspace.updateOne({ _id: workspace._id, 'members.userId': { $ne: userId } }, { $push: { members: member } });
+  workspace.members.push(member);
+
+  await auditLog.record({
+    actor: auditLog.cliqActor(userId),
+    action: 'workspace.member_join',
+    target: { type: 'workspace', id: String(workspace._id), name: workspace.name },
+    after: { userId: userId, role: member.role },
+    outcome: 'success'
+  });
+
+  return workspace.getMember(userId);
+};
+
+/**
+ * Find the workspace a request runs in: the requested one, else the one
+ * mapped to the Cliq channel or organization (joining it if it has a
+ * default role), else the user's oldest workspace. "personal" opts out
+ * and uses the user's own connection.
+ * @param {string} userId - User ID
+ * @param {object} options - workspaceId, cliqOrgId, cliqChannel
+ * @returns {Promise<{ workspace: object, member: object }|null>} Membership, or null for a personal connection
+ */
+const findMembership = async (userId, { workspaceId = null, cliqOrgId = null, cliqChannel = null } = {}) => {
+  if (workspaceId === PERSONAL_WORKSPACE) {
+    return null;
+  }
+
+  if (workspaceId) {
+    const workspace = mongoose.isValidObjectId(workspaceId)
+      ? await Workspace.findOne({ _id: workspaceId, 'members.userId': userId })
+      : null;
+
+    if (!workspace) {
+      throw new NotFoundError(`Workspace ${workspaceId} not found`);
+    }
+    return { workspace, member: workspace.getMember(userId) };
+  }
+
+  // Channel names are only unique within a Cliq organization
+  const mapped = (mapping) => Workspace.findOne({ ...mapping, $or: [{ 'members.userId': userId }, { defaultRole: { $ne: null } }] })
+    .sort({ createdAt: 1 });
+
+  const workspace = (cliqOrgId && cliqChannel && await mapped({ cliqOrgId, cliqChannel }))
+    || (cliqOrgId && await mapped({ cliqOrgId, cliqChannel: null }))
+    || await Workspace.findOne({ 'members.userId': userId }).sort({ createdAt: 1 });
+
+  if (!workspace) {
+    return null;
+  }
+  return { workspace, member: workspace.getMember(userId) || await joinWorkspace(workspace, userId) };
+};
+
+/**
+ * Resolve the Meta connection a user's request runs with. Workspace
+ * members use the workspace's connection, limited to their ad accounts;
+ * everyone else uses their own UserToken.
+ * @param {string} userId - User ID
+ * @param {object} options - workspaceId (or "personal"), cliqOrgId, cliqChannel
+ * @returns {Promise<object|null>} { userId, userToken, workspace, member, adAccountIds }
+ *   (adAccountIds is null for personal connections), or null if the user has no connection
+ */
+const resolveAccess = async (userId, options = {}) => {
+  const membership = await findMembership(userId, options);
+
+  if (!membership) {
+    const userToken = await UserToken.findOne({ userId });
+    return userToken
+      ? { userId, userToken, workspace: null, member: null, adAccountIds: null }
+      : null;
+  }
+
+  const { workspace, member } = membership;
+  const userToken = await UserToken.findOne({ userId: workspace.connectionUserId });
+
+  if (!userToken) {
+    throw new AuthenticationError(`Workspace "${workspace.name}" has no Meta connection. A workspace admin has to connect Meta again.`, {
+      workspaceId: String(workspace._id)
+    });
+  }
+
+  return { userId, userToken, workspace, member, adAccountIds: allowedAccountIds(workspace, member) };
+};
+
+/**
+ * Default ad account of a request: the member's own default, else the
+ * workspace default, else the first allowed account
+ * @param {object} access - Result of resolveAccess()
+ * @returns {string|null} Ad account ID
+ */
+const defaultAccountId = (access) => {
+  if (!access.workspace) {
+    return access.userToken.adAccountId;
+  }
+
+  return [access.member.defaultAdAccountId, access.workspace.defaultAdAccountId, access.adAccountIds[0]]
+    .find(id => id && access.adAccountIds.includes(id)) || null;
+};
+
+/**
+ * Resolve the requested (or default) ad account within the access
+ * @param {object} access - Result of resolveAccess()
+ * @param {string} requestedId - Optional ad account ID from the caller
+ * @returns {Promise<object|null>} AdAccount document, or null if not accessible
+ */
+const resolveAccount = async (access, requestedId = null) => {
+  const accountId = requestedId || (access.workspace ? defaultAccountId(access) : null);
+  return adAccounts.resolveAccount(access.userToken, accountId, { adAccountIds: access.adAccountIds });
+};
+
+/**
+ * List the ad accounts the access can use
+ * @param {object} access - Result of resolveAccess()
+ * @param {object} options - refresh (re-sync the connection's accounts from Meta)
+ * @returns {Promise<Array>} AdAccount documents sorted by name
+ */
+const listAccounts = async (access, { refresh = false } = {}) => {
+  const accounts = refresh
+    ? await adAccounts.syncAccounts(access.userToken)
+    : await adAccounts.listAccounts(access.userToken.userId);
+
+  return access.adAccountIds
+    ? accounts.filter(account => access.adAccountIds.includes(account.accountId))
+    : accounts;
+};
+
+/**
+ * Change the default ad account. Workspace members change their own
+ * default only, never the connection's.
+ * @param {object} access - Result of resolveAccess()
+ * @param {string} adAccountId - Ad account ID to use by default
+ * @param {object} actor - Audit actor
+ * @returns {Promise<object|null>} AdAccount document, or null if not accessible
+ */
+const setDefaultAccount = async (access, adAccountId, actor = null) => {
+  if (!access.workspace) {
+    return adAccounts.setDefaultAccount(access.userToken, adAccountId, actor);
+  }
+
+  const account = await resolveAccount(access, adAccountId);
+  if (!account) {
+    return null;
+  }
+
+  const previous = defaultAccountId(access);
+  await Workspace.updateOne(
+    { _id: access.workspace._id, 'members.userId': access.userId },
+    { $set: { 'members.$.defaultAdAccountId': account.accountId } }
+  );
+  access.member.defaultAdAccountId = account.accountId;
+
+  await auditLog.record({
+    actor: actor,
+    action: 'account.default',
+    adAccountId: account.accountId,
+    target: { type: 'user', id: access.userId },
+    before: { adAccountId: previous },
+    after: { adAccountId: account.accountId },
+    outcome: 'success',
+    metadata: { workspaceId: String(access.workspace._id) }
+  });
+
+  return account;
+};
+
+/**
+ * Load a workspace the user is a member of
+ * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {object} options - admin (require the admin role)
+ * @returns {Promise<object>} Workspace document
+ */
+const getWorkspace = async (userId, workspaceId, { admin = false } = {}) => {
+  const workspace = mongoose.isValidObjectId(workspaceId)
+    ? await Workspace.findOne({ _id: workspaceId, 'members.userId': userId })
+    : null;
+
+  if (!workspace) {
+    throw new NotFoundError(`Workspace ${workspaceId} not found`);
+  }
+  if (admin && workspace.getMember(userId).role !== 'admin') {
+    throw new ForbiddenError('Only workspace admins can change the workspace');
+  }
+
+  return workspace;
+};
+
+/**
+ * List the workspaces a user is a member of
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Workspace documents, oldest first
+ */
+const listWorkspaces = async (userId) => {
+  return Workspace.find({ 'members.userId': userId }).sort({ createdAt: 1 });
+};
+
+/**
+ * Load a user's usable Meta connection
+ */
+const getConnection = async (userId) => {
+  const userToken = await UserToken.findOne({ userId });
+
+  if (!userToken || !userToken.isUsable()) {
+    throw new ValidationError('Connect Meta first (GET /auth/start); the workspace uses your Meta connection');
+  }
+
+  return userToken;
+};
+
+/**
+ * Check ad account IDs against the accounts of a connection, re-syncing
+ * once if some are unknown
+ * @param {object} userToken - Connection UserToken document
+ * @param {Array<string>} requestedIds - Ad account IDs, or undefined for every account
+ * @returns {Promise<Array<string>>} Normalized ad account IDs
+ */
+const connectionAccountIds = async (userToken, requestedIds) => {
+  if (requestedIds !== undefined && !Array.isArray(requestedIds)) {
+    throw new ValidationError('adAccountIds must be an array of ad account IDs');
+  }
+
+  const available = async (refresh) => (refresh || !userToken.accountsSyncedAt
+    ? await adAccounts.syncAccounts(userToken)
+    : await adAccounts.listAccounts(userToken.userId)).map(account => account.accountId);
+
+  let accountIds = await available(false);
+  if (!requestedIds) {
+    return accountIds;
+  }
+
+  const ids = [...new Set(requestedIds.map(adAccounts.normalizeAccountId))];
+  if (ids.some(id => !accountIds.includes(id))) {
+    accountIds = await available(true);
+  }
+
+  const unknown = ids.filter(id => !accountIds.includes(id));
+  if (unknown.length > 0) {
+    throw new ValidationError(`The workspace's Meta connection has no access to ${unknown.join(', ')}`, { adAccountIds: unknown });
+  }
+
+  return ids;
+};
+
+/**
+ * Validate workspace settings from a request body (only the fields present).
+ * The Cliq mapping can only be cleared here; admins map a workspace from
+ * Cliq itself (see mapCliq), so the organization and channel are signed.
+ */
+const readSettings = (body) => {
+  const settings = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      throw new ValidationError('name must be a non-empty string');
+    }
+    settings.name = body.name.trim();
+  }
+  for (const field of ['cliqOrgId', 'cliqChannel']) {
+    if (body[field] !== undefined) {
+      if (body[field] !== null) {
+        throw new ValidationError(`${field} can only be cleared (null); map the workspace from Cliq with "workspace map"`);
+      }
+      settings[field] = null;
+    }
+  }
+  // A channel mapping without its organization would never match
+  if (settings.cliqOrgId === null) {
+    settings.cliqChannel = null;
+  }
+  if (body.defaultRole !== undefined) {
+    if (body.defaultRole !== null && !['viewer', 'analyst', 'manager'].includes(body.defaultRole)) {
+      throw new ValidationError('defaultRole must be viewer, analyst, manager or null');
+    }
+    settings.defaultRole = body.defaultRole;
+  }
+
+  return settings;
+};
+
+/**
+ * A Cliq channel (or a whole organization) maps to one workspace only
+ */
+const assertChannelFree = async (cliqOrgId, cliqChannel, workspaceId = null) => {
+  if (await Workspace.exists({ cliqOrgId, cliqChannel, _id: { $ne: workspaceId } })) {
+    throw new ConflictError(cliqChannel
+      ? `Cliq channel ${cliqChannel} is already mapped to another workspace`
+      : `Cliq organization ${cliqOrgId} is already mapped to another workspace`);
+  }
+};
+
+const workspaceTarget = (workspace) => ({ type: 'workspace', id: String(workspace._id), name: workspace.name });
+
+/**
+ * Create a workspace that shares the creator's Meta connection. The
+ * creator becomes its admin.
+ * @param {string} userId - Creating user
+ * @param {object} body - name, defaultRole, adAccountIds
+ *   (default: every account of the connection)
+ * @param {object} actor - Audit actor
+ * @returns {Promise<object>} Workspace document
+ */
+const createWorkspace = async (userId, body, actor = null) => {
+  const settings = readSettings(body);
+  if (!settings.name) {
+    throw new ValidationError('name is required');
+  }
+
+  const userToken = await getConnection(userId);
+  const accountIds = await connectionAccountIds(userToken, body.adAccountIds);
+
+  const workspace = await Workspace.create({
+    ...settings,
+    connectionUserId: userId,
+    adAccountIds: accountIds,
+    defaultAdAccountId: accountIds.includes(userToken.adAccountId) ? userToken.adAccountId : accountIds[0] || null,
+    members: [{ userId: userId, role: 'admin', addedBy: userId }]
+  });
+
+  await auditLog.record({
+    actor: actor,
+    action: 'workspace.create',
+    target: workspaceTarget(workspace),
+    after: { ...settings, adAccountIds: accountIds },
+    outcome: 'success'
+  });
+
+  return workspace;
+};
+
+/**
+ * Change a workspace's name, default role or default ad account, or clear its Cliq mapping
+ * @param {string} userId - Admin user
+ * @param {string} workspaceId - Workspace ID
+ * @param {object} body - name, cliqOrgId/cliqChannel (null only), defaultRole, defaultAdAccountId
+ * @param {object} actor - Audit actor
+ * @returns {Promise<object>} Workspace document
+ */
+const updateWorkspace = async (userId, workspaceId, body, actor = null) => {
+  const workspace = await getWorkspace(userId, workspaceId, { admin: true });
+  const settings = readSettings(body);
+
+  if (body.defaultAdAccountId !== undefined) {
+    const accountId = body.defaultAdAccountId ? adAccounts.normalizeAccountId(body.defaultAdAccountId) : null;
+    if (accountId && !workspace.adAccountIds.includes(accountId)) {
+      throw new ValidationError(`Ad account ${accountId} is not linked to the workspace`);
+    }
+    settings.defaultAdAccountId = accountId;
+  }
+
+  const before = Object.fromEntries(Object.keys(settings).map(field => [field, workspace[field]]));
+  workspace.set(settings);
+  await workspace.save();
+
+  await auditLog.record({
+    actor: actor,
+    action: 'workspace.update',
+    target: workspaceTarget(workspace),
+    before: before,
+    after: settings,
+    outcome: 'success'
+  });
+
+  return workspace;
+};
+
+/**
+ * Map a workspace to the Cliq channel (or, with no channel, the whole
+ * organization) the admin runs the command in. Only called with the
+ * organization and channel of a signed Cliq request.
+ * @param {string} userId - Admin user
+ * @param {string} workspaceId - Workspace ID
+ * @param {object} context - cliqOrgId, cliqChannel (null for the organization)
+ * @param {object} actor - Audit actor
+ * @returns {Promise<object>} Workspace document
+ */
+const mapCliq = async (userId, workspaceId, { cliqOrgId = null, cliqChannel = null } = {}, actor = null) => {
+  const workspace = await getWorkspace(userId, workspaceId, { admin: true });
+  if (!cliqOrgId) {
+    throw new ValidationError('Cliq did not send your organization; the workspace cannot be mapped');
+  }
+  await assertChannelFree(cliqOrgId, cliqChannel, workspace._id);
+
+  const before = { cliqOrgId: workspace.cliqOrgId, cliqChannel: workspace.cliqChannel };
+  workspace.set({ cliqOrgId, cliqChannel });
+  await workspace.save();
+
+  await auditLog.record({
+    actor: actor,
+    action: 'workspace.update',
+    target: workspaceTarget(workspace),
+    before: before,
+    after: { cliqOrgId, cliqChannel },
+    outcome: 'success'
+  });
+
+  return workspace;
+};
+
+/**
+ * Replace the ad accounts linked to a workspace. Members restricted to
+ * accounts that are no longer linked lose access to them.
+ * @param {string} userId - Admin user
+ * @param {string} workspaceId - Workspace ID
+ * @param {Array<string>} adAccountIds - Ad accounts of the connection to share
+ * @param {object} actor - Audit actor
+ * @returns {Promise<object>} Workspace document
+ */
+const linkAccounts = async (userId, workspaceId, adAccountIds, actor = null) => {
+  const workspace = await getWorkspace(userId, workspaceId, { admin: true });
+  if (!Array.isArray(adAccountIds)) {
+    throw new ValidationError('adAccountIds must be an array of ad account IDs');
+  }
+
+  const userToken = await UserToken.findOne({ userId: workspace.connectionUserId });
+  if (!userToken) {
+    throw new ValidationError('The workspace has no Meta connection; connect Meta and move the connection to yourself first');
+  }
+
+  const before = [...workspace.adAccountIds];
+  workspace.adAccountIds = await connectionAccountIds(userToken, adAccountIds);
+  if (!workspace.adAccountIds.includes(workspace.defaultAdAccountId)) {
+    workspace.defaultAdAccountId = workspace.adAccountIds[0] || null;
+  }
+  await workspace.save();
+
+  await auditLog.record({
+    actor: actor,
+    action: 'workspace.accounts',
+    target: workspaceTarget(workspace),
+    before: { adAccountIds: before },
+    after: { adAccountIds: workspace.adAccountIds },
+    outcome: 'success'
+  });
+
+  return workspace;
+};
+
+/**
+ * Make the admin's own Meta connection the workspace's connection.
+ * Linked accounts the new connection can't access are unlinked.
+ * @param {string} userId - Admin user
+ * @param {string} workspaceId - Workspace ID
+ * @param {object} actor - Audit actor
+ * @returns {Promise<object>} Workspace document
+ */
+const setConnection = async (userId, workspaceId, actor = null) => {
+  const workspace = await getWorkspace(userId, workspaceId, { admin: true });
+  const userToken = await getConnection(userId);
+  const available = await connectionAccountIds(userToken, undefined);
+
+  const before = { connectionUserId: workspace.connectionUserId, adAccountIds: [...workspace.adAccountIds] };
+  workspace.connectionUserId = userId;
+  workspace.adAccountIds = workspace.adAccountIds.filter(id => available.includes(id));
+  if (!workspace.adAccountIds.includes(workspace.defaultAdAccountId)) {
+    workspace.defaultAdAccountId = workspace.adAccountIds[0] || null;
+  }
+  await workspace.save();
+
+  await auditLog.record({
+    actor: actor,
+    action: 'workspace.connection',
+    target: workspaceTarget(workspace),
+    before: before,
+    after: { connectionUserId: userId, adAccountIds: workspace.adAccountIds },
+    outcome: 'success'
+  });
+
+  return workspace;
+};
+
+const adminCount = (workspace) => workspace.members.filter(member => member.role === 'admin').length;
+
+/**
+ * Add a member or change a member's role and ad accounts
+ * @param {string} userId - Admin user
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} memberUserId - User to add or change
+ * @param {object} body - role, adAccountIds (empty or omitted: every linked account)
+ * @param {object} actor - Audit actor
+ * @returns {Promise<object>} Workspace document
+ */
+const setMember = async (userId, workspaceId, memberUserId, { role, adAccountIds = [] }, actor = null) => {
+  const workspace = await getWorkspace(userId, workspaceId, { admin: true });
+
+  if (!Workspace.ROLES.includes(role)) {
+    throw new ValidationError(`role must be one of: ${Workspace.ROLES.join(', ')}`);
+  }
+  if (!Array.isArray(adAccountIds)) {
+    throw new ValidationError('adAccountIds must be an array of ad account IDs');
+  }
+
+  const accountIds = [...new Set(adAccountIds.map(adAccounts.normalizeAccountId))];
+  const unlinked = accountIds.filter(id => !workspace.adAccountIds.includes(id));
+  if (unlinked.length > 0) {
+    throw new ValidationError(`Ad accounts not linked to the workspace: ${unlinked.join(', ')}`, { adAccountIds: unlinked });
+  }
+
+  const member = workspace.getMember(memberUserId);
+  const before = member ? { role: member.role, adAccountIds: [...member.adAccountIds] } : null;
+
+  if (member && member.role === 'admin' && role !== 'admin' && adminCount(workspace) === 1) {
+    throw new ConflictError('A workspace needs at least one admin');
+  }
+
+  if (member) {
+    member.role = role;
+    member.adAccountIds = accountIds;
+  } else {
+    workspace.members.push({ userId: String(memberUserId), role: role, adAccountIds: accountIds, addedBy: userId });
+  }
+  await workspace.save();
+
+  await auditLog.record({
+    actor: actor,
+    action: 'workspace.member',
+    target: workspaceTarget(workspace),
+    before: before && { userId: String(memberUserId), ...before },
+    after: { userId: String(memberUserId), role: role, adAccountIds: accountIds },
+    outcome: 'success'
+  });
+
+  return workspace;
+};
+
+/**
+ * Remove a member. Admins can remove anyone; members can leave.
+ * @param {string} userId - Acting user
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} memberUserId - User to remove
+ * @param {object} actor - Audit actor
+ * @returns {Promise<object>} Workspace document
+ */
+const removeMember = async (userId, workspaceId, memberUserId, actor = null) => {
+  const workspace = await getWorkspace(userId, workspaceId, { admin: String(memberUserId) !== userId });
+  const member = workspace.getMember(memberUserId);
+
+  if (!member) {
+    throw new NotFoundError(`User ${memberUserId} is not a member of the workspace`);
+  }
+  if (member.role === 'admin' && adminCount(workspace) === 1) {
+    throw new ConflictError('A workspace needs at least one admin');
+  }
+  if (member.userId === workspace.connectionUserId) {
+    throw new ConflictError('Move the Meta connection to another admin before removing its owner');
+  }
+
+  workspace.members = workspace.members.filter(existing => existing.userId !== member.userId);
+  await workspace.save();
+
+  await auditLog.record({
+    actor: actor,
+    action: 'workspace.member_remove',
+    target: workspaceTarget(workspace),
+    before: { userId: member.userId, role: member.role, adAccountIds: [...member.adAccountIds] },
+    outcome: 'success'
+  });
+
+  return workspace;
+};
+
+/**
+ * Delete a workspace. Digests, alerts and syncs stay with the connection's user.
+ * @param {string} userId - Admin user
+ * @param {string} workspaceId - Workspace ID
+ * @param {object} actor - Audit actor
+ * @returns {Promise<object>} Deleted Workspace document
+ */
+const deleteWorkspace = async (userId, workspaceId, actor = null) => {
+  const workspace = await getWorkspace(userId, workspaceId, { admin: true });
+  await Workspace.deleteOne({ _id: workspace._id });
+
+  await auditLog.record({
+    actor: actor,
+    action: 'workspace.delete',
+    target: workspaceTarget(workspace),
+    before: { connectionUserId: workspace.connectionUserId, adAccountIds: workspace.adAccountIds, members: workspace.members.length },
+    outcome: 'success'
+  });
+
+  return workspace;
+};
+
+/**
+ * Format a Workspace document for API responses
+ * @param {object} workspace - Workspace document
+ * @param {string} userId - User the response is for
+ * @returns {object} Workspace summary with the user's role
+ */
+const toResponse = (workspace, userId) => {
+  const member = workspace.getMember(userId);
+
+  return {
+    id: String(workspace._id),
+    name: workspace.name,
+    cliqOrgId: workspace.cliqOrgId,
+    cliqChannel: workspace.cliqChannel,
+    defaultRole: workspace.defaultRole,
+    connectionUserId: workspace.connectionUserId,
+    adAccountIds: workspace.adAccountIds,
+    defaultAdAccountId: workspace.defaultAdAccountId,
+    role: member ? member.role : null,
+    members: workspace.members.map(({ userId: memberId, role, adAccountIds, addedBy, addedAt }) => ({
+      userId: memberId,
+      role,
+      adAccountIds,
+      addedBy,
+      addedAt
+    })),
+    createdAt: workspace.createdAt
+  };
+};
+
+module.exports = {
+  PERSONAL_WORKSPACE,
+  ROLE_SCOPES,
+  roleAllows,
+  assertAllowed,
+  allowedAccountIds,
+  findMembership,
+  resolveAccess,
+  defaultAccountId,
+  resolveAccount,
+  listAccounts,
+  setDefaultAccount,
+  getWorkspace,
+  listWorkspaces,
+  createWorkspace,
+  updateWorkspace,
+  mapCliq,
+  linkAccounts,
+  setConnection,
+  setMember,
+  removeMember,
+  deleteWorkspace,
+  toResponse
+};
@@ -0,0 +1,140 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when adManagement loads
+process.env.BUDGET_APPROVAL_THRESHOLD_PERCENT = '50';
+process.env.BUDGET_APPROVAL_THRESHOLD_AMOUNT = '100';
+
+const metaApi = require('../services/metaApi');
+const adAccounts = require('../services/adAccounts');
+const adManagement = require('../services/adManagement');
+const { ForbiddenError, ValidationError } = require('../services/errors');
+
+const userToken = { userId: 'owner', accessToken: 'owner-token' };
+
+/**
+ * Graph objects by ID, and the connection's linked accounts (honoring adAccountIds
+ * the way adAccounts.resolveAccount does)
+ */
+const mockMeta = (t, objects) => {
+  const graph = t.mock.method(metaApi, 'makeGraphApiRequest', async (accessToken, endpoint) => objects[endpoint.slice(1)]);
+  t.mock.method(adAccounts, 'resolveAccount', async (token, accountId, { adAccountIds = null } = {}) => {
+    const id = adAccounts.normalizeAccountId(accountId);
+    return !adAccountIds || adAccountIds.includes(id) ? { accountId: id } : null;
+  });
+  return graph;
+};
+
+describe('adManagement.assertInAccount', () => {
+  const objects = {
+    111: { id: '111', account_id: '1' },
+    222: { id: '222', account_id: '2' }
+  };
+
+  it('accepts objects of the request\'s ad account', async (t) => {
+    mockMeta(t, objects);
+    await adManagement.assertInAccount(userToken, 'act_1', { campaign: '111', adset: undefined }, { adAccountIds: ['act_1'] });
+  });
+
+  it('rejects an object from another account on the same connection', async (t) => {
+    mockMeta(t, objects);
+
+    // The member may use both accounts, but the request runs on act_1
+    await assert.rejects(
+      adManagement.assertInAccount(userToken, 'act_1', { campaign: '222' }, { adAccountIds: ['act_1', 'act_2'] }),
+      /campaign 222 is not in ad account act_1/
+    );
+    // A member limited to act_1 cannot reach act_2 objects at all
+    await assert.rejects(
+      adManagement.assertInAccount(userToken, 'act_1', { ad: '222' }, { adAccountIds: ['act_1'] }),
+      ForbiddenError
+    );
+  });
+
+  it('skips IDs that were not given', async (t) => {
+    const graph = mockMeta(t, objects);
+    await adManagement.assertInAccount(userToken, 'act_1', { campaign: null, adset: undefined });
+    assert.equal(graph.mock.callCount(), 0);
+  });
+});
+
+describe('adManagement budget units', () => {
+  it('converts budgets to and from the currency\'s minor units', () => {
+    assert.equal(adManagement.toMinorUnits(50.25, 'USD'), 5025);
+    assert.equal(adManagement.toMinorUnits(0.29, 'EUR'), 29);
+    assert.equal(adManagement.toMinorUnits(5000, 'JPY'), 5000);
+    assert.equal(adManagement.toMajorUnits('5025', 'USD'), 50.25);
+    assert.equal(adManagement.toMajorUnits('5000', 'JPY'), 5000);
+    assert.equal(adManagement.toMajorUnits(null, 'USD'), null);
+  });
+});
+
+describe('adManagement.requiresApproval', () => {
+  it('needs approval for increases above the percent or amount threshold', () => {
+    // +50% exactly is not above the threshold; +60% is
+    assert.equal(adManagement.requiresApproval(10000, 15000, 'USD'), false);
+    assert.equal(adManagement.requiresApproval(10000, 16000, 'USD'), true);
+    // +20%, but 200 USD more than before
+    assert.equal(adManagement.requiresApproval(100000, 120000, 'USD'), true);
+    // The amount is in currency units, also for zero-decimal currencies
+    assert.equal(adManagement.requiresApproval(10000, 10099, 'JPY'), false);
+    assert.equal(adManagement.requiresApproval(10000, 10101, 'JPY'), true);
+  });
+
+  it('never needs approval for decreases', () => {
+    assert.equal(adManagement.requiresApproval(100000, 10000, 'USD'), false);
+    assert.equal(adManagement.requiresApproval(10000, 10000, 'USD'), false);
+  });
+});
+
+describe('adManagement.updateBudget', () => {
+  const budgetObjects = (currency, fields) => ({
+    111: { id: '111', name: 'Search', status: 'ACTIVE', account_id: '1', ...fields },
+    act_1: { currency, min_daily_budget: '100' }
+  });
+
+  it('previews a daily budget in minor units', async (t) => {
+    mockMeta(t, budgetObjects('USD', { daily_budget: '2000' }));
+
+    const result = await adManagement.updateBudget(userToken, 'campaign', '111', { dailyBudget: 25.5 }, { dryRun: true });
+    assert.equal(result.changed, true);
+    assert.equal(result.before.dailyBudget, 20);
+    assert.equal(result.after.dailyBudget, 25.5);
+    assert.equal(result.requiresApproval, false);
+  });
+
+  it('applies the minimum to daily budgets only', async (t) => {
+    mockMeta(t, budgetObjects('USD', { daily_budget: '2000' }));
+    await assert.rejects(
+      adManagement.updateBudget(userToken, 'campaign', '111', { dailyBudget: 0.5 }, { dryRun: true }),
+      /Daily budget is below the minimum of 1 USD/
+    );
+
+    t.mock.restoreAll();
+    mockMeta(t, budgetObjects('USD', { lifetime_budget: '20000' }));
+    const result = await adManagement.updateBudget(userToken, 'campaign', '111', { lifetimeBudget: 0.5 }, { dryRun: true });
+    assert.equal(result.after.lifetimeBudget, 0.5);
+  });
+
+  it('rejects more decimals than the currency has', async (t) => {
+    mockMeta(t, budgetObjects('USD', { daily_budget: '2000' }));
+    await assert.rejects(
+      adManagement.updateBudget(userToken, 'campaign', '111', { dailyBudget: 25.555 }, { dryRun: true }),
+      /more decimals than USD allows/
+    );
+
+    t.mock.restoreAll();
+    mockMeta(t, budgetObjects('JPY', { daily_budget: '2000' }));
+    await assert.rejects(
+      adManagement.updateBudget(userToken, 'campaign', '111', { dailyBudget: 2500.5 }, { dryRun: true }),
+      ValidationError
+    );
+  });
+
+  it('flags increases that need approval', async (t) => {
+    mockMeta(t, budgetObjects('USD', { daily_budget: '2000' }));
+
+    const result = await adManagement.updateBudget(userToken, 'campaign', '111', { dailyBudget: 40 }, { dryRun: true });
+    assert.equal(result.requiresApproval, true);
+  });
+});
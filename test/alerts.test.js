@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const UserToken = require('../models/UserToken');
+const metaApi = require('../services/metaApi');
+const tokenLifecycle = require('../services/tokenLifecycle');
+const adAccounts = require('../services/adAccounts');
+const alerts = require('../services/alerts');
+
+const account = { accountId: 'act_1', name: 'Main', currency: 'USD', timezoneName: 'UTC' };
+
+// Campaign c2 delivered in the baseline but has no insight rows today
+const campaigns = [
+  { id: 'c1', name: 'Search', effective_status: 'ACTIVE' },
+  { id: 'c2', name: 'Retargeting', effective_status: 'ACTIVE' },
+  { id: 'c3', name: 'Old', effective_status: 'PAUSED' }
+];
+const insights = {
+  today: [{ campaign_id: 'c1', campaign_name: 'Search', spend: '50', impressions: '1000' }],
+  last_7d: [
+    { campaign_id: 'c1', campaign_name: 'Search', spend: '700', impressions: '14000' },
+    { campaign_id: 'c2', campaign_name: 'Retargeting', spend: '700', impressions: '14000' }
+  ]
+};
+
+const mockMeta = (t) => {
+  t.mock.method(UserToken, 'findOne', async () => ({ userId: 'u1', accessToken: 'token', isUsable: () => true }));
+  t.mock.method(tokenLifecycle, 'ensureFreshToken', async () => {});
+  t.mock.method(adAccounts, 'resolveAccount', async () => account);
+  t.mock.method(metaApi, 'getSpend', async (accessToken, accountId, params) => ({ data: insights[params.datePreset] || [] }));
+  t.mock.method(metaApi, 'getCampaigns', async () => ({ data: campaigns }));
+};
+
+const rule = (settings) => ({ userId: 'u1', adAccountId: 'act_1', level: 'campaign', campaignId: null, lastFired: null, ...settings });
+const now = new Date('2026-01-15T12:00:00Z');
+
+describe('alerts for campaigns that stopped delivering', () => {
+  it('counts an active campaign without rows as zero in threshold rules', async (t) => {
+    mockMeta(t);
+
+    const { triggered } = await alerts.evaluateRule(
+      rule({ type: 'threshold', metric: 'spend', operator: '==', value: 0, window: 'today' }),
+      { notify: false, now }
+    );
+
+    assert.deepEqual(triggered.map(item => [item.targetId, item.value]), [['c2', 0]]);
+  });
+
+  it('reports a drop to zero against the baseline in change rules', async (t) => {
+    mockMeta(t);
+
+    const { triggered } = await alerts.evaluateRule(
+      rule({ type: 'change', metric: 'impressions', direction: 'decrease', percent: 90, baselineDays: 7 }),
+      { notify: false, now }
+    );
+
+    assert.deepEqual(triggered.map(item => [item.targetId, item.target, item.value]), [['c2', 'Retargeting', 0]]);
+  });
+
+  it('limits a campaign rule to its campaign', async (t) => {
+    mockMeta(t);
+
+    const { triggered } = await alerts.evaluateRule(
+      rule({ type: 'threshold', metric: 'spend', operator: '<', value: 10, window: 'today', campaignId: 'c1' }),
+      { notify: false, now }
+    );
+
+    assert.deepEqual(triggered, []);
+  });
+});
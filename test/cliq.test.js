@@ -0,0 +1,57 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const cliq = require('../services/cliq');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const pem = publicKey.export({ type: 'spki', format: 'pem' });
+const sign = (body) => crypto.sign('RSA-SHA256', Buffer.from(body), privateKey).toString('base64');
+
+describe('cliq.verifySignature', () => {
+  const body = JSON.stringify({ name: 'metaads', arguments: 'report' });
+  let savedKey;
+
+  beforeEach(() => {
+    savedKey = process.env.CLIQ_PUBLIC_KEY;
+  });
+
+  afterEach(() => {
+    if (savedKey === undefined) {
+      delete process.env.CLIQ_PUBLIC_KEY;
+    } else {
+      process.env.CLIQ_PUBLIC_KEY = savedKey;
+    }
+  });
+
+  it('accepts a body signed with the Cliq key', () => {
+    process.env.CLIQ_PUBLIC_KEY = pem;
+    assert.equal(cliq.verifySignature(Buffer.from(body), sign(body)), true);
+    assert.equal(cliq.verifySignature(body, sign(body)), true);
+  });
+
+  it('accepts the key as bare base64 or with escaped newlines', () => {
+    process.env.CLIQ_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+    assert.equal(cliq.verifySignature(body, sign(body)), true);
+
+    process.env.CLIQ_PUBLIC_KEY = pem.trim().replace(/\n/g, '\\n');
+    assert.equal(cliq.verifySignature(body, sign(body)), true);
+  });
+
+  it('rejects a changed body or a signature from another key', () => {
+    process.env.CLIQ_PUBLIC_KEY = pem;
+    assert.equal(cliq.verifySignature(`${body} `, sign(body)), false);
+
+    const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    const forged = crypto.sign('RSA-SHA256', Buffer.from(body), other).toString('base64');
+    assert.equal(cliq.verifySignature(body, forged), false);
+  });
+
+  it('rejects requests without a signature, body or configured key', () => {
+    process.env.CLIQ_PUBLIC_KEY = pem;
+    assert.equal(cliq.verifySignature(body, undefined), false);
+    assert.equal(cliq.verifySignature(undefined, sign(body)), false);
+
+    delete process.env.CLIQ_PUBLIC_KEY;
+    assert.equal(cliq.verifySignature(body, sign(body)), false);
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const encryption = require('../services/encryption');
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+const oldKey = newKey();
+const currentKey = newKey();
+
+describe('token encryption', () => {
+  beforeEach(() => {
+    process.env.TOKEN_ENCRYPTION_KEYS = `old:${oldKey},current:${currentKey}`;
+    delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+  });
+
+  it('round-trips a token with the last key', () => {
+    const encrypted = encryption.encrypt('EAAB-token');
+
+    assert.notEqual(encrypted, 'EAAB-token');
+    assert.ok(encryption.isEncrypted(encrypted));
+    assert.equal(encryption.getKeyId(encrypted), 'current');
+    assert.equal(encryption.decrypt(encrypted), 'EAAB-token');
+  });
+
+  it('uses a fresh data key and IV for every value', () => {
+    assert.notEqual(encryption.encrypt('EAAB-token'), encryption.encrypt('EAAB-token'));
+  });
+
+  it('passes empty, plaintext and already encrypted values through', () => {
+    const encrypted = encryption.encrypt('EAAB-token');
+
+    assert.equal(encryption.encrypt(null), null);
+    assert.equal(encryption.encrypt(''), '');
+    assert.equal(encryption.encrypt(encrypted), encrypted);
+    assert.equal(encryption.decrypt('legacy-plaintext'), 'legacy-plaintext');
+  });
+
+  it('decrypts values sealed with an older key and flags them for rotation', () => {
+    process.env.TOKEN_ENCRYPTION_KEY_ID = 'old';
+    const encrypted = encryption.encrypt('EAAB-token');
+    delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+
+    assert.equal(encryption.getKeyId(encrypted), 'old');
+    assert.equal(encryption.decrypt(encrypted), 'EAAB-token');
+    assert.equal(encryption.needsReencryption(encrypted), true);
+    assert.equal(encryption.needsReencryption(encryption.encrypt('EAAB-token')), false);
+    assert.equal(encryption.needsReencryption('legacy-plaintext'), true);
+  });
+
+  it('rejects tampered values and unknown keys', () => {
+    const encrypted = encryption.encrypt('EAAB-token');
+    const parts = encrypted.split(':');
+    const [iv, ciphertext, tag] = parts[4].split('.');
+    const flipped = Buffer.from(ciphertext, 'base64url');
+    flipped[0] ^= 1;
+    parts[4] = [iv, flipped.toString('base64url'), tag].join('.');
+
+    assert.throws(() => encryption.decrypt(parts.join(':')));
+
+    process.env.TOKEN_ENCRYPTION_KEYS = `current:${currentKey}`;
+    assert.throws(() => encryption.decrypt(encrypted.replace(':current:', ':old:')), /"old" not configured/);
+  });
+
+  it('rejects malformed key configuration', () => {
+    process.env.TOKEN_ENCRYPTION_KEYS = 'short:AAAA';
+    assert.throws(() => encryption.encrypt('EAAB-token'), /Invalid TOKEN_ENCRYPTION_KEYS entry "short"/);
+
+    process.env.TOKEN_ENCRYPTION_KEYS = '';
+    assert.throws(() => encryption.encrypt('EAAB-token'), /not configured/);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const InsightSnapshot = require('../models/InsightSnapshot');
+const InsightSync = require('../models/InsightSync');
+const metaApi = require('../services/metaApi');
+const insightSync = require('../services/insightSync');
+
+const account = { accountId: 'act_1', timezoneName: 'UTC' };
+const now = new Date('2026-03-15T12:00:00Z');
+
+/**
+ * Record the date ranges fetched from Meta (once per level) and the store writes
+ */
+const mockStore = (t, rows = []) => {
+  const ranges = [];
+  t.mock.method(metaApi, 'getDailyInsights', async (accessToken, adAccountId, { level, since, until }) => {
+    if (level === 'campaign') {
+      ranges.push([since, until]);
+    }
+    return { data: rows.filter(row => row.level === level) };
+  });
+  const bulkWrite = t.mock.method(InsightSnapshot, 'bulkWrite', async () => ({}));
+  const deleteMany = t.mock.method(InsightSnapshot, 'deleteMany', async () => ({}));
+  return { ranges, bulkWrite, deleteMany };
+};
+
+const newSync = () => ({ backfillFrom: '2026-01-01', syncedFrom: null, syncedUntil: null, save: async () => {} });
+
+describe('insightSync.syncAccount', () => {
+  it('refreshes recent days, then backfills one chunk per run', async (t) => {
+    const { ranges } = mockStore(t);
+    const sync = newSync();
+
+    await insightSync.syncAccount(sync, 'token', account, now);
+    assert.deepEqual(ranges, [['2026-03-13', '2026-03-15'], ['2026-02-11', '2026-03-12']]);
+    assert.equal(sync.syncedFrom, '2026-02-11');
+    assert.equal(sync.syncedUntil, '2026-03-15');
+
+    ranges.length = 0;
+    await insightSync.syncAccount(sync, 'token', account, now);
+    await insightSync.syncAccount(sync, 'token', account, now);
+    assert.deepEqual(ranges, [
+      ['2026-03-13', '2026-03-15'], ['2026-01-12', '2026-02-10'],
+      ['2026-03-13', '2026-03-15'], ['2026-01-01', '2026-01-11']
+    ]);
+    assert.equal(sync.syncedFrom, '2026-01-01');
+  });
+
+  it('only moves forward once the backfill is done', async (t) => {
+    const { ranges } = mockStore(t);
+    const sync = { ...newSync(), syncedFrom: '2026-01-01', syncedUntil: '2026-03-10' };
+
+    await insightSync.syncAccount(sync, 'token', account, now);
+    assert.deepEqual(ranges, [['2026-03-10', '2026-03-15']]);
+    assert.equal(sync.syncedUntil, '2026-03-15');
+  });
+
+  it('upserts one snapshot per object and day and drops days Meta no longer reports', async (t) => {
+    const { bulkWrite, deleteMany } = mockStore(t, [
+      { level: 'campaign', campaign_id: 'c1', campaign_name: 'Search', date_start: '2026-03-14', spend: '12.5', impressions: '100', actions: [{ action_type: 'lead', value: '2' }] }
+    ]);
+
+    await insightSync.syncAccount({ ...newSync(), syncedFrom: '2026-01-01', syncedUntil: '2026-03-15' }, 'token', account, now);
+
+    const [operation] = bulkWrite.mock.calls[0].arguments[0];
+    assert.deepEqual(operation.updateOne.filter, { adAccountId: 'act_1', level: 'campaign', objectId: 'c1', date: new Date('2026-03-14T00:00:00Z') });
+    assert.equal(operation.updateOne.update.spend, 12.5);
+    assert.equal(operation.updateOne.update.leads, 2);
+    assert.equal(operation.updateOne.upsert, true);
+
+    const filter = deleteMany.mock.calls[0].arguments[0];
+    assert.deepEqual(filter.date, { $gte: new Date('2026-03-13T00:00:00Z'), $lte: new Date('2026-03-15T00:00:00Z') });
+    assert.equal(filter.syncedAt.$lt, operation.updateOne.update.syncedAt);
+  });
+});
+
+describe('insightSync.getTrend', () => {
+  it('adds up campaigns into account totals per week, with zero for missing days', async (t) => {
+    const aggregate = t.mock.method(InsightSnapshot, 'aggregate', async () => [
+      { _id: new Date('2026-03-03T00:00:00Z'), spend: 10, impressions: 1000, clicks: 10, leads: 1 },
+      { _id: new Date('2026-03-04T00:00:00Z'), spend: 30, impressions: 1000, clicks: 30, leads: 1 }
+    ]);
+    t.mock.method(InsightSync, 'findOne', async () => null);
+
+    const trend = await insightSync.getTrend('act_1', {
+      since: '2026-03-02',
+      until: '2026-03-10',
+      interval: 'week',
+      metrics: ['spend', 'ctr', 'cpl']
+    });
+
+    assert.equal(aggregate.mock.calls[0].arguments[0][0].$match.level, 'campaign');
+    assert.deepEqual(trend, {
+      data: [
+        { date: '2026-03-02', spend: 40, ctr: 2, cpl: 20 },
+        { date: '2026-03-09', spend: 0, ctr: null, cpl: null }
+      ],
+      coverage: null
+    });
+  });
+});
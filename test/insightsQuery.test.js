@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const insightsQuery = require('../services/insightsQuery');
+const { ValidationError } = require('../services/errors');
+
+describe('insightsQuery.buildQuery', () => {
+  it('builds Graph parameters in snake_case', () => {
+    const { params, options } = insightsQuery.buildQuery({
+      level: 'adset',
+      metrics: 'spend,roas',
+      breakdowns: 'placement',
+      timeIncrement: 'weekly',
+      attributionWindows: '7d_click,1d_view',
+      since: '2026-01-01',
+      until: '2026-01-31',
+      campaignId: '111,222'
+    });
+
+    assert.deepEqual(params, {
+      level: 'adset',
+      fields: 'campaign_id,campaign_name,adset_id,adset_name,spend,actions,action_values',
+      time_range: JSON.stringify({ since: '2026-01-01', until: '2026-01-31' }),
+      time_increment: 7,
+      breakdowns: 'publisher_platform,platform_position',
+      action_attribution_windows: JSON.stringify(['7d_click', '1d_view']),
+      filtering: JSON.stringify([{ field: 'campaign.id', operator: 'IN', value: ['111', '222'] }])
+    });
+    assert.deepEqual(options.breakdowns, ['publisher_platform', 'platform_position']);
+    assert.deepEqual(options.actionTypes, ['lead', 'purchase']);
+  });
+
+  it('defaults to campaign level over the last 30 days', () => {
+    const { params } = insightsQuery.buildQuery();
+    assert.equal(params.level, 'campaign');
+    assert.equal(params.date_preset, 'last_30d');
+    assert.equal(params.breakdowns, undefined);
+  });
+
+  it('rejects unknown or incompatible options', () => {
+    assert.throws(() => insightsQuery.buildQuery({ level: 'creative' }), ValidationError);
+    assert.throws(() => insightsQuery.buildQuery({ metrics: 'spend,profit' }), /Unknown metrics: profit/);
+    assert.throws(() => insightsQuery.buildQuery({ breakdowns: 'age,country' }), /cannot be combined/);
+    assert.throws(() => insightsQuery.buildQuery({ breakdowns: 'browser' }), /Unknown breakdowns: browser/);
+    assert.throws(() => insightsQuery.buildQuery({ timeIncrement: '91' }), ValidationError);
+    assert.throws(() => insightsQuery.buildQuery({ attributionWindows: '2d_click' }), ValidationError);
+    assert.throws(() => insightsQuery.buildQuery({ datePreset: 'last_2d' }), ValidationError);
+    assert.throws(() => insightsQuery.buildQuery({ since: '2026-02-01', until: '2026-01-01' }), ValidationError);
+    assert.throws(() => insightsQuery.buildQuery({ since: '2026-02-01' }), ValidationError);
+  });
+});
+
+describe('insightsQuery.normalizeRow', () => {
+  it('turns actions and action values into conversions, CPA and ROAS', () => {
+    const { options } = insightsQuery.buildQuery({
+      metrics: 'spend,conversions,conversion_values,cpa,roas',
+      actionTypes: 'purchase,lead',
+      attributionWindows: '7d_click'
+    });
+
+    const row = insightsQuery.normalizeRow({
+      campaign_id: '111',
+      campaign_name: 'Search',
+      date_start: '2026-01-01',
+      date_stop: '2026-01-31',
+      spend: '100',
+      actions: [
+        { action_type: 'purchase', value: '4', '7d_click': '3' },
+        { action_type: 'link_click', value: '50' }
+      ],
+      action_values: [{ action_type: 'purchase', value: '250.5', '7d_click': '200' }]
+    }, options);
+
+    assert.deepEqual(row, {
+      campaign_id: '111',
+      campaign_name: 'Search',
+      date_start: '2026-01-01',
+      date_stop: '2026-01-31',
+      spend: 100,
+      conversions: { purchase: 4, lead: 0 },
+      conversions_by_window: { purchase: { '7d_click': 3 }, lead: { '7d_click': 0 } },
+      conversion_values: { purchase: 250.5, lead: 0 },
+      cpa: { purchase: 25, lead: null },
+      roas: { purchase: 2.505, lead: 0 }
+    });
+  });
+
+  it('reports missing Graph metrics as null', () => {
+    const { options } = insightsQuery.buildQuery({ metrics: 'impressions,reach', breakdowns: 'age' });
+    assert.deepEqual(
+      insightsQuery.normalizeRow({ campaign_id: '111', age: '25-34', impressions: '10' }, options),
+      { campaign_id: '111', age: '25-34', impressions: 10, reach: null }
+    );
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const LeadDelivery = require('../models/LeadDelivery');
+const leadNotifications = require('../services/leadNotifications');
+
+const sign = (body, secret = 'app-secret') => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+describe('leadNotifications.verifySignature', () => {
+  const body = Buffer.from(JSON.stringify({ object: 'page', entry: [] }));
+
+  before(() => {
+    process.env.META_APP_SECRET = 'app-secret';
+  });
+
+  it('accepts a body signed with the app secret', () => {
+    assert.equal(leadNotifications.verifySignature(body, sign(body)), true);
+  });
+
+  it('rejects another secret, a changed body or a malformed header', () => {
+    assert.equal(leadNotifications.verifySignature(body, sign(body, 'other-secret')), false);
+    assert.equal(leadNotifications.verifySignature(Buffer.concat([body, Buffer.from(' ')]), sign(body)), false);
+    assert.equal(leadNotifications.verifySignature(body, sign(body).replace('sha256=', 'sha1=')), false);
+    assert.equal(leadNotifications.verifySignature(body, 'sha256=abc'), false);
+    assert.equal(leadNotifications.verifySignature(body, undefined), false);
+    assert.equal(leadNotifications.verifySignature(undefined, sign(body)), false);
+  });
+
+  it('rejects everything without an app secret', () => {
+    delete process.env.META_APP_SECRET;
+    try {
+      assert.equal(leadNotifications.verifySignature(body, sign(body)), false);
+    } finally {
+      process.env.META_APP_SECRET = 'app-secret';
+    }
+  });
+});
+
+describe('leadNotifications.claimDelivery', () => {
+  const value = { leadgen_id: 'lead-1', page_id: 'page-1', form_id: 'form-1' };
+  const duplicate = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+  it('claims a lead seen for the first time', async (t) => {
+    const create = t.mock.method(LeadDelivery, 'create', async () => ({}));
+
+    assert.equal(await leadNotifications.claimDelivery(value), true);
+    assert.equal(create.mock.calls[0].arguments[0].leadgenId, 'lead-1');
+  });
+
+  it('reclaims failed deliveries and stale processing claims only', async (t) => {
+    t.mock.method(LeadDelivery, 'create', async () => { throw duplicate(); });
+    const update = t.mock.method(LeadDelivery, 'findOneAndUpdate', async () => ({ leadgenId: 'lead-1' }));
+
+    const before = Date.now();
+    assert.equal(await leadNotifications.claimDelivery(value), true);
+
+    const [filter, changes] = update.mock.calls[0].arguments;
+    const [failed, stale] = filter.$or;
+    assert.deepEqual(failed, { status: 'failed' });
+    assert.equal(stale.status, 'processing');
+    assert.equal(changes.status, 'processing');
+    assert.ok(changes.claimedAt.getTime() >= before);
+    // Claims older than the default 10 minutes are stale
+    assert.equal(changes.claimedAt.getTime() - stale.claimedAt.$lt.getTime(), 10 * 60 * 1000);
+  });
+
+  it('ignores leads that are delivered or still being processed', async (t) => {
+    t.mock.method(LeadDelivery, 'create', async () => { throw duplicate(); });
+    t.mock.method(LeadDelivery, 'findOneAndUpdate', async () => null);
+
+    assert.equal(await leadNotifications.claimDelivery(value), false);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const metaApi = require('../services/metaApi');
+const { ValidationError } = require('../services/errors');
+
+// Mock Graph API with two lead forms, paged three leads at a time
+const PAGE_SIZE = 3;
+const leads = {
+  f1: ['a1', 'a2', 'a3', 'a4', 'a5'],
+  f2: ['b1', 'b2', 'b3', 'b4']
+};
+
+const answer = (path, query) => {
+  if (path === '/act_1/leadgen_forms') {
+    return { data: [{ id: 'f1', name: 'Form 1' }, { id: 'f2', name: 'Form 2' }] };
+  }
+  const match = /^\/(f\d)\/leads$/.exec(path);
+  const start = parseInt(query.after || '0', 10);
+  const ids = leads[match[1]];
+  const end = start + PAGE_SIZE;
+  return {
+    data: ids.slice(start, end).map(id => ({ id, form_id: match[1], field_data: [{ name: 'email', values: [`${id}@example.com`] }] })),
+    paging: {
+      cursors: { before: String(start), after: String(end) },
+      ...(end < ids.length && { next: `https://graph.example/${match[1]}/leads?after=${end}` })
+    }
+  };
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://localhost');
+    let result;
+    if (req.method === 'POST' && url.pathname === '/') {
+      const batch = JSON.parse(new URLSearchParams(body).get('batch'));
+      result = batch.map(call => {
+        const relative = new URL(`/${call.relative_url}`, 'http://localhost');
+        return { code: 200, body: JSON.stringify(answer(relative.pathname, Object.fromEntries(relative.searchParams))) };
+      });
+    } else {
+      result = answer(url.pathname, Object.fromEntries(url.searchParams));
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  });
+});
+
+const walk = async (params) => {
+  const ids = [];
+  let cursor;
+  do {
+    const page = await metaApi.getLeads('user-token', 'act_1', { ...params, after: cursor });
+    ids.push(...page.data.map(row => row.id));
+    cursor = page.paging.cursors.after;
+    assert.equal(page.paging.hasNext, Boolean(cursor));
+  } while (cursor);
+  return ids;
+};
+
+describe('metaApi.getLeads cursor', () => {
+  before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.META_GRAPH_API_BASE = `http://127.0.0.1:${server.address().port}`;
+    process.env.META_API_MAX_RETRIES = '0';
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it('pages across forms and Graph pages without skipping or repeating leads', async () => {
+    const all = [...leads.f1, ...leads.f2];
+
+    assert.deepEqual(await walk({ limit: 2 }), all);
+    assert.deepEqual(await walk({ limit: 4 }), all);
+    assert.deepEqual(await walk({ limit: 25 }), all);
+  });
+
+  it('walks one form when formId is given', async () => {
+    assert.deepEqual(await walk({ limit: 2, formId: 'f2' }), leads.f2);
+  });
+
+  it('returns every lead with all and flattens the answers', async () => {
+    const page = await metaApi.getLeads('user-token', 'act_1', { all: true });
+
+    assert.equal(page.data.length, 9);
+    assert.equal(page.truncated, false);
+    assert.equal(page.data[0].email, 'a1@example.com');
+    assert.equal(page.data[0].form_name, 'Form 1');
+    assert.ok(page.columns.includes('email'));
+  });
+
+  it('rejects a cursor it did not issue', async () => {
+    await assert.rejects(metaApi.getLeads('user-token', 'act_1', { after: 'not-a-cursor' }), ValidationError);
+  });
+});
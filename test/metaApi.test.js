@@ -0,0 +1,157 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const metaApi = require('../services/metaApi');
+const metaAuth = require('../services/metaAuth');
+const { MetaApiError, MetaRateLimitError, MetaValidationError } = require('../services/errors');
+
+// Mock Graph API: records each request and answers by path
+const requests = [];
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const query = Object.fromEntries(url.searchParams);
+  requests.push({ path: url.pathname, query });
+
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  if (url.pathname === '/slow') {
+    return; // never answers
+  }
+  // Fails twice with a transient error, then succeeds
+  if (url.pathname.startsWith('/flaky')) {
+    const attempts = requests.filter(request => request.path === url.pathname).length;
+    return attempts <= 2
+      ? send(500, { error: { message: 'Service temporarily unavailable', code: 2, is_transient: true } })
+      : send(200, { ok: true });
+  }
+  if (url.pathname === '/act_9/campaigns') {
+    return send(500, { error: { message: 'Service temporarily unavailable', code: 2, is_transient: true } });
+  }
+  if (url.pathname === '/bad') {
+    return send(400, { error: { message: 'Invalid parameter', code: 100 } });
+  }
+  if (url.pathname === '/act_5/campaigns') {
+    res.setHeader('X-Ad-Account-Usage', JSON.stringify({ acc_id_util_pct: 100, reset_time_duration: 600 }));
+    return send(200, { data: [] });
+  }
+  if (url.pathname === '/oauth/access_token') {
+    if (query.code === 'used') {
+      return send(400, { error: { message: 'This authorization code has been used.', type: 'OAuthException', code: 100 } });
+    }
+    return send(200, { access_token: 'short-token', token_type: 'bearer', expires_in: 3600 });
+  }
+  if (url.pathname === '/me') {
+    return send(200, { id: '42' });
+  }
+  send(404, { error: { message: 'Unknown path', code: 803 } });
+});
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.META_GRAPH_API_BASE = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+describe('Graph client against a mock Graph server', () => {
+  before(() => {
+    process.env.META_APP_ID = 'app-id';
+    process.env.META_APP_SECRET = 'app-secret';
+    process.env.META_API_MAX_RETRIES = '0';
+    process.env.META_API_TIMEOUT_MS = '200';
+  });
+
+  it('signs calls with the access token and appsecret_proof', async () => {
+    const me = await metaApi.makeGraphApiRequest('user-token', '/me', { fields: 'id' });
+
+    assert.deepEqual(me, { id: '42' });
+    const { query } = requests.at(-1);
+    assert.equal(query.access_token, 'user-token');
+    assert.equal(query.appsecret_proof, crypto.createHmac('sha256', 'app-secret').update('user-token').digest('hex'));
+    assert.equal(query.fields, 'id');
+  });
+
+  it('exchanges a code with the app credentials and no access token', async () => {
+    const exchanged = await metaAuth.exchangeCodeForToken('fresh');
+
+    assert.equal(exchanged.access_token, 'short-token');
+    const { path, query } = requests.at(-1);
+    assert.equal(path, '/oauth/access_token');
+    assert.equal(query.client_id, 'app-id');
+    assert.equal(query.client_secret, 'app-secret');
+    assert.equal(query.code, 'fresh');
+    assert.equal(query.access_token, undefined);
+  });
+
+  it('maps a rejected code to a 400 MetaValidationError', async () => {
+    await assert.rejects(metaAuth.exchangeCodeForToken('used'), (error) => {
+      assert.ok(error instanceof MetaValidationError);
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.code, 100);
+      return true;
+    });
+  });
+
+  it('times out with a 504 META_TIMEOUT', async () => {
+    await assert.rejects(metaApi.makeGraphApiRequest('user-token', '/slow'), (error) => {
+      assert.ok(error instanceof MetaApiError);
+      assert.equal(error.statusCode, 504);
+      assert.equal(error.errorCode, 'META_TIMEOUT');
+      return true;
+    });
+  });
+});
+
+describe('Graph client retries and throttling', () => {
+  const calls = (path) => requests.filter(request => request.path === path).length;
+
+  before(() => {
+    process.env.META_API_MAX_RETRIES = '2';
+    process.env.META_API_RETRY_BASE_MS = '1';
+    process.env.META_API_MAX_WAIT_MS = '1000';
+  });
+
+  it('retries transient errors with backoff', async () => {
+    assert.deepEqual(await metaApi.makeGraphApiRequest('user-token', '/flaky-get'), { ok: true });
+    assert.equal(calls('/flaky-get'), 3);
+  });
+
+  it('gives up after META_API_MAX_RETRIES', async () => {
+    process.env.META_API_MAX_RETRIES = '1';
+    try {
+      await assert.rejects(metaApi.makeGraphApiRequest('user-token', '/flaky-limit'), (error) => error.transient === true);
+      assert.equal(calls('/flaky-limit'), 2);
+    } finally {
+      process.env.META_API_MAX_RETRIES = '2';
+    }
+  });
+
+  it('does not retry writes or non-transient errors', async () => {
+    await assert.rejects(metaApi.makeGraphApiPost('user-token', '/act_9/campaigns', { name: 'Test' }), MetaApiError);
+    assert.equal(calls('/act_9/campaigns'), 1);
+
+    await assert.rejects(metaApi.makeGraphApiRequest('user-token', '/bad'), MetaValidationError);
+    assert.equal(calls('/bad'), 1);
+  });
+
+  it('holds back an ad account Meta reports as blocked', async () => {
+    await metaApi.makeGraphApiRequest('user-token', '/act_5/campaigns');
+
+    await assert.rejects(metaApi.makeGraphApiRequest('user-token', '/act_5/adsets'), (error) => {
+      assert.ok(error instanceof MetaRateLimitError);
+      assert.ok(error.retryAfterMs > 590000);
+      return true;
+    });
+    assert.equal(calls('/act_5/adsets'), 0);
+
+    // Other accounts are not affected
+    await assert.rejects(metaApi.makeGraphApiRequest('user-token', '/bad'), MetaValidationError);
+  });
+});
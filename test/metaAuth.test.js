@@ -0,0 +1,62 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const metaAuth = require('../services/metaAuth');
+
+const signedRequest = (data, secret = 'app-secret') => {
+  const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  return `${signature}.${payload}`;
+};
+
+describe('metaAuth.parseSignedRequest', () => {
+  const data = { algorithm: 'HMAC-SHA256', user_id: '1234', issued_at: 1700000000 };
+
+  before(() => {
+    process.env.META_APP_SECRET = 'app-secret';
+  });
+
+  it('decodes a request signed with the app secret', () => {
+    assert.deepEqual(metaAuth.parseSignedRequest(signedRequest(data)), data);
+  });
+
+  it('rejects a request signed with another secret or a changed payload', () => {
+    assert.equal(metaAuth.parseSignedRequest(signedRequest(data, 'other-secret')), null);
+
+    const [signature] = signedRequest(data).split('.');
+    const changed = Buffer.from(JSON.stringify({ ...data, user_id: '5678' })).toString('base64url');
+    assert.equal(metaAuth.parseSignedRequest(`${signature}.${changed}`), null);
+  });
+
+  it('rejects other algorithms and payloads without a user', () => {
+    assert.equal(metaAuth.parseSignedRequest(signedRequest({ ...data, algorithm: 'HMAC-SHA1' })), null);
+    assert.equal(metaAuth.parseSignedRequest(signedRequest({ algorithm: 'HMAC-SHA256' })), null);
+  });
+
+  it('rejects malformed values', () => {
+    assert.equal(metaAuth.parseSignedRequest(undefined), null);
+    assert.equal(metaAuth.parseSignedRequest('no-dot'), null);
+    const signature = crypto.createHmac('sha256', 'app-secret').update('not-json').digest('base64url');
+    assert.equal(metaAuth.parseSignedRequest(`${signature}.not-json`), null);
+  });
+});
+
+describe('metaAuth.missingPermissions', () => {
+  it('lists required permissions that were not granted', () => {
+    const userToken = { grantedPermissions: ['ads_read', 'leads_retrieval'] };
+
+    assert.deepEqual(metaAuth.missingPermissions(userToken, ['ads_read', 'leads_retrieval']), []);
+    assert.deepEqual(metaAuth.missingPermissions(userToken, ['ads_management', 'business_management']), ['ads_management', 'business_management']);
+  });
+
+  it('counts ads_management as covering ads_read', () => {
+    const userToken = { grantedPermissions: ['ads_management'] };
+
+    assert.deepEqual(metaAuth.missingPermissions(userToken, ['ads_read']), []);
+    assert.deepEqual(metaAuth.missingPermissions({ grantedPermissions: ['ads_read'] }, ['ads_management']), ['ads_management']);
+  });
+
+  it('treats unchecked permissions as none granted', () => {
+    assert.deepEqual(metaAuth.missingPermissions({ grantedPermissions: null }, ['ads_read']), ['ads_read']);
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when the module loads
+process.env.META_CACHE_BACKEND = 'memory';
+const metaCache = require('../services/metaCache');
+
+// Counts loads from "Meta"; each scope/resource/params gets a fresh cache
+let loads = 0;
+const fetch = async () => ({ load: ++loads });
+
+describe('metaCache keys', () => {
+  const scope = { userId: 'user-1', adAccountId: 'act_1' };
+
+  it('hits for the same parameters in any key order', async () => {
+    const first = await metaCache.read(scope, 'campaigns', { limit: 25, fields: 'id,name' }, fetch);
+    const second = await metaCache.read(scope, 'campaigns', { fields: 'id,name', limit: 25, after: undefined }, fetch);
+
+    assert.equal(first.status, 'MISS');
+    assert.equal(second.status, 'HIT');
+    assert.deepEqual(second.value, first.value);
+  });
+
+  it('keys by user, ad account, resource and parameters', async () => {
+    const params = { limit: 10 };
+    await metaCache.read(scope, 'adsets', params, fetch);
+
+    assert.equal((await metaCache.read({ ...scope, userId: 'user-2' }, 'adsets', params, fetch)).status, 'MISS');
+    assert.equal((await metaCache.read({ ...scope, adAccountId: 'act_2' }, 'adsets', params, fetch)).status, 'MISS');
+    assert.equal((await metaCache.read(scope, 'ads', params, fetch)).status, 'MISS');
+    assert.equal((await metaCache.read(scope, 'adsets', { limit: 11 }, fetch)).status, 'MISS');
+    assert.equal((await metaCache.read(scope, 'adsets', params, fetch)).status, 'HIT');
+  });
+
+  it('drops every user\'s entries of an invalidated account only', async () => {
+    const other = { userId: 'user-1', adAccountId: 'act_3' };
+    await metaCache.read(scope, 'campaigns', {}, fetch);
+    await metaCache.read({ ...scope, userId: 'user-2' }, 'campaigns', {}, fetch);
+    await metaCache.read(other, 'campaigns', {}, fetch);
+
+    await metaCache.invalidateAccount('act_1');
+
+    assert.equal((await metaCache.read(scope, 'campaigns', {}, fetch)).status, 'MISS');
+    assert.equal((await metaCache.read({ ...scope, userId: 'user-2' }, 'campaigns', {}, fetch)).status, 'MISS');
+    assert.equal((await metaCache.read(other, 'campaigns', {}, fetch)).status, 'HIT');
+  });
+
+  it('bypasses and replaces the entry for fresh reads', async () => {
+    const cached = await metaCache.read(scope, 'businesses', {}, fetch);
+    const fresh = await metaCache.read(scope, 'businesses', {}, fetch, { fresh: true });
+    const after = await metaCache.read(scope, 'businesses', {}, fetch);
+
+    assert.equal(fresh.status, 'BYPASS');
+    assert.notDeepEqual(fresh.value, cached.value);
+    assert.deepEqual(after.value, fresh.value);
+  });
+
+  it('does not cache with a TTL of zero', async () => {
+    await metaCache.read(scope, 'insights', { x: 1 }, fetch, { ttlSeconds: 0 });
+    assert.equal((await metaCache.read(scope, 'insights', { x: 1 }, fetch, { ttlSeconds: 0 })).status, 'BYPASS');
+  });
+});
+
+describe('metaCache.insightsTtl', () => {
+  it('keeps ranges that ended days ago longer than recent ranges and presets', () => {
+    assert.equal(metaCache.insightsTtl('2020-01-31'), metaCache.TTLS.closedInsights);
+    assert.equal(metaCache.insightsTtl(new Date().toISOString().slice(0, 10)), metaCache.TTLS.insights);
+    assert.equal(metaCache.insightsTtl(undefined), metaCache.TTLS.insights);
+  });
+});
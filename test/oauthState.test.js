@@ -0,0 +1,83 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const OAuthState = require('../models/OAuthState');
+const oauthState = require('../services/oauthState');
+
+/**
+ * In-memory OAuthState collection (findOneAndDelete honors nonce and expiresAt.$gt)
+ */
+const mockStore = (t) => {
+  const records = new Map();
+  t.mock.method(OAuthState, 'create', async (record) => {
+    records.set(record.nonce, { ...record });
+    return record;
+  });
+  t.mock.method(OAuthState, 'findOneAndDelete', async ({ nonce, expiresAt }) => {
+    const record = records.get(nonce);
+    if (!record || record.expiresAt <= expiresAt.$gt) {
+      return null;
+    }
+    records.delete(nonce);
+    return record;
+  });
+  return records;
+};
+
+describe('oauthState', () => {
+  beforeEach(() => {
+    process.env.OAUTH_STATE_SECRET = 'state-secret';
+  });
+
+  it('binds a state to the user and return URL', async (t) => {
+    mockStore(t);
+
+    const state = await oauthState.issueState('cliq_1', 'https://app.example.com/done');
+    assert.deepEqual(await oauthState.consumeState(state), { userId: 'cliq_1', returnUrl: 'https://app.example.com/done' });
+  });
+
+  it('accepts a state only once', async (t) => {
+    mockStore(t);
+
+    const state = await oauthState.issueState('cliq_1');
+    assert.equal((await oauthState.consumeState(state)).userId, 'cliq_1');
+    assert.equal(await oauthState.consumeState(state), null);
+  });
+
+  it('rejects an expired state', async (t) => {
+    const records = mockStore(t);
+
+    const state = await oauthState.issueState('cliq_1');
+    records.get(state.split('.')[0]).expiresAt = new Date(Date.now() - 1000);
+    assert.equal(await oauthState.consumeState(state), null);
+  });
+
+  it('rejects tampered or forged states without touching the store', async (t) => {
+    mockStore(t);
+
+    const state = await oauthState.issueState('cliq_1');
+    const [nonce, signature] = state.split('.');
+    const forged = Buffer.from(JSON.stringify({ userId: 'victim' })).toString('base64url');
+
+    assert.equal(await oauthState.consumeState(`${nonce}.${signature.slice(1)}x`), null);
+    assert.equal(await oauthState.consumeState(`${forged}.${signature}`), null);
+    assert.equal(await oauthState.consumeState(forged), null);
+    assert.equal(OAuthState.findOneAndDelete.mock.callCount(), 0);
+
+    // Signed with another secret
+    process.env.OAUTH_STATE_SECRET = 'other-secret';
+    assert.equal(await oauthState.consumeState(state), null);
+  });
+});
+
+describe('oauthState.isAllowedReturnUrl', () => {
+  it('allows https URLs on the allow-listed hosts only', (t) => {
+    process.env.OAUTH_RETURN_URL_HOSTS = 'app.example.com, localhost';
+    t.after(() => delete process.env.OAUTH_RETURN_URL_HOSTS);
+
+    assert.equal(oauthState.isAllowedReturnUrl('https://app.example.com/done'), true);
+    assert.equal(oauthState.isAllowedReturnUrl('http://app.example.com/done'), false);
+    assert.equal(oauthState.isAllowedReturnUrl('https://evil.example.com/done'), false);
+    assert.equal(oauthState.isAllowedReturnUrl('http://localhost:3000/done'), true);
+    assert.equal(oauthState.isAllowedReturnUrl('not a url'), false);
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const UserToken = require('../models/UserToken');
+const metaAuth = require('../services/metaAuth');
+const tokenLifecycle = require('../services/tokenLifecycle');
+
+// A UserToken document close to expiry; each request loads its own copy
+const loadToken = () => ({
+  _id: 'token-1',
+  userId: 'u1',
+  accessToken: 'old-token',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  status: 'active',
+  isExpired: () => false,
+  needsRefresh() { return this.accessToken === 'old-token'; },
+  save: async () => {}
+});
+
+describe('tokenLifecycle.ensureFreshToken', () => {
+  it('exchanges a token once for concurrent requests', async (t) => {
+    const expiresAt = new Date(Date.now() + 60 * 24 * 60 * 60 * 1000);
+    const exchange = t.mock.method(metaAuth, 'exchangeForLongLivedToken', async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      return { accessToken: 'new-token', expiresAt };
+    });
+    t.mock.method(UserToken, 'updateOne', async () => ({}));
+
+    const tokens = [loadToken(), loadToken(), loadToken()];
+    await Promise.all(tokens.map(token => tokenLifecycle.ensureFreshToken(token)));
+
+    assert.equal(exchange.mock.callCount(), 1);
+    tokens.forEach(token => {
+      assert.equal(token.accessToken, 'new-token');
+      assert.equal(token.expiresAt, expiresAt);
+    });
+  });
+
+  it('refreshes again once the previous refresh settled', async (t) => {
+    const exchange = t.mock.method(metaAuth, 'exchangeForLongLivedToken', async () => {
+      throw new Error('Meta unavailable');
+    });
+    t.mock.method(UserToken, 'updateOne', async () => ({}));
+    t.mock.method(console, 'warn', () => {});
+
+    await tokenLifecycle.ensureFreshToken(loadToken());
+    const token = await tokenLifecycle.ensureFreshToken(loadToken());
+
+    assert.equal(exchange.mock.callCount(), 2);
+    assert.equal(token.accessToken, 'old-token');
+  });
+});
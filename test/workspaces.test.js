@@ -0,0 +1,179 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Workspace = require('../models/Workspace');
+const adAccounts = require('../services/adAccounts');
+const workspaces = require('../services/workspaces');
+const auditLog = require('../services/auditLog');
+const { AppError, ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../services/errors');
+
+const workspace = {
+  _id: 'ws-1',
+  name: 'Agency',
+  adAccountIds: ['act_1', 'act_2', 'act_3'],
+  defaultAdAccountId: 'act_2'
+};
+const access = (member) => ({
+  userId: member.userId,
+  userToken: { userId: 'owner', adAccountId: 'act_9' },
+  workspace,
+  member,
+  adAccountIds: workspaces.allowedAccountIds(workspace, member)
+});
+
+describe('workspace roles', () => {
+  it('grants each role the scopes of the roles below it', () => {
+    assert.equal(workspaces.roleAllows('viewer', ['campaigns:read']), true);
+    assert.equal(workspaces.roleAllows('viewer', ['leads:read']), false);
+    assert.equal(workspaces.roleAllows('analyst', ['campaigns:read', 'leads:read']), true);
+    assert.equal(workspaces.roleAllows('analyst', ['ads:write']), false);
+    assert.equal(workspaces.roleAllows('manager', ['ads:write', 'leads:notify']), true);
+    assert.equal(workspaces.roleAllows('manager', ['workspaces:manage']), false);
+    assert.equal(workspaces.roleAllows('admin', ['workspaces:manage', 'ads:approve']), true);
+    assert.equal(workspaces.roleAllows('unknown', ['campaigns:read']), false);
+  });
+
+  it('rejects a member whose role lacks a scope with INSUFFICIENT_ROLE', () => {
+    const viewer = access({ userId: 'u1', role: 'viewer', adAccountIds: [] });
+
+    assert.doesNotThrow(() => workspaces.assertAllowed(viewer, ['campaigns:read']));
+    assert.throws(() => workspaces.assertAllowed(viewer, ['campaigns:read', 'ads:write']), (error) => {
+      assert.ok(error instanceof AppError);
+      assert.equal(error.statusCode, 403);
+      assert.equal(error.errorCode, 'INSUFFICIENT_ROLE');
+      assert.deepEqual(error.details.missingScopes, ['ads:write']);
+      return true;
+    });
+  });
+
+  it('does not limit personal connections', () => {
+    const personal = { userId: 'u1', workspace: null, member: null, adAccountIds: null };
+    assert.doesNotThrow(() => workspaces.assertAllowed(personal, ['workspaces:manage']));
+  });
+});
+
+describe('workspace ad account access', () => {
+  it('limits restricted members to their accounts that are still linked', () => {
+    assert.deepEqual(workspaces.allowedAccountIds(workspace, { adAccountIds: ['act_3', 'act_7'] }), ['act_3']);
+    assert.deepEqual(workspaces.allowedAccountIds(workspace, { adAccountIds: [] }), ['act_1', 'act_2', 'act_3']);
+  });
+
+  it('picks a default account the member may use', () => {
+    assert.equal(workspaces.defaultAccountId(access({ role: 'viewer', adAccountIds: [], defaultAdAccountId: 'act_3' })), 'act_3');
+    assert.equal(workspaces.defaultAccountId(access({ role: 'viewer', adAccountIds: [] })), 'act_2');
+    assert.equal(workspaces.defaultAccountId(access({ role: 'viewer', adAccountIds: ['act_1'], defaultAdAccountId: 'act_3' })), 'act_1');
+    assert.equal(workspaces.defaultAccountId(access({ role: 'viewer', adAccountIds: ['act_7'] })), null);
+  });
+
+  it('lists only the accounts the member may use', async (t) => {
+    t.mock.method(adAccounts, 'listAccounts', async () => ['act_1', 'act_2', 'act_3', 'act_4'].map(accountId => ({ accountId })));
+
+    const accounts = await workspaces.listAccounts(access({ role: 'viewer', adAccountIds: ['act_2', 'act_4'] }));
+    assert.deepEqual(accounts.map(account => account.accountId), ['act_2']);
+  });
+
+  it('passes the allowed accounts on when resolving a requested account', async (t) => {
+    const resolve = t.mock.method(adAccounts, 'resolveAccount', async () => null);
+
+    await workspaces.resolveAccount(access({ role: 'viewer', adAccountIds: ['act_1'] }), 'act_2');
+    assert.deepEqual(resolve.mock.calls[0].arguments.slice(1), ['act_2', { adAccountIds: ['act_1'] }]);
+  });
+});
+
+describe('workspaces.findMembership', () => {
+  it('defaults to the user\'s oldest workspace', async (t) => {
+    const member = { userId: 'u1', role: 'viewer', adAccountIds: [] };
+    const found = { ...workspace, getMember: () => member };
+    const findOne = t.mock.method(Workspace, 'findOne', () => ({ sort: async () => found }));
+
+    assert.deepEqual(await workspaces.findMembership('u1'), { workspace: found, member });
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { 'members.userId': 'u1' });
+  });
+
+  it('uses the personal connection when asked or in no workspace', async (t) => {
+    const findOne = t.mock.method(Workspace, 'findOne', () => ({ sort: async () => null }));
+
+    assert.equal(await workspaces.findMembership('u1', { workspaceId: workspaces.PERSONAL_WORKSPACE }), null);
+    assert.equal(findOne.mock.callCount(), 0);
+    assert.equal(await workspaces.findMembership('u1'), null);
+  });
+
+  it('rejects a workspace ID that cannot exist', async () => {
+    await assert.rejects(workspaces.findMembership('u1', { workspaceId: 'not-an-id' }), NotFoundError);
+  });
+
+  it('matches a channel only within its Cliq organization, then the organization', async (t) => {
+    const member = { userId: 'u1', role: 'viewer', adAccountIds: [] };
+    const found = { ...workspace, getMember: () => member };
+    const findOne = t.mock.method(Workspace, 'findOne', (filter) => ({ sort: async () => (filter.cliqChannel === null ? found : null) }));
+
+    assert.deepEqual(await workspaces.findMembership('u1', { cliqOrgId: 'org1', cliqChannel: 'growth' }), { workspace: found, member });
+    const filters = findOne.mock.calls.map(call => call.arguments[0]);
+    assert.deepEqual(filters.map(({ cliqOrgId, cliqChannel }) => ({ cliqOrgId, cliqChannel })), [
+      { cliqOrgId: 'org1', cliqChannel: 'growth' },
+      { cliqOrgId: 'org1', cliqChannel: null }
+    ]);
+  });
+
+  it('ignores the channel when Cliq sent no organization', async (t) => {
+    const findOne = t.mock.method(Workspace, 'findOne', () => ({ sort: async () => null }));
+
+    assert.equal(await workspaces.findMembership('u1', { cliqChannel: 'growth' }), null);
+    assert.deepEqual(findOne.mock.calls.map(call => call.arguments[0]), [{ 'members.userId': 'u1' }]);
+  });
+});
+
+describe('workspace Cliq mapping', () => {
+  it('only lets the API clear the mapping', async (t) => {
+    const findOne = t.mock.method(Workspace, 'findOne', async () => null);
+
+    await assert.rejects(workspaces.createWorkspace('u1', { name: 'Growth', cliqChannel: 'growth' }), ValidationError);
+    await assert.rejects(workspaces.createWorkspace('u1', { name: 'Growth', cliqOrgId: 'org1' }), ValidationError);
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+
+  it('clears the channel with the organization', async (t) => {
+    const found = {
+      ...workspace,
+      _id: '64b000000000000000000001',
+      cliqOrgId: 'org1',
+      cliqChannel: 'growth',
+      getMember: () => ({ userId: 'u1', role: 'admin' }),
+      set(settings) { Object.assign(this, settings); },
+      save: async () => {}
+    };
+    t.mock.method(Workspace, 'findOne', async () => found);
+    t.mock.method(auditLog, 'record', async () => {});
+
+    await workspaces.updateWorkspace('u1', found._id, { cliqOrgId: null });
+    assert.equal(found.cliqOrgId, null);
+    assert.equal(found.cliqChannel, null);
+  });
+
+  it('maps the signed Cliq context, once per channel', async (t) => {
+    const found = {
+      ...workspace,
+      _id: '64b000000000000000000001',
+      getMember: () => ({ userId: 'u1', role: 'admin' }),
+      set(settings) { Object.assign(this, settings); },
+      save: async () => {}
+    };
+    t.mock.method(Workspace, 'findOne', async () => found);
+    t.mock.method(auditLog, 'record', async () => {});
+    const exists = t.mock.method(Workspace, 'exists', async () => null);
+
+    await workspaces.mapCliq('u1', found._id, { cliqOrgId: 'org1', cliqChannel: 'growth' });
+    assert.equal(found.cliqOrgId, 'org1');
+    assert.equal(found.cliqChannel, 'growth');
+    assert.deepEqual(exists.mock.calls[0].arguments[0], { cliqOrgId: 'org1', cliqChannel: 'growth', _id: { $ne: found._id } });
+
+    exists.mock.mockImplementation(async () => ({ _id: 'other' }));
+    await assert.rejects(workspaces.mapCliq('u1', found._id, { cliqOrgId: 'org1', cliqChannel: 'growth' }), ConflictError);
+    await assert.rejects(workspaces.mapCliq('u1', found._id, { cliqChannel: 'growth' }), ValidationError);
+  });
+
+  it('lets only admins map a workspace', async (t) => {
+    t.mock.method(Workspace, 'findOne', async () => ({ ...workspace, getMember: () => ({ userId: 'u1', role: 'manager' }) }));
+
+    await assert.rejects(workspaces.mapCliq('u1', '64b000000000000000000001', { cliqOrgId: 'org1', cliqChannel: 'growth' }), ForbiddenError);
+  });
+});